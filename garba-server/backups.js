@@ -0,0 +1,137 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./storage');
+
+// ============================================================================
+// SNAPSHOT FILES
+// ============================================================================
+//
+// One JSON file per snapshot in data/backups/:
+//   snapshot-<time>-<reason>.json   written by this server
+//   backup-<time>.json              written by the old server, with
+//                                   devices/statistics/exportTime keys
+// Only scheduled snapshots count against the retention. Manual, pre-restore
+// and pre-replay snapshots, and the old backups, stay until removed by hand.
+
+const SNAPSHOT_FORMAT = 'garba-snapshot';
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_REASONS = ['scheduled', 'manual', 'pre-restore', 'pre-replay'];
+
+const SNAPSHOT_NAME = /^snapshot-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)-([a-z-]+)\.json$/;
+const LEGACY_NAME = /^backup-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.json$/;
+
+function fileStamp(time) {
+  return new Date(time).toISOString().replace(/[:.]/g, '-');
+}
+
+// 2025-08-22T07-52-55-776Z -> ms
+function parseFileStamp(stamp) {
+  const [date, time] = stamp.split('T');
+  const [hours, minutes, seconds, millis] = time.replace('Z', '').split('-');
+  return Date.parse(`${date}T${hours}:${minutes}:${seconds}.${millis}Z`);
+}
+
+// File name -> { name, format, reason, createdAt }, or null for anything else
+function describeBackupName(name) {
+  let match = SNAPSHOT_NAME.exec(name);
+  if (match && SNAPSHOT_REASONS.includes(match[2])) {
+    return { name, format: 'snapshot', reason: match[2], createdAt: parseFileStamp(match[1]) };
+  }
+
+  match = LEGACY_NAME.exec(name);
+  if (match) {
+    return { name, format: 'legacy', reason: 'legacy', createdAt: parseFileStamp(match[1]) };
+  }
+
+  return null;
+}
+
+function createBackupStore({ dir, retention }) {
+  async function list() {
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const backups = [];
+    for (const name of names) {
+      const backup = describeBackupName(name);
+      if (!backup) continue;
+      const stats = await fs.stat(path.join(dir, name));
+      backups.push({ ...backup, size: stats.size });
+    }
+
+    return backups.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // snapshot is written as-is, stamped with the format header
+  async function write(snapshot, reason, time = Date.now()) {
+    if (!SNAPSHOT_REASONS.includes(reason)) throw new Error(`Unknown snapshot reason "${reason}"`);
+
+    const name = `snapshot-${fileStamp(time)}-${reason}.json`;
+    await fs.mkdir(dir, { recursive: true });
+    await writeFileAtomic(path.join(dir, name), JSON.stringify({
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      createdAt: time,
+      reason,
+      ...snapshot
+    }));
+
+    const stats = await fs.stat(path.join(dir, name));
+    return { name, format: 'snapshot', reason, createdAt: time, size: stats.size };
+  }
+
+  // Returns { backup, data }, or null if there is no backup by that name
+  async function read(name) {
+    const backup = describeBackupName(name);
+    if (!backup) return null;
+
+    let contents;
+    try {
+      contents = await fs.readFile(path.join(dir, name), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const data = JSON.parse(contents);
+    if (backup.format === 'snapshot' && (data.format !== SNAPSHOT_FORMAT || data.version > SNAPSHOT_VERSION)) {
+      throw new Error(`${name} is not a version ${SNAPSHOT_VERSION} snapshot`);
+    }
+    if (backup.format === 'legacy' && (!data.devices || typeof data.devices !== 'object')) {
+      throw new Error(`${name} has no devices`);
+    }
+
+    return { backup: { ...backup, size: Buffer.byteLength(contents) }, data };
+  }
+
+  // Drops the oldest scheduled snapshots beyond the retention
+  async function prune() {
+    const scheduled = (await list()).filter(backup => backup.reason === 'scheduled');
+    const removed = [];
+
+    for (const backup of scheduled.slice(retention)) {
+      try {
+        await fs.unlink(path.join(dir, backup.name));
+        removed.push(backup.name);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    return removed;
+  }
+
+  return { dir, retention, list, write, read, prune };
+}
+
+module.exports = {
+  SNAPSHOT_FORMAT,
+  SNAPSHOT_VERSION,
+  describeBackupName,
+  createBackupStore
+};
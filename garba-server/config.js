@@ -0,0 +1,210 @@
+const fs = require('fs');
+const { writeFileAtomic } = require('./storage');
+const { resolveTimezone } = require('./schedule');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+//
+// Every setting has a default, can be set in the config file (flat JSON,
+// data/config.json unless CONFIG_FILE says otherwise) and can be overridden
+// by its environment variable. Everything is validated at startup.
+//
+// Settings marked runtime can be changed through update() while the server
+// runs; the change is written back to the config file. A setting that comes
+// from an environment variable is locked, since the variable would win again
+// on the next start anyway.
+
+const CONFIG_SCHEMA = {
+  // Server
+  port: { group: 'server', type: 'integer', default: 3000, min: 1, max: 65535, env: 'PORT', description: 'HTTP port' },
+  udpPort: { group: 'server', type: 'integer', default: 3001, min: 1, max: 65535, env: 'UDP_PORT', description: 'UDP report port' },
+  storageEngine: { group: 'server', type: 'enum', default: 'sqlite', values: ['sqlite', 'json'], env: 'STORAGE_ENGINE', description: 'Storage engine' },
+
+  // Timeouts
+  deviceOfflineMs: { group: 'timeouts', type: 'integer', default: 300000, min: 10000, max: 86400000, unit: 'ms', env: 'DEVICE_OFFLINE_MS', runtime: true, description: 'Silence before a device is moved offline' },
+  receiverTimeoutMs: { group: 'timeouts', type: 'integer', default: 60000, min: 5000, max: 3600000, unit: 'ms', env: 'RECEIVER_TIMEOUT_MS', runtime: true, description: 'Silence before a receiver is dropped' },
+  receiverListWindowMs: { group: 'timeouts', type: 'integer', default: 120000, min: 5000, max: 86400000, unit: 'ms', env: 'RECEIVER_LIST_WINDOW_MS', runtime: true, description: 'Receivers silent for longer are left out of /api/receivers' },
+
+  // Caps
+  systemHistoryCap: { group: 'caps', type: 'integer', default: 500, min: 10, max: 100000, env: 'SYSTEM_HISTORY_CAP', description: 'System history records kept in memory' },
+  connectionLogCap: { group: 'caps', type: 'integer', default: 200, min: 10, max: 100000, env: 'CONNECTION_LOG_CAP', description: 'Connection logs kept in memory' },
+
+  // Intervals
+  cleanupIntervalMs: { group: 'intervals', type: 'integer', default: 30000, min: 1000, max: 600000, unit: 'ms', env: 'CLEANUP_INTERVAL_MS', runtime: true, description: 'Offline device and receiver cleanup' },
+  statisticsIntervalMs: { group: 'intervals', type: 'integer', default: 5000, min: 1000, max: 60000, unit: 'ms', env: 'STATISTICS_INTERVAL_MS', runtime: true, description: 'Statistics refresh' },
+  systemHistoryIntervalMs: { group: 'intervals', type: 'integer', default: 60000, min: 5000, max: 3600000, unit: 'ms', env: 'SYSTEM_HISTORY_INTERVAL_MS', runtime: true, description: 'System history record' },
+  autosaveIntervalMs: { group: 'intervals', type: 'integer', default: 300000, min: 10000, max: 3600000, unit: 'ms', env: 'AUTOSAVE_INTERVAL_MS', runtime: true, description: 'Full save of the history data' },
+
+  // Admission
+  admissionMode: { group: 'admission', type: 'enum', default: 'open', values: ['open', 'quarantine', 'strict'], env: 'ADMISSION_MODE', runtime: true, description: 'open counts every device, quarantine holds unknown ones for approval, strict drops them' },
+  quarantineCap: { group: 'admission', type: 'integer', default: 500, min: 10, max: 100000, env: 'QUARANTINE_CAP', runtime: true, description: 'Undecided devices kept in quarantine, the longest silent make room for new ones' },
+  quarantineMaxAgeMs: { group: 'admission', type: 'integer', default: 86400000, min: 60000, max: 2592000000, unit: 'ms', env: 'QUARANTINE_MAX_AGE_MS', runtime: true, description: 'Silence before an undecided device leaves quarantine' },
+
+  // Sessions
+  venueTimezone: { group: 'sessions', type: 'timezone', default: Intl.DateTimeFormat().resolvedOptions().timeZone, env: 'VENUE_TIMEZONE', description: 'Time zone scheduled sessions use unless they name their own' },
+
+  // MQTT
+  mqttMode: { group: 'mqtt', type: 'enum', default: 'embedded', values: ['embedded', 'external', 'off'], env: 'MQTT_MODE', description: 'Run a broker, use an external one, or no MQTT' },
+  mqttPort: { group: 'mqtt', type: 'integer', default: 1883, min: 1, max: 65535, env: 'MQTT_PORT', description: 'Embedded broker port' },
+  mqttUrl: { group: 'mqtt', type: 'string', default: 'mqtt://127.0.0.1:1883', env: 'MQTT_URL', description: 'Broker the bridge connects to' },
+  mqttUsername: { group: 'mqtt', type: 'string', default: null, env: 'MQTT_USERNAME', description: 'Broker username' },
+  mqttPassword: { group: 'mqtt', type: 'string', default: null, env: 'MQTT_PASSWORD', secret: true, description: 'Broker password' },
+  mqttClientId: { group: 'mqtt', type: 'string', default: 'garba-server', env: 'MQTT_CLIENT_ID', description: 'Bridge client id' },
+  mqttPublishPrefix: { group: 'mqtt', type: 'string', default: 'garba/live', env: 'MQTT_PUBLISH_PREFIX', description: 'Topic prefix for live state' },
+  mqttPublishInterval: { group: 'mqtt', type: 'integer', default: 1000, min: 0, max: 3600000, unit: 'ms', env: 'MQTT_PUBLISH_INTERVAL', description: 'Live state publish interval, 0 disables' },
+
+  // Backups, journal and log files
+  backupInterval: { group: 'files', type: 'integer', default: 300000, min: 0, max: 86400000, unit: 'ms', env: 'BACKUP_INTERVAL', description: 'Scheduled snapshot interval, 0 disables' },
+  backupRetention: { group: 'files', type: 'integer', default: 48, min: 1, max: 10000, env: 'BACKUP_RETENTION', description: 'Scheduled snapshots kept' },
+  journalRotateBytes: { group: 'files', type: 'integer', default: 64 * 1024 * 1024, min: 65536, max: 4294967296, unit: 'bytes', env: 'JOURNAL_ROTATE_BYTES', description: 'Journal file size before rotating' },
+  journalRetentionDays: { group: 'files', type: 'integer', default: 30, min: 0, max: 3650, unit: 'days', env: 'JOURNAL_RETENTION_DAYS', description: 'Journal files kept, 0 keeps all' },
+  logRotateBytes: { group: 'files', type: 'integer', default: 4 * 1024 * 1024, min: 65536, max: 1073741824, unit: 'bytes', env: 'LOG_ROTATE_BYTES', description: 'Log file size before rotating' },
+  logRetentionDays: { group: 'files', type: 'integer', default: 14, min: 0, max: 3650, unit: 'days', env: 'LOG_RETENTION_DAYS', description: 'Log files kept, 0 keeps all' }
+};
+
+// Returns { value } or { error }. Environment variables arrive as strings.
+function parseConfigValue(key, raw) {
+  const setting = CONFIG_SCHEMA[key];
+
+  if (raw === null) return { value: null };
+
+  if (setting.type === 'integer') {
+    const value = typeof raw === 'string' && /^-?\d+$/.test(raw.trim()) ? Number(raw) : raw;
+    if (!Number.isInteger(value)) return { error: 'must be an integer' };
+    if (setting.min !== undefined && value < setting.min) return { error: `must be at least ${setting.min}` };
+    if (setting.max !== undefined && value > setting.max) return { error: `must be at most ${setting.max}` };
+    return { value };
+  }
+
+  if (typeof raw !== 'string') return { error: 'must be a string' };
+  if (setting.type === 'timezone' && !resolveTimezone(raw)) return { error: 'must be an IANA time zone like Asia/Kolkata' };
+  if (setting.type === 'enum' && !setting.values.includes(raw)) {
+    return { error: `must be one of ${setting.values.join(', ')}` };
+  }
+  return { value: raw };
+}
+
+function createConfig({ file, env = process.env }) {
+  const values = {};
+  const sources = {};
+  const errors = [];
+
+  let fileValues = {};
+  try {
+    fileValues = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!fileValues || typeof fileValues !== 'object' || Array.isArray(fileValues)) {
+      errors.push(`${file}: must contain a JSON object`);
+      fileValues = {};
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') errors.push(`${file}: ${error.message}`);
+  }
+
+  for (const key of Object.keys(fileValues)) {
+    if (!CONFIG_SCHEMA[key]) errors.push(`${file}: unknown setting "${key}"`);
+  }
+
+  for (const [key, setting] of Object.entries(CONFIG_SCHEMA)) {
+    values[key] = setting.default;
+    sources[key] = 'default';
+
+    if (fileValues[key] !== undefined) {
+      const parsed = parseConfigValue(key, fileValues[key]);
+      if (parsed.error) errors.push(`${file}: ${key} ${parsed.error}`);
+      else {
+        values[key] = parsed.value;
+        sources[key] = 'file';
+      }
+    }
+
+    // Empty variables count as unset
+    if (setting.env && env[setting.env] !== undefined && env[setting.env] !== '') {
+      const parsed = parseConfigValue(key, env[setting.env]);
+      if (parsed.error) errors.push(`${setting.env}: ${parsed.error}`);
+      else {
+        values[key] = parsed.value;
+        sources[key] = 'env';
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid configuration: ${errors.join('; ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  function describe() {
+    return Object.entries(CONFIG_SCHEMA).map(([key, setting]) => ({
+      key,
+      group: setting.group,
+      description: setting.description,
+      type: setting.type,
+      unit: setting.unit || null,
+      min: setting.min,
+      max: setting.max,
+      values: setting.values,
+      value: setting.secret && values[key] !== null ? '********' : values[key],
+      default: setting.secret ? null : setting.default,
+      source: sources[key],
+      env: setting.env,
+      runtime: Boolean(setting.runtime),
+      locked: sources[key] === 'env'
+    }));
+  }
+
+  // changes: { key: value }, null puts a setting back to its default. All or
+  // nothing: returns { errors } without applying anything if one is invalid,
+  // otherwise { changed: [{ key, previous, value }] }.
+  async function update(changes) {
+    const errors = [];
+    const accepted = [];
+
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return { errors: [{ field: '', message: 'body must be an object of settings' }] };
+    }
+
+    for (const [key, raw] of Object.entries(changes)) {
+      const setting = CONFIG_SCHEMA[key];
+      if (!setting) {
+        errors.push({ field: key, message: 'unknown setting' });
+      } else if (!setting.runtime) {
+        errors.push({ field: key, message: `needs a restart, set it in ${file} or ${setting.env}` });
+      } else if (sources[key] === 'env') {
+        errors.push({ field: key, message: `locked by the ${setting.env} environment variable` });
+      } else {
+        const parsed = parseConfigValue(key, raw);
+        if (parsed.error) errors.push({ field: key, message: parsed.error });
+        else accepted.push({ key, value: parsed.value === null ? setting.default : parsed.value, reset: parsed.value === null });
+      }
+    }
+
+    if (errors.length > 0) return { errors };
+
+    const nextFileValues = { ...fileValues };
+    for (const { key, value, reset } of accepted) {
+      if (reset) delete nextFileValues[key];
+      else nextFileValues[key] = value;
+    }
+    await writeFileAtomic(file, JSON.stringify(nextFileValues, null, 2));
+    fileValues = nextFileValues;
+
+    const changed = [];
+    for (const { key, value, reset } of accepted) {
+      const previous = values[key];
+      values[key] = value;
+      sources[key] = reset ? 'default' : 'file';
+      if (previous !== value) changed.push({ key, previous, value });
+    }
+    return { changed };
+  }
+
+  return { file, values, sources, describe, update };
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  parseConfigValue,
+  createConfig
+};
@@ -0,0 +1,275 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+
+// ============================================================================
+// ROTATING NDJSON FILES
+// ============================================================================
+//
+// Append-only files of one JSON entry per line, <dir>/<prefix>-<time>.ndjson.
+// Used for the ingestion journal (data/journal/journal-*) and the connection
+// log (data/logs/connections-*). A new file is started on every server start
+// and whenever the current one passes rotateBytes; files older than
+// retentionDays are deleted (0 keeps them forever).
+//
+// Appends are buffered and written together once flushBytes have piled up or
+// flushMs after the first of them, so a busy venue is not one write per
+// report; a crash loses at most that much. Everything that reads the files
+// flushes first, and close() flushes before it syncs.
+//
+// read() yields to the event loop between chunks it reads, so a long
+// replay does not stall live ingestion; the caller keeps the live reports
+// from interleaving with it. scanBackward() is for queries and does not block.
+
+const FILE_STAMP = '(\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}-\\d{3}Z)';
+const READ_CHUNK_BYTES = 64 * 1024;
+const FLUSH_BYTES = 64 * 1024;
+const FLUSH_MS = 200;
+const DAY = 24 * 3600000;
+
+function fileStamp(time) {
+  return new Date(time).toISOString().replace(/[:.]/g, '-');
+}
+
+// 2025-08-22T07-52-55-776Z -> ms
+function parseFileStamp(stamp) {
+  const [date, time] = stamp.split('T');
+  const [hours, minutes, seconds, millis] = time.replace('Z', '').split('-');
+  return Date.parse(`${date}T${hours}:${minutes}:${seconds}.${millis}Z`);
+}
+
+// Calls onLine for every complete line; the event loop runs while the next
+// chunk is read. A torn last line from a crash has no newline yet and is
+// passed on like any other, the caller decides.
+async function readLines(file, onLine) {
+  const handle = await fsp.open(file, 'r');
+  const buffer = Buffer.alloc(READ_CHUNK_BYTES);
+  let rest = '';
+
+  try {
+    let bytes;
+    while ((bytes = (await handle.read(buffer, 0, buffer.length, null)).bytesRead) > 0) {
+      const lines = (rest + buffer.toString('utf8', 0, bytes)).split('\n');
+      rest = lines.pop();
+      for (const line of lines) {
+        if (line) onLine(line);
+      }
+    }
+    if (rest) onLine(rest);
+  } finally {
+    await handle.close();
+  }
+}
+
+function createJournal({ dir, prefix = 'journal', rotateBytes, retentionDays, flushBytes = FLUSH_BYTES, flushMs = FLUSH_MS }) {
+  const fileName = new RegExp(`^${prefix}-${FILE_STAMP}\\.ndjson$`);
+  const stats = {
+    entries: 0,
+    bytes: 0,
+    errors: 0,
+    rotations: 0,
+    lastEntryAt: null,
+    lastError: null
+  };
+
+  let current = null;   // { name, fd, size }, size counting the buffered lines
+  let buffered = [];
+  let bufferedBytes = 0;
+  let flushTimer = null;
+
+  function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (buffered.length === 0) return;
+
+    const data = buffered.join('');
+    buffered = [];
+    bufferedBytes = 0;
+    try {
+      fs.writeSync(current.fd, data);
+    } catch (error) {
+      stats.errors++;
+      stats.lastError = error.message;
+      throw error;
+    }
+  }
+
+  function flushLater() {
+    try {
+      flush();
+    } catch (error) {
+      // Counted in stats, the next append tries again
+    }
+  }
+
+  function closeCurrent() {
+    if (!current) return;
+    try {
+      flush();
+      fs.fsyncSync(current.fd);
+    } finally {
+      fs.closeSync(current.fd);
+      current = null;
+    }
+  }
+
+  function openNext(time) {
+    closeCurrent();
+    fs.mkdirSync(dir, { recursive: true });
+
+    let name = `${prefix}-${fileStamp(time)}.ndjson`;
+    // Two rotations in the same millisecond
+    while (fs.existsSync(path.join(dir, name))) {
+      time++;
+      name = `${prefix}-${fileStamp(time)}.ndjson`;
+    }
+
+    current = { name, fd: fs.openSync(path.join(dir, name), 'a'), size: 0 };
+    stats.rotations++;
+  }
+
+  // entry must carry its own time (ms)
+  function append(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    const bytes = Buffer.byteLength(line);
+
+    try {
+      if (!current || current.size + bytes > rotateBytes) openNext(entry.time);
+    } catch (error) {
+      stats.errors++;
+      stats.lastError = error.message;
+      throw error;
+    }
+
+    buffered.push(line);
+    bufferedBytes += bytes;
+    current.size += bytes;
+    stats.entries++;
+    stats.bytes += bytes;
+    stats.lastEntryAt = entry.time;
+
+    if (bufferedBytes >= flushBytes) flush();
+    else if (!flushTimer) {
+      flushTimer = setTimeout(flushLater, flushMs);
+      flushTimer.unref();
+    }
+  }
+
+  // Oldest first
+  function list() {
+    flush();
+
+    let names;
+    try {
+      names = fs.readdirSync(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return names
+      .filter(name => fileName.test(name))
+      .sort()
+      .map((name) => {
+        const fileStats = fs.statSync(path.join(dir, name));
+        return {
+          name,
+          size: fileStats.size,
+          modified: fileStats.mtime.getTime(),
+          current: current !== null && current.name === name
+        };
+      });
+  }
+
+  // Calls onEntry(entry) for every entry up to and including `until`, in
+  // journal order. Unparseable lines are counted and skipped.
+  async function read(until, onEntry) {
+    const files = list();
+    const result = { files: 0, entries: 0, skipped: 0, first: null, last: null };
+
+    for (const file of files) {
+      // Files are named after their first entry
+      if (parseFileStamp(fileName.exec(file.name)[1]) > until) continue;
+
+      result.files++;
+      await readLines(path.join(dir, file.name), (line) => {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          result.skipped++;
+          return;
+        }
+        if (typeof entry.time !== 'number' || entry.time > until) return;
+
+        result.entries++;
+        if (result.first === null) result.first = entry.time;
+        result.last = entry.time;
+        onEntry(entry);
+      });
+    }
+
+    return result;
+  }
+
+  // Newest first, resuming at `cursor` ({ file, line }) when given. onEntry
+  // returns 'full' to stop with a cursor for the next scan, 'done' to stop
+  // for good. Resolves to that cursor, or null once there is nothing left.
+  async function scanBackward(cursor, onEntry) {
+    const files = list().reverse();
+    const first = cursor ? files.findIndex(file => file.name === cursor.file) : 0;
+    if (first === -1) return null;    // Pruned since the cursor was handed out
+
+    for (let i = first; i < files.length; i++) {
+      const lines = (await fsp.readFile(path.join(dir, files[i].name), 'utf8')).split('\n');
+      let index = cursor && i === first ? Math.min(cursor.line, lines.length) : lines.length;
+
+      while (--index >= 0) {
+        if (!lines[index]) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(lines[index]);
+        } catch (error) {
+          continue;
+        }
+
+        const verdict = onEntry(entry);
+        if (verdict === 'full') return { file: files[i].name, line: index + 1 };
+        if (verdict === 'done') return null;
+      }
+    }
+
+    return null;
+  }
+
+  function prune(now = Date.now()) {
+    if (!retentionDays) return [];
+
+    const removed = [];
+    for (const file of list()) {
+      if (file.current || file.modified >= now - retentionDays * DAY) continue;
+      fs.unlinkSync(path.join(dir, file.name));
+      removed.push(file.name);
+    }
+    return removed;
+  }
+
+  return {
+    dir,
+    stats,
+    append,
+    flush,
+    list,
+    read,
+    scanBackward,
+    prune,
+    close: closeCurrent
+  };
+}
+
+module.exports = {
+  createJournal
+};
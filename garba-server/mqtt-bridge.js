@@ -0,0 +1,147 @@
+const net = require('net');
+const mqtt = require('mqtt');
+const createAedes = require('aedes');
+
+// ============================================================================
+// MQTT BRIDGE
+// ============================================================================
+//
+// Receivers publish their device reports to garba/receiver/<mac>/devices and
+// set a last will on garba/receiver/<mac>/status with the payload "offline".
+// The bridge only moves bytes: decoding and processing stay in server.js,
+// which hands in onReport/onReceiverStatus callbacks and decides what to
+// publish back out through publish().
+
+const RECEIVER_TOPIC_PREFIX = 'garba/receiver';
+const DEVICES_TOPIC = `${RECEIVER_TOPIC_PREFIX}/+/devices`;
+const STATUS_TOPIC = `${RECEIVER_TOPIC_PREFIX}/+/status`;
+
+// garba/receiver/<mac>/<kind> -> { receiverId, kind }
+function parseReceiverTopic(topic) {
+  const parts = topic.split('/');
+  if (parts.length !== 4 || `${parts[0]}/${parts[1]}` !== RECEIVER_TOPIC_PREFIX) return null;
+  return { receiverId: parts[2].toUpperCase(), kind: parts[3] };
+}
+
+// Starts an in-process broker listening on the given port
+function startEmbeddedBroker({ port, host = '0.0.0.0' }) {
+  return new Promise((resolve, reject) => {
+    const broker = createAedes();
+    const server = net.createServer(broker.handle);
+
+    server.once('error', (error) => {
+      broker.close();
+      reject(error);
+    });
+
+    server.listen(port, host, () => {
+      resolve({
+        broker,
+        server,
+        port: server.address().port,
+        close: () => new Promise((done) => {
+          server.close(() => broker.close(done));
+        })
+      });
+    });
+  });
+}
+
+// Connects to a broker and subscribes to receiver topics.
+//   onReport(receiverId, message)          message is the raw payload Buffer
+//   onReceiverStatus(receiverId, status)   status is the payload as a string
+function createMqttBridge({ url, username, password, clientId = 'garba-server', onReport, onReceiverStatus, onConnectionChange = () => {} }) {
+  const stats = {
+    url,
+    connected: false,
+    messages: 0,
+    statusMessages: 0,
+    ignored: 0,
+    lastMessageAt: null,
+    published: 0,
+    publishErrors: 0,
+    lastError: null
+  };
+
+  const client = mqtt.connect(url, {
+    clientId,
+    username,
+    password,
+    reconnectPeriod: 5000,
+    connectTimeout: 10000
+  });
+
+  client.on('connect', () => {
+    stats.connected = true;
+    client.subscribe([DEVICES_TOPIC, STATUS_TOPIC], { qos: 1 }, (error) => {
+      if (error) {
+        stats.lastError = error.message;
+        console.error('❌ MQTT subscribe failed:', error.message);
+      }
+    });
+    onConnectionChange(true);
+  });
+
+  client.on('close', () => {
+    if (stats.connected) onConnectionChange(false);
+    stats.connected = false;
+  });
+
+  client.on('error', (error) => {
+    stats.lastError = error.message;
+    console.error('❌ MQTT bridge error:', error.message);
+  });
+
+  client.on('message', (topic, message) => {
+    const parsed = parseReceiverTopic(topic);
+    if (!parsed) {
+      stats.ignored++;
+      return;
+    }
+
+    stats.lastMessageAt = Date.now();
+
+    try {
+      if (parsed.kind === 'devices') {
+        stats.messages++;
+        onReport(parsed.receiverId, message);
+      } else if (parsed.kind === 'status') {
+        stats.statusMessages++;
+        onReceiverStatus(parsed.receiverId, message.toString().trim().toLowerCase());
+      } else {
+        stats.ignored++;
+      }
+    } catch (error) {
+      console.error(`❌ Error handling MQTT message on ${topic}:`, error);
+    }
+  });
+
+  // Messages published while disconnected are dropped rather than queued:
+  // live state is republished on the next tick anyway
+  function publish(topic, payload, { retain = false, qos = 0 } = {}) {
+    if (!stats.connected) return false;
+
+    client.publish(topic, payload, { retain, qos }, (error) => {
+      if (error) {
+        stats.publishErrors++;
+        stats.lastError = error.message;
+      }
+    });
+    stats.published++;
+    return true;
+  }
+
+  return {
+    client,
+    stats,
+    publish,
+    close: () => new Promise((resolve) => client.end(false, {}, resolve))
+  };
+}
+
+module.exports = {
+  RECEIVER_TOPIC_PREFIX,
+  parseReceiverTopic,
+  startEmbeddedBroker,
+  createMqttBridge
+};
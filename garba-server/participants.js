@@ -0,0 +1,227 @@
+const XLSX = require('xlsx');
+
+// ============================================================================
+// BAND REGISTRY
+// ============================================================================
+//
+// Who wears which band: one entry per device MAC with the number printed on
+// the band, the participant's name and contact details. server.js keeps the
+// entries in a Map; this module validates them and converts them to and from
+// CSV and XLSX sheets, and validates who a band is checked out to.
+
+const MAC_PATTERN = /^([0-9A-F]{2}:){5}[0-9A-F]{2}$/i;
+const COLOUR_PATTERN = /^(#[0-9a-f]{3}|#[0-9a-f]{6}|[a-z]{3,20})$/i;
+const PHONE_PATTERN = /^\+?[0-9][0-9 ()-]{2,23}$/;
+
+const PARTICIPANT_FIELDS = {
+  deviceId: { label: 'MAC', aliases: ['mac', 'macaddress', 'device', 'deviceid', 'deviceidmac'] },
+  bandNumber: { label: 'Band', aliases: ['band', 'bandnumber', 'bandno', 'number', 'no'] },
+  name: { label: 'Name', aliases: ['name', 'participant', 'participantname', 'fullname'] },
+  phone: { label: 'Phone', aliases: ['phone', 'phonenumber', 'mobile', 'contact'] },
+  team: { label: 'Team', aliases: ['team', 'group'] },
+  category: { label: 'Category', aliases: ['category', 'class', 'division'] },
+  colour: { label: 'Colour', aliases: ['colour', 'color', 'bandcolour', 'bandcolor'] }
+};
+
+const HOLDER_FIELDS = ['name', 'phone', 'team', 'category'];
+
+const MAX_BAND_NUMBER = 99999;
+const MAX_TEXT_LENGTH = { name: 80, team: 64, category: 64 };
+
+// Spreadsheet apps run a CSV cell starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const FILE_FORMATS = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+function cleanText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+// Validates one entry as sent to the API or read from a sheet row. Numbers
+// may arrive as strings from a CSV. Returns { participant, errors }, where
+// participant carries every field (null when not given) but no timestamps.
+function normalizeParticipant(input) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { participant: null, errors: [{ field: '', message: 'must be an object' }] };
+  }
+
+  const participant = {};
+  for (const field of Object.keys(PARTICIPANT_FIELDS)) {
+    const value = input[field];
+    if (value !== undefined && value !== null && typeof value !== 'string' && typeof value !== 'number') {
+      errors.push({ field, message: 'must be a string' });
+      participant[field] = null;
+    } else {
+      participant[field] = cleanText(value);
+    }
+  }
+
+  if (participant.deviceId === null) errors.push({ field: 'deviceId', message: 'is required' });
+  else if (!MAC_PATTERN.test(participant.deviceId)) errors.push({ field: 'deviceId', message: 'must be a MAC address like AA:BB:CC:DD:EE:FF' });
+  else participant.deviceId = participant.deviceId.toUpperCase();
+
+  if (participant.bandNumber === null) {
+    errors.push({ field: 'bandNumber', message: 'is required' });
+  } else {
+    const bandNumber = /^\d+$/.test(participant.bandNumber) ? Number(participant.bandNumber) : NaN;
+    if (!Number.isInteger(bandNumber) || bandNumber < 1 || bandNumber > MAX_BAND_NUMBER) {
+      errors.push({ field: 'bandNumber', message: `must be a whole number from 1 to ${MAX_BAND_NUMBER}` });
+    }
+    participant.bandNumber = bandNumber;
+  }
+
+  if (participant.name === null) errors.push({ field: 'name', message: 'is required' });
+
+  for (const [field, maxLength] of Object.entries(MAX_TEXT_LENGTH)) {
+    if (participant[field] !== null && participant[field].length > maxLength) {
+      errors.push({ field, message: `must be at most ${maxLength} characters` });
+    }
+  }
+
+  if (participant.phone !== null && !PHONE_PATTERN.test(participant.phone)) {
+    errors.push({ field: 'phone', message: 'must be a phone number' });
+  }
+
+  if (participant.colour !== null) {
+    if (COLOUR_PATTERN.test(participant.colour)) participant.colour = participant.colour.toLowerCase();
+    else errors.push({ field: 'colour', message: 'must be a #rgb/#rrggbb value or a colour name' });
+  }
+
+  return { participant: errors.length > 0 ? null : participant, errors };
+}
+
+// Whoever holds a band for a while, as given at the check-out desk. Returns
+// { holder, errors } with name, phone, team and category (null when not given).
+function normalizeHolder(input) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { holder: null, errors: [{ field: '', message: 'must be an object' }] };
+  }
+
+  const holder = {};
+  for (const field of HOLDER_FIELDS) {
+    const value = input[field];
+    if (value !== undefined && value !== null && typeof value !== 'string' && typeof value !== 'number') {
+      errors.push({ field, message: 'must be a string' });
+      holder[field] = null;
+    } else {
+      holder[field] = cleanText(value);
+    }
+  }
+
+  if (holder.name === null) errors.push({ field: 'name', message: 'is required' });
+
+  for (const [field, maxLength] of Object.entries(MAX_TEXT_LENGTH)) {
+    if (holder[field] !== null && holder[field].length > maxLength) {
+      errors.push({ field, message: `must be at most ${maxLength} characters` });
+    }
+  }
+
+  if (holder.phone !== null && !PHONE_PATTERN.test(holder.phone)) {
+    errors.push({ field: 'phone', message: 'must be a phone number' });
+  }
+
+  return { holder: errors.length > 0 ? null : holder, errors };
+}
+
+// Identifies a person across bands and nights: the digits of their phone
+// number, or their name when they gave none ('name:priya shah')
+function holderKey(holder) {
+  if (holder.phone) return holder.phone.replace(/\D/g, '');
+  return `name:${holder.name.toLowerCase().replace(/\s+/g, ' ')}`;
+}
+
+// '=HYPERLINK(...)' -> "'=HYPERLINK(...)", which Excel shows as text
+function escapeFormula(value) {
+  return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+// Undoes escapeFormula(), so an exported CSV imports back unchanged
+function unescapeFormula(value) {
+  return typeof value === 'string' && value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+// "Band No." -> bandNumber; unknown columns map to null and are ignored
+function headerToField(header) {
+  const key = String(header).toLowerCase().replace(/[^a-z]/g, '');
+  for (const [field, { aliases }] of Object.entries(PARTICIPANT_FIELDS)) {
+    if (aliases.includes(key)) return field;
+  }
+  return null;
+}
+
+// CSV or XLSX contents -> { rows: [{ row, input }], errors }. row is the
+// sheet row number, counting the header as row 1, for error messages.
+function parseParticipantSheet(buffer, format) {
+  let workbook;
+  try {
+    // raw keeps CSV values as text so phone numbers and band numbers with
+    // leading zeros come through untouched
+    workbook = XLSX.read(buffer, { type: 'buffer', raw: format === 'csv' });
+  } catch (error) {
+    return { rows: [], errors: [{ row: null, field: '', message: `could not read the ${format.toUpperCase()} file: ${error.message}` }] };
+  }
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const table = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, defval: null, raw: true, blankrows: false }) : [];
+  if (table.length === 0) {
+    return { rows: [], errors: [{ row: null, field: '', message: 'the file is empty' }] };
+  }
+
+  const fields = table[0].map(header => (header === null ? null : headerToField(header)));
+  for (const required of ['deviceId', 'bandNumber', 'name']) {
+    if (!fields.includes(required)) {
+      return { rows: [], errors: [{ row: 1, field: required, message: `no ${PARTICIPANT_FIELDS[required].label} column` }] };
+    }
+  }
+
+  const rows = [];
+  table.slice(1).forEach((cells, index) => {
+    const input = {};
+    fields.forEach((field, column) => {
+      if (field && input[field] === undefined) input[field] = unescapeFormula(cells[column] ?? null);
+    });
+    if (Object.values(input).every(value => cleanText(value) === null)) return;
+    rows.push({ row: index + 2, input });
+  });
+
+  return { rows, errors: [] };
+}
+
+// Entries -> file contents, sorted by band number. Text that would start a
+// formula is escaped in CSV; XLSX stores every text value as a string cell,
+// which Excel never evaluates.
+function writeParticipantSheet(participants, format) {
+  const header = Object.values(PARTICIPANT_FIELDS).map(field => field.label);
+  const rows = [...participants]
+    .sort((a, b) => a.bandNumber - b.bandNumber)
+    .map(participant => Object.keys(PARTICIPANT_FIELDS).map((field) => {
+      const value = participant[field] ?? '';
+      return format === 'csv' ? escapeFormula(value) : value;
+    }));
+
+  const sheet = XLSX.utils.aoa_to_sheet([header, ...rows]);
+  if (format === 'csv') return Buffer.from(XLSX.utils.sheet_to_csv(sheet));
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Participants');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+  PARTICIPANT_FIELDS,
+  FILE_FORMATS,
+  normalizeParticipant,
+  normalizeHolder,
+  holderKey,
+  parseParticipantSheet,
+  writeParticipantSheet
+};
@@ -0,0 +1,141 @@
+// ============================================================================
+// SESSION SCHEDULE
+// ============================================================================
+//
+// Sessions planned ahead: a first date, start and end times on the venue's
+// wall clock and how many nights in a row. server.js keeps the schedules in a
+// Map and opens and closes the sessions; this module validates them and works
+// out when each night starts and ends, daylight saving changes included.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const MAX_NIGHTS = 31;
+const MAX_NAME_LENGTH = 50;
+const DAY_MS = 86400000;
+
+// The IANA name as given, trimmed, or null when Intl does not know it. Kept
+// as given since Intl would turn Asia/Kolkata into Asia/Calcutta.
+function resolveTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone.trim() === '') return null;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone.trim() });
+    return timezone.trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+function zonedParts(time, timezone) {
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+  const parts = {};
+  for (const { type, value } of format.formatToParts(time)) parts[type] = value;
+  return parts;
+}
+
+// How far the venue's clock is ahead of UTC at `time`, in ms
+function timezoneOffset(time, timezone) {
+  const parts = zonedParts(time, timezone);
+  const wall = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second));
+  return wall - Math.floor(time / 1000) * 1000;
+}
+
+// '2026-10-20' at '21:00' on the venue's clock -> epoch ms. A time the clocks
+// pass twice when they go back is the first of the two; one they skip when
+// they go forward lands after the gap, so 02:30 becomes 03:30.
+function zonedTime(date, time, timezone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  // The offsets either side of a change on that day, if there is one
+  const before = timezoneOffset(wall - DAY_MS, timezone);
+  const after = timezoneOffset(wall + DAY_MS, timezone);
+  const matches = [wall - before, wall - after].filter(candidate => timezoneOffset(candidate, timezone) === wall - candidate);
+  return matches.length > 0 ? Math.min(...matches) : wall - before;
+}
+
+// Epoch ms -> '2026-10-20 21:00' on the venue's clock
+function formatZoned(time, timezone) {
+  const parts = zonedParts(time, timezone);
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+}
+
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// One night of a schedule; `night` counts from 1
+function buildNight(schedule, night) {
+  const date = addDays(schedule.date, night - 1);
+  const start = zonedTime(date, schedule.startTime, schedule.timezone);
+  // An end at or before the start time is on the next morning
+  const endDate = schedule.endTime > schedule.startTime ? date : addDays(date, 1);
+  return {
+    night,
+    name: schedule.nights > 1 ? `${schedule.name} ${night}` : schedule.name,
+    date,
+    start,
+    end: zonedTime(endDate, schedule.endTime, schedule.timezone),
+    status: 'scheduled',
+    sessionId: null,
+    warning: null
+  };
+}
+
+// Validates a schedule as sent to the API: { name, date, startTime, endTime,
+// nights, timezone }. nights defaults to 1 and timezone to `defaultTimezone`.
+// Returns { schedule, errors }, where schedule carries its nights.
+function normalizeSchedule(input, defaultTimezone) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { schedule: null, errors: [{ field: '', message: 'must be an object' }] };
+  }
+
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (input.name !== undefined && input.name !== null && typeof input.name !== 'string') errors.push({ field: 'name', message: 'must be a string' });
+  else if (!name) errors.push({ field: 'name', message: 'is required' });
+  else if (name.length > MAX_NAME_LENGTH) errors.push({ field: 'name', message: `must be at most ${MAX_NAME_LENGTH} characters` });
+
+  const date = typeof input.date === 'string' ? input.date.trim() : null;
+  if (!date) errors.push({ field: 'date', message: 'is required' });
+  else if (!DATE_PATTERN.test(date) || addDays(date, 0) !== date) errors.push({ field: 'date', message: 'must be a date like 2026-10-20' });
+
+  for (const field of ['startTime', 'endTime']) {
+    if (input[field] === undefined || input[field] === null) errors.push({ field, message: 'is required' });
+    else if (typeof input[field] !== 'string' || !TIME_PATTERN.test(input[field].trim())) errors.push({ field, message: 'must be a 24-hour time like 21:00' });
+  }
+  const startTime = typeof input.startTime === 'string' ? input.startTime.trim() : null;
+  const endTime = typeof input.endTime === 'string' ? input.endTime.trim() : null;
+  if (startTime && startTime === endTime) errors.push({ field: 'endTime', message: 'must differ from startTime' });
+
+  const nights = input.nights ?? 1;
+  if (!Number.isInteger(nights) || nights < 1 || nights > MAX_NIGHTS) {
+    errors.push({ field: 'nights', message: `must be a whole number from 1 to ${MAX_NIGHTS}` });
+  }
+
+  const timezone = resolveTimezone(input.timezone ?? defaultTimezone);
+  if (!timezone) errors.push({ field: 'timezone', message: 'must be an IANA time zone like Asia/Kolkata' });
+
+  if (errors.length > 0) return { schedule: null, errors };
+
+  const schedule = { name, timezone, date, startTime, endTime, nights };
+  schedule.occurrences = Array.from({ length: nights }, (_, index) => buildNight(schedule, index + 1));
+  return { schedule, errors };
+}
+
+module.exports = {
+  resolveTimezone,
+  formatZoned,
+  normalizeSchedule
+};
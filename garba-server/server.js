@@ -1,9 +1,30 @@
 const express = require('express');
 const cors = require('cors');
 const os = require('os');
+const dgram = require('dgram');
+const { decode: decodeMsgpack } = require('@msgpack/msgpack');
+const { startEmbeddedBroker, createMqttBridge } = require('./mqtt-bridge');
+const { createStorage, TIMESERIES_TIERS } = require('./storage');
+const { createBackupStore } = require('./backups');
+const { createJournal } = require('./journal');
+const { createConfig } = require('./config');
+const { FILE_FORMATS, normalizeParticipant, normalizeHolder, holderKey, parseParticipantSheet, writeParticipantSheet } = require('./participants');
+const { formatZoned, normalizeSchedule } = require('./schedule');
+
+// Defaults, then data/config.json (or CONFIG_FILE), then environment
+// variables. A bad value stops the server before it touches any data.
+let config;
+try {
+  config = createConfig({ file: process.env.CONFIG_FILE || './data/config.json' });
+} catch (error) {
+  console.error('❌ Invalid configuration:');
+  for (const message of error.errors || [error.message]) console.error(`   ${message}`);
+  process.exit(1);
+}
 
 const app = express();
-const PORT = 3000;
+const PORT = config.values.port;
+const UDP_PORT = config.values.udpPort;
 
 // ============================================================================
 // DATA STORAGE
@@ -13,19 +34,32 @@ const PORT = 3000;
 const deviceData = new Map();           // deviceId -> device info
 const receiverData = new Map();         // receiverId -> receiver info
 const deviceToReceiver = new Map();     // deviceId -> best receiverId
+const receiverStats = new Map();        // receiverId -> ingestion counters
+const receiverTelemetry = new Map();    // receiverId -> heartbeat samples
+const encodingStats = {                 // Receiver reports per body encoding
+  json: { requests: 0, bytes: 0, errors: 0 },
+  lines: { requests: 0, bytes: 0, errors: 0 },
+  msgpack: { requests: 0, bytes: 0, errors: 0 }
+};
 
 // Enhanced tracking
 const connectionLogs = [];              // Connection history
 const deviceHistory = new Map();       // Already exists, but enhance it
 const offlineDevices = new Map();      // NEW: Store offline device data
 const systemHistory = [];              // NEW: Store system statistics history
-const fs = require('fs').promises;
-const path = require('path');
+const participants = new Map();         // deviceId -> band registry entry
+const receiverRegistry = new Map();     // receiverId -> name, zone and plan position
+const admission = new Map();            // deviceId -> allowed, blocked or quarantined entry
+const assignments = new Map();          // id -> band check-out, open or returned
+const assignmentsByDevice = new Map();  // deviceId -> its assignments, oldest start first
+const sessions = new Map();             // id -> named event session, running or archived
+const schedules = new Map();            // id -> sessions planned ahead, one per night
 
 const serverStats = {
   startTime: Date.now(),
   totalRequests: 0,
-  totalSteps: 0,
+  totalSteps: 0,          // Event grand total, only counts up
+  activeSteps: 0,         // Steps of devices reporting right now
   activeDevices: 0,
   activeReceivers: 0
 };
@@ -35,44 +69,90 @@ const serverStats = {
 // ============================================================================
 
 const DATA_DIR = './data';
-const DEVICE_HISTORY_FILE = path.join(DATA_DIR, 'device_history.json');
-const SYSTEM_HISTORY_FILE = path.join(DATA_DIR, 'system_history.json');
-const OFFLINE_DEVICES_FILE = path.join(DATA_DIR, 'offline_devices.json');
 
-async function ensureDataDirectory() {
-  try {
-    await fs.access(DATA_DIR);
-  } catch (error) {
-    await fs.mkdir(DATA_DIR, { recursive: true });
-    console.log('📁 Created data directory for persistence');
-  }
+// Replaying the journal runs the normal ingestion code on the journal's
+// timestamps instead of the wall clock, without logging or storing anything
+let replayClock = null;
+
+function currentTime() {
+  return replayClock !== null ? replayClock : Date.now();
+}
+
+// 300000 -> '5 minutes', 90000 -> '90 seconds'
+function formatDuration(ms) {
+  if (ms % 3600000 === 0) return ms === 3600000 ? '1 hour' : `${ms / 3600000} hours`;
+  if (ms % 60000 === 0) return ms === 60000 ? '1 minute' : `${ms / 60000} minutes`;
+  return `${Math.round(ms / 1000)} seconds`;
 }
 
+// Query parameter as epoch ms or ISO date; NaN when it is neither
+function parseTimeParam(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(time) ? time : NaN;
+}
+
+// Whoever has the band checked out, else its registry name, e.g. '#12 Priya
+// Shah', or the last three bytes of its MAC for a band nobody registered
+function deviceLabel(deviceId) {
+  const holder = openAssignment(deviceId);
+  if (holder) return `${holder.bandNumber !== null ? `#${holder.bandNumber}` : deviceId.substring(9)} ${holder.name}`;
+  const participant = participants.get(deviceId);
+  return participant ? `#${participant.bandNumber} ${participant.name}` : deviceId.substring(9);
+}
+
+// Registered name of a receiver, e.g. 'Stage left', or the last two bytes of
+// its MAC
+function receiverLabel(receiverId) {
+  const receiver = receiverRegistry.get(receiverId);
+  return receiver ? receiver.name : receiverId.substring(12);
+}
+
+// SQLite by default; STORAGE_ENGINE=json keeps the old device_history.json,
+// system_history.json and offline_devices.json files
+const STORAGE_ENGINE = config.values.storageEngine;
+let storage = null;
+
+// Step samples are coalesced per device and written in one batch. A device
+// whose count is not moving still gets a sample every minute so its battery
+// and signal curves keep going.
+const SAMPLE_FLUSH_INTERVAL_MS = 5000;
+const SAMPLE_HEARTBEAT_MS = 60000;
+const TIMESERIES_ROLLUP_INTERVAL_MS = 60000;
+const pendingSamples = new Map();       // deviceId -> latest unsaved sample
+const lastQueuedSample = new Map();     // deviceId -> { lifetimeSteps, time } of the last queued sample
+
+// Every addLog() entry also goes to data/logs/connections-<time>.ndjson, which
+// is what /api/logs queries. The combined.log and error.log an older build
+// left in data/logs/ are not touched.
+const LOG_CONFIG = {
+  dir: `${DATA_DIR}/logs`,
+  rotateBytes: config.values.logRotateBytes,
+  retentionDays: config.values.logRetentionDays
+};
+const LOG_PAGE_SIZE = 100;
+const MAX_LOG_PAGE_SIZE = 1000;
+const logStore = createJournal({
+  dir: LOG_CONFIG.dir,
+  prefix: 'connections',
+  rotateBytes: LOG_CONFIG.rotateBytes,
+  retentionDays: LOG_CONFIG.retentionDays
+});
+
 async function saveHistoryData() {
+  if (!storage || replayBacklog) return;   // Half-rebuilt state stays unsaved
+  
   try {
-    await ensureDataDirectory();
-    
-    // Convert Maps to Objects for JSON serialization
-    const deviceHistoryObj = {};
-    for (const [key, value] of deviceHistory.entries()) {
-      deviceHistoryObj[key] = value;
+    flushDeviceSamples();
+    await storage.save({ deviceHistory, offlineDevices, systemHistory, receiverTelemetry });
+    if (admissionDirty) {
+      admissionDirty = false;
+      await storage.saveAdmission(admission);
     }
-    
-    const offlineDevicesObj = {};
-    for (const [key, value] of offlineDevices.entries()) {
-      offlineDevicesObj[key] = value;
+    if (assignmentsDirty) {
+      assignmentsDirty = false;
+      await storage.saveAssignments(assignments);
     }
-    
-    // Save device history
-    await fs.writeFile(DEVICE_HISTORY_FILE, JSON.stringify(deviceHistoryObj, null, 2));
-    
-    // Save system history (limit to last 500 records to prevent huge files)
-    const limitedSystemHistory = systemHistory.slice(0, 500);
-    await fs.writeFile(SYSTEM_HISTORY_FILE, JSON.stringify(limitedSystemHistory, null, 2));
-    
-    // Save offline devices
-    await fs.writeFile(OFFLINE_DEVICES_FILE, JSON.stringify(offlineDevicesObj, null, 2));
-    
     console.log('💾 History data saved successfully');
     
   } catch (error) {
@@ -80,61 +160,103 @@ async function saveHistoryData() {
   }
 }
 
+// Throws when the stored data cannot be read: running on empty Maps would
+// have the next autosave delete it
 async function loadHistoryData() {
-  try {
-    await ensureDataDirectory();
-    
-    // Load device history
-    try {
-      const deviceHistoryData = await fs.readFile(DEVICE_HISTORY_FILE, 'utf8');
-      const deviceHistoryObj = JSON.parse(deviceHistoryData);
-      deviceHistory.clear();
-      for (const [key, value] of Object.entries(deviceHistoryObj)) {
-        deviceHistory.set(key, value);
-      }
-      console.log(`📚 Loaded ${deviceHistory.size} device histories`);
-    } catch (error) {
-      console.log('📚 No existing device history file found');
-    }
-    
-    // Load system history
-    try {
-      const systemHistoryData = await fs.readFile(SYSTEM_HISTORY_FILE, 'utf8');
-      const systemHistoryArray = JSON.parse(systemHistoryData);
-      systemHistory.length = 0;
-      systemHistory.push(...systemHistoryArray);
-      console.log(`📊 Loaded ${systemHistory.length} system history records`);
-    } catch (error) {
-      console.log('📊 No existing system history file found');
-    }
-    
-    // Load offline devices
-    try {
-      const offlineDevicesData = await fs.readFile(OFFLINE_DEVICES_FILE, 'utf8');
-      const offlineDevicesObj = JSON.parse(offlineDevicesData);
-      offlineDevices.clear();
-      for (const [key, value] of Object.entries(offlineDevicesObj)) {
-        offlineDevices.set(key, value);
-      }
-      console.log(`📱 Loaded ${offlineDevices.size} offline devices`);
-    } catch (error) {
-      console.log('📱 No existing offline devices file found');
-    }
-    
-  } catch (error) {
-    console.error('❌ Failed to load history data:', error.message);
+  const engine = createStorage({
+    engine: STORAGE_ENGINE,
+    dataDir: DATA_DIR,
+    systemHistoryCache: config.values.systemHistoryCap,
+    logCache: config.values.connectionLogCap
+  });
+  console.log(`🗄️ Storage engine: ${engine.engine}`);
+  
+  // Nothing is saved until the stored state is back in memory
+  const state = await engine.load();
+  storage = engine;
+  
+  deviceHistory.clear();
+  for (const [key, value] of state.deviceHistory.entries()) {
+    deviceHistory.set(key, value);
+  }
+  console.log(`📚 Loaded ${deviceHistory.size} device histories`);
+  
+  systemHistory.length = 0;
+  systemHistory.push(...state.systemHistory);
+  console.log(`📊 Loaded ${systemHistory.length} system history records`);
+  
+  offlineDevices.clear();
+  for (const [key, value] of state.offlineDevices.entries()) {
+    offlineDevices.set(key, value);
+  }
+  console.log(`📱 Loaded ${offlineDevices.size} offline devices`);
+  
+  receiverTelemetry.clear();
+  for (const [key, value] of state.receiverTelemetry.entries()) {
+    receiverTelemetry.set(key, value);
+  }
+  console.log(`🩺 Loaded telemetry for ${receiverTelemetry.size} receivers`);
+  
+  participants.clear();
+  for (const [key, value] of state.participants.entries()) {
+    participants.set(key, value);
+  }
+  console.log(`🎫 Loaded ${participants.size} registered bands`);
+  
+  receiverRegistry.clear();
+  for (const [key, value] of state.receiverRegistry.entries()) {
+    receiverRegistry.set(key, value);
+  }
+  console.log(`📍 Loaded ${receiverRegistry.size} registered receivers`);
+  
+  admission.clear();
+  for (const [key, value] of state.admission.entries()) {
+    admission.set(key, value);
+  }
+  console.log(`🚧 Loaded ${admission.size} admission entries (admission mode: ${config.values.admissionMode})`);
+  
+  // JSON keys come back as strings, the ids inside do not. Assignments
+  // saved before band swaps have no swap fields.
+  assignments.clear();
+  assignmentsByDevice.clear();
+  for (const value of state.assignments.values()) {
+    const assignment = { swappedFrom: null, swappedTo: null, carriedSteps: 0, swapLifetime: null, ...value };
+    assignments.set(assignment.id, assignment);
+    indexAssignment(assignment);
+  }
+  console.log(`🎟️ Loaded ${assignments.size} band assignments (${Array.from(assignments.values()).filter(a => a.end === null).length} checked out)`);
+  
+  sessions.clear();
+  for (const value of state.sessions.values()) {
+    sessions.set(value.id, value);
+  }
+  const running = activeSession();
+  console.log(`🏁 Loaded ${sessions.size} sessions${running ? ` ("${running.name}" running)` : ''}`);
+  
+  schedules.clear();
+  for (const value of state.schedules.values()) {
+    schedules.set(value.id, value);
+  }
+  console.log(`📅 Loaded ${schedules.size} session schedules`);
+  
+  // Logs from before the restart, behind anything logged while loading
+  connectionLogs.push(...state.connectionLogs);
+  connectionLogs.length = Math.min(connectionLogs.length, config.values.connectionLogCap);
+  
+  // First start with log files: seed them with what the engine kept
+  if (logStore.list().length === 0 && state.connectionLogs.length > 0) {
+    for (const log of [...state.connectionLogs].reverse()) logStore.append(log);
+    console.log(`📋 Copied ${state.connectionLogs.length} stored logs to ${LOG_CONFIG.dir}/`);
   }
 }
 
 async function clearHistoryFiles() {
+  if (!storage) return;
+  
   try {
-    await ensureDataDirectory();
-    
-    // Clear the files by writing empty data
-    await fs.writeFile(DEVICE_HISTORY_FILE, JSON.stringify({}, null, 2));
-    await fs.writeFile(SYSTEM_HISTORY_FILE, JSON.stringify([], null, 2));
-    await fs.writeFile(OFFLINE_DEVICES_FILE, JSON.stringify({}, null, 2));
-    
+    pendingSamples.clear();
+    lastQueuedSample.clear();
+    await storage.clearHistory();
     console.log('🗑️ History files cleared');
     
   } catch (error) {
@@ -142,6 +264,46 @@ async function clearHistoryFiles() {
   }
 }
 
+function queueDeviceSample(deviceId, device) {
+  if (replayClock !== null) return;
+  
+  const last = lastQueuedSample.get(deviceId);
+  if (last && last.lifetimeSteps === device.lifetimeSteps && device.lastSeen - last.time < SAMPLE_HEARTBEAT_MS) return;
+  lastQueuedSample.set(deviceId, { lifetimeSteps: device.lifetimeSteps, time: device.lastSeen });
+  
+  pendingSamples.set(deviceId, {
+    deviceId,
+    time: device.lastSeen,
+    stepCount: device.stepCount,
+    lifetimeSteps: device.lifetimeSteps,
+    batteryLevel: device.batteryLevel,
+    signalStrength: device.signalStrength,
+    receiverId: device.bestReceiverId
+  });
+}
+
+function flushDeviceSamples() {
+  if (!storage || pendingSamples.size === 0) return;
+  
+  try {
+    storage.appendSamples(Array.from(pendingSamples.values()));
+    pendingSamples.clear();
+  } catch (error) {
+    console.error('❌ Failed to write step samples:', error.message);
+  }
+}
+
+function rollupTimeseries() {
+  if (!storage) return;
+  
+  try {
+    flushDeviceSamples();
+    storage.rollupSamples(Date.now());
+  } catch (error) {
+    console.error('❌ Failed to roll up step samples:', error.message);
+  }
+}
+
 function getLocalIP() {
   const interfaces = os.networkInterfaces();
   for (const name of Object.keys(interfaces)) {
@@ -159,6 +321,8 @@ function getPCName() {
 }
 
 function addLog(type, message, extra = {}) {
+  if (replayClock !== null) return;
+  
   const log = {
     id: Date.now() + Math.random(),
     timestamp: new Date().toLocaleString(),
@@ -170,12 +334,27 @@ function addLog(type, message, extra = {}) {
 
   connectionLogs.unshift(log);
 
-  // Keep only last 200 logs
-  if (connectionLogs.length > 200) {
-    connectionLogs.length = 200;
+  // Keep only the last connectionLogCap logs
+  if (connectionLogs.length > config.values.connectionLogCap) {
+    connectionLogs.length = config.values.connectionLogCap;
   }
 
   console.log(`📋 LOG [${type}]: ${message}`);
+  publishMqttEvent(log);
+  
+  if (storage) {
+    try {
+      storage.appendLog(log);
+    } catch (error) {
+      console.error('❌ Failed to store log:', error.message);
+    }
+  }
+  
+  try {
+    logStore.append(log);
+  } catch (error) {
+    console.error('❌ Failed to write log file:', error.message);
+  }
 }
 
 function updateDeviceHistory(deviceId, stepCount, batteryLevel) {
@@ -188,35 +367,40 @@ function updateDeviceHistory(deviceId, stepCount, batteryLevel) {
       const offlineHistory = offlineDevices.get(deviceId).history;
       deviceHistory.set(deviceId, {
         ...offlineHistory,
-        lastOnlineTime: Date.now() // Update the last online time
+        lastOnlineTime: currentTime() // Update the last online time
       });
       wasReconnecting = true;
-      addLog('device-update', `Device ${deviceId.substring(9)} history restored from offline state`, { deviceId });
+      addLog('device-update', `Device ${deviceLabel(deviceId)} history restored from offline state`, { deviceId });
     } else {
       // Completely new device
       deviceHistory.set(deviceId, {
-        firstSeen: Date.now(),
+        firstSeen: currentTime(),
         totalUpdates: 0,
         peakSteps: 0,
         minBattery: 100,
         maxBattery: 0,
-        lastOnlineTime: Date.now(),
+        lastOnlineTime: currentTime(),
         totalOnlineTime: 0,
-        disconnectionCount: 0
+        disconnectionCount: 0,
+        stepOffset: 0,          // Steps banked from earlier counter runs
+        lastRawSteps: 0,        // Last raw counter value accepted
+        lastRawAt: 0,           // When that raw value was sampled
+        lifetimeSteps: 0,       // stepOffset + lastRawSteps
+        counterResets: 0
       });
-      addLog('device-connect', `New device ${deviceId.substring(9)} connected`, { deviceId });
+      addLog('device-connect', `New device ${deviceLabel(deviceId)} connected`, { deviceId });
     }
   }
   
   const history = deviceHistory.get(deviceId);
   history.totalUpdates++;
-  history.lastUpdate = Date.now();
-  history.lastOnlineTime = Date.now();
+  history.lastUpdate = currentTime();
+  history.lastOnlineTime = currentTime();
   
   if (stepCount > history.peakSteps) {
     history.peakSteps = stepCount;
     if (!wasReconnecting) {
-      addLog('device-update', `Device ${deviceId.substring(9)} reached ${stepCount} steps (new peak)`, { deviceId, stepCount });
+      addLog('device-update', `Device ${deviceLabel(deviceId)} reached ${stepCount} steps (new peak)`, { deviceId, stepCount });
     }
   }
   
@@ -224,6 +408,71 @@ function updateDeviceHistory(deviceId, stepCount, batteryLevel) {
   if (batteryLevel > history.maxBattery) history.maxBattery = batteryLevel;
 }
 
+// Transmitters restart their counter at 0 on reboot. Bank the previous run in
+// stepOffset so the lifetime total never goes backwards. Small drops are stale
+// copies from a receiver that missed the latest packets, not a reboot.
+const COUNTER_RESET_TOLERANCE = 10;
+
+// Silences longer than this are remembered as gaps, so a receiver that was
+// off WiFi can fill them in later from its buffer (see RECEIVER BACKFILL)
+const STEP_GAP_MS = 30000;
+const MAX_OPEN_GAPS = 5;
+
+function updateLifetimeSteps(deviceId, rawSteps, sampleTime) {
+  const history = deviceHistory.get(deviceId);
+  if (!history) return rawSteps;
+
+  // Histories saved before lifetime tracking start from the current counter
+  if (history.lifetimeSteps === undefined) {
+    history.stepOffset = 0;
+    history.lastRawSteps = rawSteps;
+    history.lastRawAt = sampleTime;
+    history.lifetimeSteps = rawSteps;
+    history.counterResets = 0;
+    return history.lifetimeSteps;
+  }
+
+  // Anything not newer than the last sample is a stale copy, e.g. a receiver
+  // with better signal still holding the count from before a reset. Higher
+  // counts too: taken as an increase they would land on top of the offset.
+  if (sampleTime <= history.lastRawAt) return history.lifetimeSteps;
+
+  let banked = false;
+  if (rawSteps < history.lastRawSteps) {
+    const drop = history.lastRawSteps - rawSteps;
+    if (drop <= COUNTER_RESET_TOLERANCE) {
+      return history.lifetimeSteps;
+    }
+
+    history.stepOffset += history.lastRawSteps;
+    history.counterResets++;
+    banked = true;
+    addLog('device-reset', `Device ${deviceLabel(deviceId)} counter reset (${history.lastRawSteps} → ${rawSteps}), banked ${history.lastRawSteps} steps`, { deviceId, previousSteps: history.lastRawSteps, stepCount: rawSteps });
+  }
+
+  if (history.lastRawAt > 0 && sampleTime - history.lastRawAt > STEP_GAP_MS) {
+    if (!history.gaps) history.gaps = [];
+    history.gaps.push({
+      from: history.lastRawAt,
+      fromSteps: history.lastRawSteps,
+      to: sampleTime,
+      toSteps: rawSteps,
+      banked,
+      samples: [],
+      recoveredSteps: 0,
+      recoveredResets: 0
+    });
+    if (history.gaps.length > MAX_OPEN_GAPS) history.gaps.shift();
+  }
+
+  const previousLifetime = history.lifetimeSteps;
+  history.lastRawSteps = rawSteps;
+  history.lastRawAt = sampleTime;
+  history.lifetimeSteps = history.stepOffset + rawSteps;
+  creditSteps(deviceId, history.lifetimeSteps - previousLifetime, sampleTime);
+  return history.lifetimeSteps;
+}
+
 function checkForReconnectingDevices(receivedDeviceIds) {
   const reconnectedDevices = [];
   
@@ -237,76 +486,109 @@ function checkForReconnectingDevices(receivedDeviceIds) {
   return reconnectedDevices;
 }
 
+// A challenger must beat the current receiver by this many score points
+// (dB or seconds of recency) before a device is handed over
+const HANDOVER_MARGIN = 3;
+
 function calculateBestReceiver(deviceId) {
   let bestReceiver = null;
   let bestScore = -Infinity;
-  let bestTime = 0;
+  let currentScore = null;
+  const currentReceiver = deviceToReceiver.get(deviceId);
 
   // Check all receivers that have data for this device
   for (const [receiverId, receiver] of receiverData.entries()) {
     if (receiver.devices && receiver.devices.has(deviceId)) {
       const deviceInfo = receiver.devices.get(deviceId);
-      const timeSinceUpdate = Date.now() - deviceInfo.lastUpdate;
+      // lastUpdate is already on the server clock (see alignReceiverTime)
+      const timeSinceUpdate = currentTime() - deviceInfo.lastUpdate;
 
       // Score based on signal strength and recency
       const score = deviceInfo.signalStrength - (timeSinceUpdate / 1000);
 
+      if (receiverId === currentReceiver) currentScore = score;
+
       if (score > bestScore) {
         bestScore = score;
         bestReceiver = receiverId;
-        bestTime = deviceInfo.lastUpdate;
       }
     }
   }
 
+  if (currentScore !== null && bestScore - currentScore < HANDOVER_MARGIN) {
+    return currentReceiver;
+  }
+
   return bestReceiver;
 }
 
+// Lifetime steps of every band seen this event, online or offline
+function calculateGrandTotal() {
+  let grandTotal = 0;
+
+  for (const [deviceId, history] of deviceHistory.entries()) {
+    grandTotal += history.lifetimeSteps !== undefined ? history.lifetimeSteps : history.peakSteps;
+  }
+
+  // Offline devices whose live history was dropped still carry a snapshot
+  for (const [deviceId, device] of offlineDevices.entries()) {
+    if (deviceHistory.has(deviceId)) continue;
+    grandTotal += device.lifetimeSteps || (device.history && device.history.lifetimeSteps) || device.stepCount || 0;
+  }
+
+  return grandTotal;
+}
+
 function updateStatistics() {
-  const now = Date.now();
-  const fiveMinutesAgo = now - 300000;  // 5 minutes for devices
-  const oneMinuteAgo = now - 60000;     // 1 minute for receivers
+  const now = currentTime();
+  const deviceCutoff = now - config.values.deviceOfflineMs;
+  const receiverCutoff = now - config.values.receiverTimeoutMs;
 
   serverStats.activeDevices = 0;
-  serverStats.totalSteps = 0;
+  serverStats.activeSteps = 0;
 
-  // Count ONLY devices that are actively reporting (updated in last 5 minutes)
+  // Count ONLY devices that are actively reporting (updated within deviceOfflineMs)
   const activeDevices = new Set();
 
   for (const [deviceId, device] of deviceData.entries()) {
-    // Only count devices that have been seen in the last 5 minutes
-    if (device.lastSeen > fiveMinutesAgo) {
+    // Only count devices that have been seen since the cutoff
+    if (device.lastSeen > deviceCutoff) {
       activeDevices.add(deviceId);
-      serverStats.totalSteps += device.stepCount;
+      serverStats.activeSteps += device.lifetimeSteps || device.stepCount;
     }
   }
 
   serverStats.activeDevices = activeDevices.size;
 
-  // Count active receivers (updated in last 1 minute)
+  // The grand total never drops while the event runs - only an explicit
+  // history clear or system reset brings it back down
+  serverStats.totalSteps = Math.max(serverStats.totalSteps, calculateGrandTotal());
+
+  // Count active receivers (updated within receiverTimeoutMs)
   serverStats.activeReceivers = 0;
 
   for (const [receiverId, receiver] of receiverData.entries()) {
-    if (receiver.lastSeen > oneMinuteAgo) {
+    if (receiver.lastSeen > receiverCutoff) {
       serverStats.activeReceivers++;
     }
   }
 
   // Debug logging
-  console.log(`📊 STATS: ${serverStats.totalSteps} steps from ${serverStats.activeDevices} active devices (${activeDevices.size} unique), ${serverStats.activeReceivers} receivers online`);
+  if (replayClock === null) console.log(`📊 STATS: ${serverStats.totalSteps} total steps, ${serverStats.activeSteps} from ${serverStats.activeDevices} active devices (${activeDevices.size} unique), ${serverStats.activeReceivers} receivers online`);
 }
 
 function cleanupOldData() {
-  const now = Date.now();
-  const fiveMinutesAgo = now - 300000;  // 5 minutes for devices
-  const oneMinuteAgo = now - 60000;     // 1 minute for receivers
+  if (replayBacklog && replayClock === null) return;
+  const now = currentTime();
+  const deviceCutoff = now - config.values.deviceOfflineMs;
+  const receiverCutoff = now - config.values.receiverTimeoutMs;
   
   let cleanedDevices = 0;
   let cleanedReceivers = 0;
   
   // Move offline devices to offline storage before cleaning
   for (const [deviceId, device] of deviceData.entries()) {
-    if (device.lastSeen < fiveMinutesAgo) {
+    if (device.lastSeen < deviceCutoff) {
       // Check if this device is already in offline storage
       if (!offlineDevices.has(deviceId)) {
         // Store in offline devices
@@ -323,7 +605,7 @@ function cleanupOldData() {
           history.totalOnlineTime += (now - history.lastOnlineTime);
         }
         
-        addLog('device-disconnect', `Device ${deviceId.substring(9)} went offline (inactive for 5+ minutes)`, { deviceId });
+        addLog('device-disconnect', `Device ${deviceLabel(deviceId)} went offline (inactive for ${formatDuration(config.values.deviceOfflineMs)}+)`, { deviceId });
       }
       
       // Remove from active devices
@@ -336,28 +618,52 @@ function cleanupOldData() {
   // Clean old device data from receivers
   for (const [receiverId, receiver] of receiverData.entries()) {
     for (const [deviceId, deviceInfo] of receiver.devices.entries()) {
-      if (deviceInfo.lastUpdate < fiveMinutesAgo) {
+      if (deviceInfo.lastUpdate < deviceCutoff) {
         receiver.devices.delete(deviceId);
       }
     }
   }
   
-  // Clean old receivers (haven't been seen for 1+ minute)
+  // Clean old receivers (not seen within receiverTimeoutMs)
   for (const [receiverId, receiver] of receiverData.entries()) {
-    if (receiver.lastSeen < oneMinuteAgo) {
-      receiverData.delete(receiverId);
+    if (receiver.lastSeen < receiverCutoff) {
+      removeReceiver(receiverId, `inactive for ${formatDuration(config.values.receiverTimeoutMs)}+`);
       cleanedReceivers++;
-      addLog('receiver-disconnect', `Receiver ${receiverId.substring(12)} disconnected (inactive for 1+ minute)`, { receiverId });
     }
   }
   
+  const droppedQuarantine = replayClock === null ? pruneQuarantine(now) : 0;
+  if (droppedQuarantine > 0) {
+    addLog('admission', `Cleanup: dropped ${droppedQuarantine} undecided devices from quarantine (silent for ${formatDuration(config.values.quarantineMaxAgeMs)}+)`);
+  }
+  
   if (cleanedDevices > 0 || cleanedReceivers > 0) {
     addLog('system', `Cleanup: moved ${cleanedDevices} devices offline, removed ${cleanedReceivers} disconnected receivers`);
-    console.log(`🧹 CLEANUP: Moved ${cleanedDevices} devices offline, removed ${cleanedReceivers} old receivers`);
+    if (replayClock === null) console.log(`🧹 CLEANUP: Moved ${cleanedDevices} devices offline, removed ${cleanedReceivers} old receivers`);
   }
 }
 
+// Drops a receiver and hands its devices to the next best receiver, if any
+function removeReceiver(receiverId, reason) {
+  receiverData.delete(receiverId);
+  
+  for (const [deviceId, bestReceiverId] of Array.from(deviceToReceiver.entries())) {
+    if (bestReceiverId !== receiverId) continue;
+    
+    deviceToReceiver.delete(deviceId);
+    const nextReceiverId = calculateBestReceiver(deviceId);
+    const device = deviceData.get(deviceId);
+    if (nextReceiverId && device) {
+      deviceToReceiver.set(deviceId, nextReceiverId);
+      device.bestReceiverId = nextReceiverId;
+    }
+  }
+  
+  addLog('receiver-disconnect', `Receiver ${receiverLabel(receiverId)} disconnected (${reason})`, { receiverId });
+}
+
 function recordSystemHistory() {
+  if (replayBacklog) return;
   const now = Date.now();
   updateStatistics(); // Ensure stats are current
   
@@ -366,7 +672,7 @@ function recordSystemHistory() {
   for (const [deviceId, device] of offlineDevices.entries()) {
     offlineDeviceList.push({
       id: deviceId,
-      name: deviceId.substring(9),
+      name: deviceLabel(deviceId),
       offlineSince: new Date(device.offlineTime).toLocaleString(),
       offlineDuration: Math.floor((now - device.offlineTime) / 1000),
       lastSteps: device.stepCount,
@@ -381,6 +687,7 @@ function recordSystemHistory() {
     timestamp: now,
     dateTime: new Date(now).toLocaleString(),
     totalSteps: serverStats.totalSteps,
+    activeSteps: serverStats.activeSteps,
     activeDevices: serverStats.activeDevices,
     activeReceivers: serverStats.activeReceivers,
     totalRequests: serverStats.totalRequests,
@@ -390,10 +697,11 @@ function recordSystemHistory() {
   };
   
   systemHistory.unshift(historyRecord);
+  if (storage) storage.appendSystemRecord(historyRecord);
   
-  // Keep only last 500 records in memory
-  if (systemHistory.length > 500) {
-    systemHistory.length = 500;
+  // Keep only the last systemHistoryCap records in memory
+  if (systemHistory.length > config.values.systemHistoryCap) {
+    systemHistory.length = config.values.systemHistoryCap;
   }
   
   // Save to file every 10 records to avoid excessive I/O
@@ -404,186 +712,3078 @@ function recordSystemHistory() {
 
 
 // ============================================================================
-// EXPRESS MIDDLEWARE
+// RECEIVER INGESTION
 // ============================================================================
 
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+// Declared shape of a receiver report. Bump the version when a field changes
+// meaning; receivers may send `schemaVersion` to pin the one they were built for.
+const MAC_PATTERN = /^([0-9A-F]{2}:){5}[0-9A-F]{2}$/i;
+
+const RECEIVER_PAYLOAD_SCHEMA = {
+  version: 1,
+  supportedVersions: [1],
+  report: {
+    receiverId: { type: 'string', required: true, pattern: MAC_PATTERN },
+    timestamp: { type: 'number', integer: true, min: 0 },
+    deviceCount: { type: 'number', integer: true, min: 0 },
+    devices: { type: 'array', required: true, maxItems: 250 },
+    receiverPriority: { type: 'number' },
+    schemaVersion: { type: 'number', integer: true },
+    firmwareVersion: { type: 'string', maxLength: 32 }
+  },
+  device: {
+    deviceId: { type: 'string', required: true, pattern: MAC_PATTERN },
+    stepCount: { type: 'number', required: true, integer: true, min: 0 },
+    batteryLevel: { type: 'number', min: 0, max: 100, default: 0 },
+    lastSeen: { type: 'number', min: 0, default: 0 },
+    signalStrength: { type: 'number', min: -127, max: 0, default: -100 }
+  }
+};
 
-// Request logging
-app.use((req, res, next) => {
-  serverStats.totalRequests++;
+function validateFields(value, fields) {
+  const errors = [];
 
-  const start = Date.now();
-  res.on('finish', () => {
-    const duration = Date.now() - start;
-    console.log(`📡 ${req.method} ${req.url} - ${res.statusCode} (${duration}ms)`);
-  });
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return [{ field: '', message: 'must be an object' }];
+  }
 
-  next();
-});
+  for (const [field, rule] of Object.entries(fields)) {
+    const fieldValue = value[field];
 
-// ============================================================================
-// API ENDPOINTS
-// ============================================================================
+    if (fieldValue === undefined || fieldValue === null) {
+      if (rule.required) errors.push({ field, message: 'is required' });
+      continue;
+    }
 
-// Main receiver data endpoint
-app.post('/api/receiver-data', (req, res) => {
-  try {
-    const { receiverId, timestamp, deviceCount, devices: deviceList, receiverPriority } = req.body;
-    
-    if (!receiverId || !Array.isArray(deviceList)) {
-      return res.status(400).send('Invalid request format');
+    if (rule.type === 'array') {
+      if (!Array.isArray(fieldValue)) {
+        errors.push({ field, message: 'must be an array' });
+      } else if (rule.maxItems !== undefined && fieldValue.length > rule.maxItems) {
+        errors.push({ field, message: `must have at most ${rule.maxItems} entries` });
+      }
+      continue;
     }
-    
-    console.log(`📡 Receiver ${receiverId.substring(12)} sent ${deviceList.length} devices`);
-    
-    // Update receiver info
-    if (!receiverData.has(receiverId)) {
-      receiverData.set(receiverId, {
-        id: receiverId,
-        firstSeen: Date.now(),
-        devices: new Map(),
-        totalDevicesSeen: 0
-      });
-      addLog('receiver-connect', `Receiver ${receiverId.substring(12)} connected`, { receiverId });
+
+    if (rule.type === 'number' && (typeof fieldValue !== 'number' || !Number.isFinite(fieldValue))) {
+      errors.push({ field, message: 'must be a number' });
+      continue;
+    }
+    if (rule.type === 'string' && typeof fieldValue !== 'string') {
+      errors.push({ field, message: 'must be a string' });
+      continue;
+    }
+
+    if (rule.integer && !Number.isInteger(fieldValue)) errors.push({ field, message: 'must be an integer' });
+    if (rule.min !== undefined && fieldValue < rule.min) errors.push({ field, message: `must be >= ${rule.min}` });
+    if (rule.max !== undefined && fieldValue > rule.max) errors.push({ field, message: `must be <= ${rule.max}` });
+    if (rule.maxLength !== undefined && fieldValue.length > rule.maxLength) errors.push({ field, message: `must be at most ${rule.maxLength} characters` });
+    if (rule.pattern && !rule.pattern.test(fieldValue)) errors.push({ field, message: 'has an invalid format' });
+  }
+
+  return errors;
+}
+
+function applyDefaults(value, fields) {
+  const result = { ...value };
+  for (const [field, rule] of Object.entries(fields)) {
+    if ((result[field] === undefined || result[field] === null) && rule.default !== undefined) {
+      result[field] = rule.default;
+    }
+  }
+  return result;
+}
+
+// Ingestion counters outlive the receiver entry, which cleanupOldData() drops
+// after a minute of silence
+function getReceiverStats(receiverId) {
+  if (!receiverStats.has(receiverId)) {
+    receiverStats.set(receiverId, {
+      requests: 0,
+      rejectedRequests: 0,
+      acceptedEntries: 0,
+      rejectedEntries: 0,
+      rejectReasons: {},
+      firmwareVersion: null,
+      lastRequestAt: null,
+      lastRejectAt: null,
+      lastRejectReason: null,
+      lastTimestamp: null,      // Receiver millis() of the last applied report
+      lastPostAt: null,         // Server time of the last applied report
+      rebootCount: 0,
+      duplicatePosts: 0,
+      outOfOrderPosts: 0,
+      cadence: { meanInterval: null, jitter: 0, samples: 0 },
+      clock: { offset: null, lastDelay: null, samples: 0, window: [] }
+    });
+  }
+  return receiverStats.get(receiverId);
+}
+
+// Receivers stamp reports with millis(). A small step back is a delayed or
+// retried POST; a big one (or one after a long silence) means the receiver rebooted.
+const REORDER_WINDOW_MS = 10000;
+const CADENCE_SMOOTHING = 0.1;
+const CADENCE_MAX_INTERVAL_MS = 60000;
+
+function checkReceiverSequence(receiverId, stats, timestamp) {
+  const now = Date.now();
+  
+  if (timestamp === undefined) return 'unsequenced';
+  
+  if (stats.lastTimestamp !== null) {
+    if (timestamp === stats.lastTimestamp) {
+      stats.duplicatePosts++;
+      return 'duplicate';
     }
     
-    const receiver = receiverData.get(receiverId);
-    receiver.lastSeen = Date.now();
-    receiver.deviceCount = deviceCount;
-    receiver.priority = receiverPriority || 0;
-    
-    // Process each device
-    for (const device of deviceList) {
-      const { deviceId, stepCount, batteryLevel, lastSeen, signalStrength } = device;
-      
-      if (!deviceId || typeof stepCount !== 'number') continue;
-      
-      console.log(`  📱 Device ${deviceId.substring(9)}: ${stepCount} steps, ${batteryLevel}% battery`);
-      
-      // Check if this device was previously offline and is now reconnecting
-      if (offlineDevices.has(deviceId)) {
-        console.log(`  🔄 Device ${deviceId.substring(9)} reconnecting from offline state`);
-        
-        // Get the offline device data
-        const offlineDevice = offlineDevices.get(deviceId);
-        
-        // Restore device history if it exists
-        if (offlineDevice.history && !deviceHistory.has(deviceId)) {
-          deviceHistory.set(deviceId, offlineDevice.history);
-        }
-        
-        // Remove from offline devices
-        offlineDevices.delete(deviceId);
-        
-        // Log the reconnection
-        addLog('device-connect', `Device ${deviceId.substring(9)} reconnected (was offline)`, { deviceId });
+    if (timestamp < stats.lastTimestamp) {
+      const recentlyPosted = now - stats.lastPostAt <= REORDER_WINDOW_MS;
+      if (recentlyPosted && stats.lastTimestamp - timestamp <= REORDER_WINDOW_MS) {
+        stats.outOfOrderPosts++;
+        return 'out-of-order';
       }
       
-      // Update device history (this will create new entry if needed)
-      updateDeviceHistory(deviceId, stepCount, batteryLevel);
-      
-      // Store device data for this receiver
-      receiver.devices.set(deviceId, {
-        stepCount: stepCount,
-        batteryLevel: batteryLevel || 0,
-        lastUpdate: Date.now() - (lastSeen * 1000),
-        signalStrength: signalStrength || -100,
-        lastSeen: lastSeen || 0
-      });
-      
-      // Determine best receiver for this device
-      const bestReceiverId = calculateBestReceiver(deviceId);
-      if (bestReceiverId) {
-        deviceToReceiver.set(deviceId, bestReceiverId);
-        
-        const bestReceiverData = receiverData.get(bestReceiverId);
-        const bestDeviceData = bestReceiverData.devices.get(deviceId);
-        
-        // Update main device record (this moves it back to active devices)
-        deviceData.set(deviceId, {
-          id: deviceId,
-          stepCount: bestDeviceData.stepCount,
-          batteryLevel: bestDeviceData.batteryLevel,
-          bestReceiverId: bestReceiverId,
-          lastSeen: bestDeviceData.lastUpdate,
-          signalStrength: bestDeviceData.signalStrength
-        });
-        
-        console.log(`  ✅ Updated device ${deviceId.substring(9)} with ${bestDeviceData.stepCount} steps via receiver ${bestReceiverId.substring(12)}`);
-      }
+      stats.rebootCount++;
+      stats.clock.window = []; // millis() restarted, the old offset no longer applies
+      if (stats.udp) stats.udp.lastSeq = null; // So did the datagram counter
+      addLog('receiver-reboot', `Receiver ${receiverLabel(receiverId)} rebooted (clock ${stats.lastTimestamp}ms → ${timestamp}ms, reboot #${stats.rebootCount})`, { receiverId, previousTimestamp: stats.lastTimestamp, timestamp });
     }
-    
-    updateStatistics();
-    res.send('Data processed successfully');
-    
-  } catch (error) {
-    console.error('❌ Error processing receiver data:', error);
-    res.status(500).send('Internal server error');
   }
-});
+  
+  stats.lastTimestamp = timestamp;
+  return 'in-order';
+}
 
-app.get('/api/offline-summary', (req, res) => {
+// Smoothed interval between applied reports and how far each one strays from it
+function updateReceiverCadence(stats) {
   const now = Date.now();
-  const offlineDeviceSummary = [];
   
-  for (const [deviceId, device] of offlineDevices.entries()) {
-    const offlineDuration = Math.floor((now - device.offlineTime) / 1000);
+  if (stats.lastPostAt !== null) {
+    const interval = now - stats.lastPostAt;
+    const cadence = stats.cadence;
     
-    offlineDeviceSummary.push({
-      id: deviceId,
-      name: deviceId.substring(9),
-      lastSteps: device.stepCount,
-      lastBattery: device.batteryLevel,
-      lastReceiver: device.bestReceiverId ? device.bestReceiverId.substring(12) : 'Unknown',
-      offlineTime: offlineDuration,
-      offlineSince: new Date(device.offlineTime).toLocaleString(),
-      peakSteps: device.history ? device.history.peakSteps : device.stepCount,
-      totalUpdates: device.history ? device.history.totalUpdates : 0,
-      disconnectionCount: device.history ? device.history.disconnectionCount : 1
-    });
+    // Gaps longer than a minute are outages, not cadence
+    if (interval <= CADENCE_MAX_INTERVAL_MS) {
+      if (cadence.meanInterval === null) {
+        cadence.meanInterval = interval;
+      } else {
+        cadence.jitter += CADENCE_SMOOTHING * (Math.abs(interval - cadence.meanInterval) - cadence.jitter);
+        cadence.meanInterval += CADENCE_SMOOTHING * (interval - cadence.meanInterval);
+      }
+      cadence.samples++;
+    }
   }
   
-  // Sort by offline duration (longest offline first)
-  offlineDeviceSummary.sort((a, b) => b.offlineTime - a.offlineTime);
-  
-  res.json({
-    totalOffline: offlineDeviceSummary.length,
-    offlineDevices: offlineDeviceSummary
-  });
-});
+  stats.lastPostAt = now;
+}
 
-// Dashboard data
-app.get('/api/dashboard-data', (req, res) => {
-  updateStatistics();
-  res.json({
-    totalSteps: serverStats.totalSteps,
-    totalDevices: serverStats.activeDevices,
-    activeReceivers: serverStats.activeReceivers,
-    systemStatus: 'Online',
-    uptime: Math.floor((Date.now() - serverStats.startTime) / 1000),
-    totalRequests: serverStats.totalRequests,
-    lastUpdate: new Date().toISOString()
-  });
-});
-// History data endpoint
-app.get('/api/history', (req, res) => {
-  recordSystemHistory(); // Record current state
+// Receiver clock offset: the smallest (server receive time - receiver millis)
+// over a sliding window is the sample with the least network delay, so it is
+// the best estimate of when the receiver booted on the server clock.
+const CLOCK_WINDOW_SIZE = 30;
+
+function updateReceiverClock(stats, timestamp, receivedAt) {
+  const clock = stats.clock;
+  const rawOffset = receivedAt - timestamp;
   
-  const allDevicesHistory = [];
-  const now = Date.now();
+  clock.window.push(rawOffset);
+  if (clock.window.length > CLOCK_WINDOW_SIZE) clock.window.shift();
   
-  // Add online devices history
-  for (const [deviceId, device] of deviceData.entries()) {
-    const history = deviceHistory.get(deviceId);
-    if (history) {
+  clock.offset = Math.min(...clock.window);
+  clock.lastDelay = rawOffset - clock.offset;
+  clock.samples++;
+}
+
+// Receiver millis() -> server time. Never later than now.
+function alignReceiverTime(stats, timestamp) {
+  if (timestamp === undefined || stats.clock.offset === null) return Date.now();
+  return Math.min(timestamp + stats.clock.offset, Date.now());
+}
+
+function describeClock(stats) {
+  const { offset, lastDelay, samples, window } = stats.clock;
+  return {
+    synced: offset !== null,
+    bootedAt: offset !== null ? new Date(offset).toLocaleString() : null,
+    offset,
+    lastDelay,
+    maxDelay: window.length > 0 ? Math.max(...window) - offset : null,
+    samples
+  };
+}
+
+function describeIngest(stats) {
+  return {
+    requests: stats.requests,
+    rejectedRequests: stats.rejectedRequests,
+    acceptedEntries: stats.acceptedEntries,
+    rejectedEntries: stats.rejectedEntries,
+    rejectReasons: stats.rejectReasons,
+    firmwareVersion: stats.firmwareVersion,
+    lastRequestAt: stats.lastRequestAt ? new Date(stats.lastRequestAt).toLocaleString() : null,
+    lastRejectAt: stats.lastRejectAt ? new Date(stats.lastRejectAt).toLocaleString() : null,
+    lastRejectReason: stats.lastRejectReason
+  };
+}
+
+function describeCadence(stats) {
+  const { meanInterval, jitter, samples } = stats.cadence;
+  let health = 'learning';
+  
+  if (samples >= 5) {
+    const ratio = jitter / meanInterval;
+    health = ratio < 0.25 ? 'good' : ratio < 0.6 ? 'jittery' : 'unstable';
+  }
+  
+  return {
+    meanInterval: meanInterval === null ? null : Math.round(meanInterval),
+    jitter: Math.round(jitter),
+    samples,
+    health,
+    rebootCount: stats.rebootCount,
+    duplicatePosts: stats.duplicatePosts,
+    outOfOrderPosts: stats.outOfOrderPosts
+  };
+}
+
+function recordRejection(stats, errors) {
+  for (const error of errors) {
+    const reason = `${error.field || 'entry'} ${error.message}`;
+    stats.rejectReasons[reason] = (stats.rejectReasons[reason] || 0) + 1;
+    stats.lastRejectReason = reason;
+  }
+  stats.lastRejectAt = Date.now();
+}
+
+// Validates a receiver report and applies every accepted device entry.
+// Returns an HTTP-style status code and a JSON body describing the outcome.
+function ingestReceiverPayload(payload) {
+  const reportErrors = validateFields(payload, RECEIVER_PAYLOAD_SCHEMA.report);
+
+  if (reportErrors.length === 0 && payload.schemaVersion !== undefined &&
+      !RECEIVER_PAYLOAD_SCHEMA.supportedVersions.includes(payload.schemaVersion)) {
+    reportErrors.push({ field: 'schemaVersion', message: `unsupported, expected one of ${RECEIVER_PAYLOAD_SCHEMA.supportedVersions.join(', ')}` });
+  }
+
+  if (reportErrors.length > 0) {
+    // Count against the receiver when we can still tell who sent it
+    if (payload && typeof payload.receiverId === 'string' && MAC_PATTERN.test(payload.receiverId)) {
+      const stats = getReceiverStats(payload.receiverId.toUpperCase());
+      stats.requests++;
+      stats.rejectedRequests++;
+      stats.lastRequestAt = Date.now();
+      recordRejection(stats, reportErrors);
+    }
+
+    return {
+      statusCode: 400,
+      body: {
+        status: 'error',
+        error: 'Invalid request format',
+        schemaVersion: RECEIVER_PAYLOAD_SCHEMA.version,
+        errors: reportErrors
+      }
+    };
+  }
+
+  const receiverId = payload.receiverId.toUpperCase();
+  const stats = getReceiverStats(receiverId);
+  stats.requests++;
+  stats.lastRequestAt = Date.now();
+  if (payload.firmwareVersion) stats.firmwareVersion = payload.firmwareVersion;
+  
+  // Never apply the same report twice, or an older one over a newer one
+  const sequence = checkReceiverSequence(receiverId, stats, payload.timestamp);
+  if (sequence === 'duplicate' || sequence === 'out-of-order') {
+    console.log(`⏭️ Receiver ${receiverId.substring(12)} sent ${sequence} report (timestamp ${payload.timestamp}), skipped`);
+    return {
+      statusCode: 200,
+      body: {
+        status: sequence,
+        schemaVersion: RECEIVER_PAYLOAD_SCHEMA.version,
+        receiverId,
+        accepted: [],
+        rejected: []
+      }
+    };
+  }
+  updateReceiverCadence(stats);
+  
+  // When the receiver built this report, on the server clock
+  let reportTime = Date.now();
+  if (payload.timestamp !== undefined) {
+    updateReceiverClock(stats, payload.timestamp, reportTime);
+    reportTime = alignReceiverTime(stats, payload.timestamp);
+  }
+
+  const accepted = [];
+  const rejected = [];
+  const entries = [];
+
+  payload.devices.forEach((entry, index) => {
+    const errors = validateFields(entry, RECEIVER_PAYLOAD_SCHEMA.device);
+    const deviceId = entry && typeof entry.deviceId === 'string' ? entry.deviceId.toUpperCase() : null;
+
+    if (errors.length > 0) {
+      rejected.push({ index, deviceId, errors });
+      recordRejection(stats, errors);
+      return;
+    }
+
+    accepted.push({ index, deviceId });
+    entries.push({ ...applyDefaults(entry, RECEIVER_PAYLOAD_SCHEMA.device), deviceId });
+  });
+
+  stats.acceptedEntries += accepted.length;
+  stats.rejectedEntries += rejected.length;
+
+  if (rejected.length > 0) {
+    console.log(`⚠️ Receiver ${receiverId.substring(12)} sent ${rejected.length} invalid device entries`);
+  }
+
+  processReceiverReport({ ...payload, receiverId }, entries, reportTime);
+
+  return {
+    statusCode: 200,
+    body: {
+      status: rejected.length > 0 ? 'partial' : 'ok',
+      schemaVersion: RECEIVER_PAYLOAD_SCHEMA.version,
+      receiverId,
+      accepted,
+      rejected
+    }
+  };
+}
+
+// Alternative encodings for memory-starved receivers. Both decode to the same
+// object as the JSON body and go through ingestReceiverPayload().
+//
+// Line protocol (Content-Type: text/x-garba-lines), one device per line:
+//   GSC1 <receiverId> <timestamp> <receiverPriority> [key=value ...]
+//   <deviceId> <stepCount> [batteryLevel] [lastSeen] [signalStrength]
+// Optional header keys: fw (firmwareVersion), v (schemaVersion); see the UDP
+// transport for seq and ack.
+// Use '-' for a missing device field.
+const LINE_PROTOCOL_MAGIC = 'GSC1';
+const LINE_CONTENT_TYPES = ['text/x-garba-lines', 'text/plain'];
+const MSGPACK_CONTENT_TYPES = ['application/msgpack', 'application/x-msgpack', 'application/vnd.msgpack'];
+
+const LINE_HEADER_KEYS = {
+  fw: { field: 'firmwareVersion', type: 'string' },
+  v: { field: 'schemaVersion', type: 'number' },
+  seq: { field: 'seq', type: 'number' },   // UDP only
+  ack: { field: 'ack', type: 'number' }    // UDP only
+};
+
+const LINE_DEVICE_FIELDS = ['deviceId', 'stepCount', 'batteryLevel', 'lastSeen', 'signalStrength'];
+
+// Numbers that fail to parse stay NaN so the schema rejects them by field
+function parseLineNumber(token) {
+  if (token === undefined || token === '-') return undefined;
+  return Number(token);
+}
+
+function parseLineProtocol(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+  
+  if (lines.length === 0) {
+    return { errors: [{ field: '', message: 'body is empty' }] };
+  }
+  
+  const header = lines[0].split(/\s+/);
+  if (header[0] !== LINE_PROTOCOL_MAGIC || header.length < 2) {
+    return { errors: [{ field: '', message: `first line must be "${LINE_PROTOCOL_MAGIC} <receiverId> <timestamp> <receiverPriority>"` }] };
+  }
+  
+  const payload = {
+    receiverId: header[1],
+    timestamp: parseLineNumber(header[2]),
+    receiverPriority: parseLineNumber(header[3]),
+    devices: []
+  };
+  
+  for (const token of header.slice(4)) {
+    const [key, value] = token.split('=');
+    const option = LINE_HEADER_KEYS[key];
+    if (option && value !== undefined) {
+      payload[option.field] = option.type === 'number' ? parseLineNumber(value) : value;
+    }
+  }
+  
+  for (const line of lines.slice(1)) {
+    const tokens = line.split(/\s+/);
+    const device = {};
+    LINE_DEVICE_FIELDS.forEach((field, index) => {
+      device[field] = index === 0 ? tokens[0] : parseLineNumber(tokens[index]);
+    });
+    payload.devices.push(device);
+  }
+  
+  payload.deviceCount = payload.devices.length;
+  return { payload, errors: [] };
+}
+
+// Works out the body encoding from Content-Type and decodes it
+function decodeReceiverBody(req) {
+  if (req.is(MSGPACK_CONTENT_TYPES)) {
+    const bytes = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    try {
+      return { encoding: 'msgpack', bytes: bytes.length, payload: decodeMsgpack(bytes), errors: [] };
+    } catch (error) {
+      return { encoding: 'msgpack', bytes: bytes.length, errors: [{ field: '', message: 'body is not valid MessagePack' }] };
+    }
+  }
+  
+  if (req.is(LINE_CONTENT_TYPES)) {
+    const text = typeof req.body === 'string' ? req.body : '';
+    return { encoding: 'lines', bytes: Buffer.byteLength(text), ...parseLineProtocol(text) };
+  }
+  
+  return { encoding: 'json', bytes: Number(req.get('content-length')) || 0, payload: req.body, errors: [] };
+}
+
+// Applies a validated receiver report to receiverData/deviceData.
+// reportTime is when the receiver built the report, on the server clock.
+function processReceiverReport(report, deviceList, reportTime = currentTime()) {
+  const { receiverId, deviceCount, receiverPriority } = report;
+  const replaying = replayClock !== null;
+  
+  // A replay re-runs what was admitted back then, less anything blocked since
+  deviceList = replaying
+    ? deviceList.filter(device => admissionStatus(device.deviceId) !== 'blocked')
+    : admitDevices(receiverId, deviceList, reportTime);
+  
+  if (!replaying) {
+    writeJournal({
+      type: 'report',
+      time: currentTime(),
+      reportTime,
+      receiverId,
+      deviceCount,
+      receiverPriority,
+      timestamp: report.timestamp,
+      devices: deviceList
+    });
+    
+    if (replayBacklog) {
+      replayBacklog.push(() => applyReceiverReport(report, deviceList, reportTime));
+      return;
+    }
+  }
+  
+  applyReceiverReport(report, deviceList, reportTime);
+}
+
+// The part of processReceiverReport() that changes the state
+function applyReceiverReport(report, deviceList, reportTime) {
+  const { receiverId, deviceCount, receiverPriority } = report;
+  const replaying = replayClock !== null;
+  
+  if (!replaying) console.log(`📡 Receiver ${receiverId.substring(12)} sent ${deviceList.length} devices`);
+  
+  // Update receiver info
+  if (!receiverData.has(receiverId)) {
+    receiverData.set(receiverId, {
+      id: receiverId,
+      firstSeen: currentTime(),
+      devices: new Map(),
+      totalDevicesSeen: 0
+    });
+    addLog('receiver-connect', `Receiver ${receiverLabel(receiverId)} connected`, { receiverId });
+  }
+  
+  const receiver = receiverData.get(receiverId);
+  receiver.lastSeen = currentTime();
+  receiver.deviceCount = deviceCount !== undefined ? deviceCount : deviceList.length;
+  receiver.priority = receiverPriority || 0;
+  if (report.timestamp !== undefined) receiver.lastTimestamp = report.timestamp;
+  
+  // Process each device
+  for (const device of deviceList) {
+    const { deviceId, stepCount, batteryLevel, lastSeen, signalStrength } = device;
+    
+    if (!replaying) console.log(`  📱 Device ${deviceId.substring(9)}: ${stepCount} steps, ${batteryLevel}% battery`);
+    
+    // Check if this device was previously offline and is now reconnecting
+    if (offlineDevices.has(deviceId)) {
+      if (!replaying) console.log(`  🔄 Device ${deviceId.substring(9)} reconnecting from offline state`);
+      
+      // Get the offline device data
+      const offlineDevice = offlineDevices.get(deviceId);
+      
+      // Restore device history if it exists
+      if (offlineDevice.history && !deviceHistory.has(deviceId)) {
+        deviceHistory.set(deviceId, offlineDevice.history);
+      }
+      
+      // Remove from offline devices
+      offlineDevices.delete(deviceId);
+      
+      // Log the reconnection
+      addLog('device-connect', `Device ${deviceLabel(deviceId)} reconnected (was offline)`, { deviceId });
+    }
+    
+    // Update device history (this will create new entry if needed)
+    updateDeviceHistory(deviceId, stepCount, batteryLevel);
+    
+    // Store device data for this receiver
+    receiver.devices.set(deviceId, {
+      stepCount: stepCount,
+      batteryLevel: batteryLevel,
+      lastUpdate: reportTime - (lastSeen * 1000),
+      signalStrength: signalStrength,
+      lastSeen: lastSeen
+    });
+    
+    // Determine best receiver for this device
+    const bestReceiverId = calculateBestReceiver(deviceId);
+    if (bestReceiverId) {
+      deviceToReceiver.set(deviceId, bestReceiverId);
+      
+      const bestReceiverData = receiverData.get(bestReceiverId);
+      const bestDeviceData = bestReceiverData.devices.get(deviceId);
+      
+      // Raw counters restart on transmitter reboot, the lifetime total does not
+      const lifetimeSteps = updateLifetimeSteps(deviceId, bestDeviceData.stepCount, bestDeviceData.lastUpdate);
+      
+      // Update main device record (this moves it back to active devices)
+      deviceData.set(deviceId, {
+        id: deviceId,
+        stepCount: bestDeviceData.stepCount,
+        lifetimeSteps: lifetimeSteps,
+        batteryLevel: bestDeviceData.batteryLevel,
+        bestReceiverId: bestReceiverId,
+        lastSeen: bestDeviceData.lastUpdate,
+        signalStrength: bestDeviceData.signalStrength
+      });
+      queueDeviceSample(deviceId, deviceData.get(deviceId));
+      
+      if (!replaying) console.log(`  ✅ Updated device ${deviceId.substring(9)} with ${bestDeviceData.stepCount} steps via receiver ${bestReceiverId.substring(12)}`);
+    }
+  }
+  
+  updateStatistics();
+}
+
+
+// ============================================================================
+// UDP TRANSPORT
+// ============================================================================
+
+// One datagram = one receiver report, as JSON, line protocol or MessagePack
+// (see decodeReportBuffer). Extra header keys for UDP:
+//   seq=<n>  per-receiver datagram counter, used for loss estimates
+//   ack=1    ask for an "ACK <seq> <status> <accepted> <rejected>" reply
+// MessagePack datagrams carry the same as `seq` and `ack` fields.
+const udpStats = {
+  port: UDP_PORT,
+  listening: false,
+  datagrams: 0,
+  malformed: 0,
+  acksSent: 0
+};
+
+let udpServer = null;
+
+// Sequence numbers further back than this mean the receiver restarted its counter
+const UDP_SEQ_RESTART_GAP = 1000;
+
+function updateUdpLoss(stats, seq) {
+  if (!stats.udp) {
+    stats.udp = { datagrams: 0, lost: 0, reordered: 0, lastSeq: null };
+  }
+  
+  const udp = stats.udp;
+  udp.datagrams++;
+  
+  if (!Number.isInteger(seq)) return;
+  
+  if (udp.lastSeq === null || seq < udp.lastSeq - UDP_SEQ_RESTART_GAP) {
+    udp.lastSeq = seq;
+  } else if (seq > udp.lastSeq) {
+    udp.lost += seq - udp.lastSeq - 1;
+    udp.lastSeq = seq;
+  } else if (seq < udp.lastSeq) {
+    // Arrived late, so it was counted as lost when the gap opened
+    udp.reordered++;
+    if (udp.lost > 0) udp.lost--;
+  }
+}
+
+function describeUdp(stats) {
+  if (!stats.udp) return null;
+  const { datagrams, lost, reordered } = stats.udp;
+  return {
+    datagrams,
+    lost,
+    reordered,
+    lossRate: datagrams + lost > 0 ? Math.round((lost / (datagrams + lost)) * 1000) / 10 : 0
+  };
+}
+
+// Transports without a Content-Type (UDP, MQTT) sniff the encoding instead
+function decodeReportBuffer(message) {
+  const text = message.toString('utf8', 0, Math.min(message.length, 8)).trimStart();
+  
+  if (text.startsWith('{')) {
+    try {
+      return { encoding: 'json', payload: JSON.parse(message.toString()), errors: [] };
+    } catch (error) {
+      return { encoding: 'json', errors: [{ field: '', message: 'body is not valid JSON' }] };
+    }
+  }
+  
+  if (text.startsWith(LINE_PROTOCOL_MAGIC)) {
+    return { encoding: 'lines', ...parseLineProtocol(message.toString()) };
+  }
+  
+  try {
+    return { encoding: 'msgpack', payload: decodeMsgpack(message), errors: [] };
+  } catch (error) {
+    return { encoding: 'msgpack', errors: [{ field: '', message: 'body is not JSON, line protocol or MessagePack' }] };
+  }
+}
+
+function handleDatagram(message, rinfo) {
+  udpStats.datagrams++;
+  
+  const decoded = decodeReportBuffer(message);
+  const counters = encodingStats[decoded.encoding];
+  counters.requests++;
+  counters.bytes += message.length;
+  
+  if (decoded.errors.length > 0 || !decoded.payload || typeof decoded.payload !== 'object') {
+    counters.errors++;
+    udpStats.malformed++;
+    console.log(`⚠️ Malformed UDP datagram from ${rinfo.address}:${rinfo.port}`);
+    return;
+  }
+  
+  // Transport fields are not part of the report schema
+  const { seq, ack, ...payload } = decoded.payload;
+  const result = ingestReceiverPayload(payload);
+  if (result.statusCode !== 200) counters.errors++;
+  
+  if (result.body.receiverId) {
+    updateUdpLoss(getReceiverStats(result.body.receiverId), seq);
+  }
+  
+  if (ack === 1 || ack === true || ack === '1') {
+    const reply = `ACK ${Number.isInteger(seq) ? seq : '-'} ${result.body.status} ${(result.body.accepted || []).length} ${(result.body.rejected || []).length}`;
+    udpServer.send(reply, rinfo.port, rinfo.address, (error) => {
+      if (error) {
+        console.error('❌ Failed to send UDP ack:', error.message);
+      } else {
+        udpStats.acksSent++;
+      }
+    });
+  }
+}
+
+function startUdpListener() {
+  udpServer = dgram.createSocket('udp4');
+  
+  udpServer.on('message', (message, rinfo) => {
+    try {
+      handleDatagram(message, rinfo);
+    } catch (error) {
+      console.error('❌ Error processing UDP datagram:', error);
+    }
+  });
+  
+  udpServer.on('error', (error) => {
+    console.error('❌ UDP listener error:', error.message);
+    addLog('system', `UDP listener error: ${error.message}`);
+  });
+  
+  udpServer.bind(UDP_PORT, '0.0.0.0', () => {
+    udpStats.listening = true;
+    console.log(`📨 UDP listener ready on port ${UDP_PORT}`);
+  });
+}
+
+
+// ============================================================================
+// MQTT INGESTION
+// ============================================================================
+
+// Receivers can publish to garba/receiver/<mac>/devices instead of POSTing.
+// By default the server runs its own broker; point MQTT_URL at another one
+// with MQTT_MODE=external, or turn the bridge off with MQTT_MODE=off.
+// Live totals and device state go out under MQTT_PUBLISH_PREFIX at most once
+// per MQTT_PUBLISH_INTERVAL ms (0 disables live publishing).
+const MQTT_CONFIG = {
+  mode: config.values.mqttMode,
+  port: config.values.mqttPort,
+  url: config.values.mqttUrl,
+  username: config.values.mqttUsername || undefined,
+  password: config.values.mqttPassword || undefined,
+  clientId: config.values.mqttClientId,
+  publishPrefix: config.values.mqttPublishPrefix.replace(/\/+$/, ''),
+  publishInterval: config.values.mqttPublishInterval
+};
+
+// addLog() types forwarded to <prefix>/events/<event>
+const MQTT_EVENT_TOPICS = {
+  'device-connect': 'device-connect',
+  'device-disconnect': 'device-disconnect',
+  'device-reset': 'device-reset'
+};
+
+const mqttStats = {
+  mode: MQTT_CONFIG.mode,
+  brokerListening: false,
+  malformed: 0,
+  topicMismatches: 0,
+  lastWills: 0,
+  eventsPublished: 0,
+  lastPublishAt: null
+};
+
+let mqttBroker = null;
+let mqttBridge = null;
+
+// deviceId -> last JSON published on <prefix>/devices/<mac>
+const publishedDeviceState = new Map();
+let publishedTotals = null;
+
+function handleMqttReport(topicReceiverId, message) {
+  const decoded = decodeReportBuffer(message);
+  const counters = encodingStats[decoded.encoding];
+  counters.requests++;
+  counters.bytes += message.length;
+  
+  if (decoded.errors.length > 0 || !decoded.payload || typeof decoded.payload !== 'object') {
+    counters.errors++;
+    mqttStats.malformed++;
+    console.log(`⚠️ Malformed MQTT report for receiver ${topicReceiverId.substring(12)}`);
+    return;
+  }
+  
+  const payload = { ...decoded.payload };
+  if (payload.receiverId === undefined) payload.receiverId = topicReceiverId;
+  
+  // A receiver may only publish under its own topic
+  if (typeof payload.receiverId !== 'string' || payload.receiverId.toUpperCase() !== topicReceiverId) {
+    counters.errors++;
+    mqttStats.topicMismatches++;
+    console.log(`⚠️ MQTT report for ${payload.receiverId} published under receiver ${topicReceiverId}, ignored`);
+    return;
+  }
+  
+  const result = ingestReceiverPayload(payload);
+  if (result.statusCode !== 200) counters.errors++;
+}
+
+// The last will arrives the moment the broker loses the receiver, so there is
+// no need to wait for the one-minute timeout in cleanupOldData()
+function handleMqttReceiverStatus(receiverId, status) {
+  if (status !== 'offline') return;
+  
+  mqttStats.lastWills++;
+  if (receiverData.has(receiverId)) {
+    removeReceiver(receiverId, 'MQTT last will');
+    updateStatistics();
+  }
+}
+
+async function startMqtt() {
+  if (MQTT_CONFIG.mode === 'off') {
+    console.log('📭 MQTT bridge disabled');
+    return;
+  }
+  
+  let url = MQTT_CONFIG.url;
+  
+  if (MQTT_CONFIG.mode === 'embedded') {
+    try {
+      mqttBroker = await startEmbeddedBroker({ port: MQTT_CONFIG.port });
+      mqttStats.brokerListening = true;
+      url = `mqtt://127.0.0.1:${mqttBroker.port}`;
+      console.log(`📬 Embedded MQTT broker listening on port ${mqttBroker.port}`);
+    } catch (error) {
+      console.error('❌ Failed to start embedded MQTT broker:', error.message);
+      addLog('system', `MQTT broker failed to start: ${error.message}`);
+      return;
+    }
+  }
+  
+  mqttBridge = createMqttBridge({
+    url,
+    username: MQTT_CONFIG.username,
+    password: MQTT_CONFIG.password,
+    clientId: MQTT_CONFIG.clientId,
+    onReport: handleMqttReport,
+    onReceiverStatus: handleMqttReceiverStatus,
+    onConnectionChange: (connected) => {
+      addLog('system', connected ? `MQTT bridge connected to ${url}` : `MQTT bridge lost connection to ${url}`);
+      if (connected) {
+        // The broker may have restarted without our retained messages
+        publishedDeviceState.clear();
+        publishedTotals = null;
+      }
+    }
+  });
+  
+  if (MQTT_CONFIG.publishInterval > 0) {
+    setInterval(publishLiveState, MQTT_CONFIG.publishInterval);
+  }
+}
+
+function describeDeviceForMqtt(deviceId, device, online) {
+  return {
+    deviceId,
+    name: deviceLabel(deviceId),
+    online,
+    stepCount: device.stepCount,
+    lifetimeSteps: device.lifetimeSteps || device.stepCount,
+    continuousSteps: continuousSteps(deviceId, device.lifetimeSteps || device.stepCount),
+    swappedTo: swappedOutTo(deviceId),
+    batteryLevel: device.batteryLevel,
+    receiverId: online ? device.bestReceiverId : null,
+    lastSeen: device.lastSeen
+  };
+}
+
+// Retained, so a scoreboard that connects mid-event gets the current state
+// straight away. Only totals and devices that changed since the last tick are
+// sent; devices that disappeared (history clear, reset) get their retained
+// message cleared.
+function publishLiveState() {
+  if (!mqttBridge || !mqttBridge.stats.connected) return;
+  
+  const prefix = MQTT_CONFIG.publishPrefix;
+  const retained = { retain: true, qos: 1 };
+  
+  // No elapsed time for the session: it would change every tick
+  const session = activeSession();
+  const totals = JSON.stringify({
+    totalSteps: serverStats.totalSteps,
+    activeSteps: serverStats.activeSteps,
+    offlineSteps: Math.max(0, serverStats.totalSteps - serverStats.activeSteps),
+    activeDevices: serverStats.activeDevices,
+    activeReceivers: serverStats.activeReceivers,
+    session: session ? { id: session.id, name: session.name, startedAt: session.startedAt, totalSteps: describeSession(session).totalSteps } : null
+  });
+  if (totals !== publishedTotals) {
+    mqttBridge.publish(`${prefix}/totals`, totals, retained);
+    publishedTotals = totals;
+  }
+  
+  const seen = new Set();
+  const publishDevice = (deviceId, state) => {
+    seen.add(deviceId);
+    const payload = JSON.stringify(state);
+    if (publishedDeviceState.get(deviceId) === payload) return;
+    mqttBridge.publish(`${prefix}/devices/${deviceId}`, payload, retained);
+    publishedDeviceState.set(deviceId, payload);
+  };
+  
+  for (const [deviceId, device] of deviceData.entries()) {
+    publishDevice(deviceId, describeDeviceForMqtt(deviceId, device, true));
+  }
+  for (const [deviceId, device] of offlineDevices.entries()) {
+    if (!seen.has(deviceId)) publishDevice(deviceId, describeDeviceForMqtt(deviceId, device, false));
+  }
+  
+  for (const deviceId of Array.from(publishedDeviceState.keys())) {
+    if (seen.has(deviceId)) continue;
+    mqttBridge.publish(`${prefix}/devices/${deviceId}`, '', retained);
+    publishedDeviceState.delete(deviceId);
+  }
+  
+  mqttStats.lastPublishAt = Date.now();
+}
+
+// Called from addLog(); events are not retained and go out immediately
+function publishMqttEvent(log) {
+  if (!mqttBridge) return;
+  
+  let event = MQTT_EVENT_TOPICS[log.type];
+  if (!event && log.type === 'device-update' && log.stepCount !== undefined) event = 'device-peak';
+  if (!event) return;
+  
+  const { id, timestamp, ...body } = log;
+  if (mqttBridge.publish(`${MQTT_CONFIG.publishPrefix}/events/${event}`, JSON.stringify({ event, ...body }), { qos: 1 })) {
+    mqttStats.eventsPublished++;
+  }
+}
+
+function describeMqtt() {
+  return {
+    ...mqttStats,
+    port: MQTT_CONFIG.mode === 'embedded' ? MQTT_CONFIG.port : null,
+    publishPrefix: MQTT_CONFIG.publishPrefix,
+    publishInterval: MQTT_CONFIG.publishInterval,
+    bridge: mqttBridge ? { ...mqttBridge.stats } : null
+  };
+}
+
+// ============================================================================
+// RECEIVER TELEMETRY
+// ============================================================================
+
+// Receivers send a heartbeat every 30s or so, whether or not they have
+// devices to report. Every field except receiverId is optional so older
+// firmware can send whatever it already tracks.
+const RECEIVER_TELEMETRY_SCHEMA = {
+  receiverId: { type: 'string', required: true, pattern: MAC_PATTERN },
+  firmwareVersion: { type: 'string', maxLength: 32 },
+  freeHeap: { type: 'number', integer: true, min: 0 },          // bytes
+  wifiRssi: { type: 'number', min: -127, max: 0 },              // dBm
+  uptime: { type: 'number', integer: true, min: 0 },            // seconds since boot
+  espNowReceived: { type: 'number', integer: true, min: 0 },    // packets since boot
+  espNowErrors: { type: 'number', integer: true, min: 0 },      // failed/corrupt packets since boot
+  ip: { type: 'string', pattern: /^(\d{1,3}\.){3}\d{1,3}$/ }
+};
+
+const TELEMETRY_HISTORY_SIZE = 720;    // 6 hours at one heartbeat per 30s
+const TELEMETRY_TREND_POINTS = 60;
+const TELEMETRY_LIMITS = {
+  heapWarning: 16384,
+  heapCritical: 8192,
+  heapDropWarning: 0.25,       // fraction below the best level seen in the window
+  rssiWarning: -75,
+  rssiCritical: -85,
+  rssiDropWarning: 10,         // dB below the window median
+  staleAfter: 120000           // ms without a heartbeat
+};
+
+function getReceiverTelemetry(receiverId) {
+  if (!receiverTelemetry.has(receiverId)) {
+    receiverTelemetry.set(receiverId, {
+      firstSeen: Date.now(),
+      lastSeen: null,
+      firmwareVersion: null,
+      ip: null,
+      reboots: 0,
+      samples: []
+    });
+  }
+  return receiverTelemetry.get(receiverId);
+}
+
+function recordTelemetry(sample) {
+  const now = Date.now();
+  const telemetry = getReceiverTelemetry(sample.receiverId);
+  const previous = telemetry.samples[telemetry.samples.length - 1];
+  
+  // Uptime going backwards means the receiver restarted and its packet
+  // counters started again from zero
+  const rebooted = Boolean(previous && sample.uptime !== undefined && previous.uptime !== null && sample.uptime < previous.uptime);
+  if (rebooted) {
+    telemetry.reboots++;
+    addLog('receiver-reboot', `Receiver ${receiverLabel(sample.receiverId)} restarted (uptime ${previous.uptime}s → ${sample.uptime}s)`, { receiverId: sample.receiverId });
+  }
+  
+  if (sample.firmwareVersion !== undefined && telemetry.firmwareVersion && sample.firmwareVersion !== telemetry.firmwareVersion) {
+    addLog('system', `Receiver ${receiverLabel(sample.receiverId)} firmware ${telemetry.firmwareVersion} → ${sample.firmwareVersion}`, { receiverId: sample.receiverId });
+  }
+  if (sample.firmwareVersion !== undefined) telemetry.firmwareVersion = sample.firmwareVersion;
+  if (sample.ip !== undefined) telemetry.ip = sample.ip;
+  
+  // Packets per minute since the previous heartbeat
+  let espNowRate = null;
+  if (previous && !rebooted && sample.espNowReceived !== undefined && previous.espNowReceived !== null) {
+    const minutes = (now - previous.time) / 60000;
+    if (minutes > 0) espNowRate = Math.round((sample.espNowReceived - previous.espNowReceived) / minutes);
+  }
+  
+  const entry = {
+    time: now,
+    freeHeap: sample.freeHeap ?? null,
+    wifiRssi: sample.wifiRssi ?? null,
+    uptime: sample.uptime ?? null,
+    espNowReceived: sample.espNowReceived ?? null,
+    espNowErrors: sample.espNowErrors ?? null,
+    espNowRate
+  };
+  telemetry.samples.push(entry);
+  if (storage) storage.appendTelemetry(sample.receiverId, entry);
+  if (telemetry.samples.length > TELEMETRY_HISTORY_SIZE) {
+    telemetry.samples.splice(0, telemetry.samples.length - TELEMETRY_HISTORY_SIZE);
+  }
+  
+  telemetry.lastSeen = now;
+  return telemetry;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Warnings look at the latest value and at how it compares to the rest of the
+// window, so a slow heap leak or a receiver that got moved behind a pillar
+// shows up before it crosses the hard limits
+function describeReceiverHealth(telemetry, now = Date.now()) {
+  const warnings = [];
+  const samples = telemetry.samples;
+  const latest = samples[samples.length - 1] || {};
+  
+  const heaps = samples.map(s => s.freeHeap).filter(v => v !== null);
+  if (latest.freeHeap !== null && latest.freeHeap !== undefined) {
+    const bestHeap = Math.max(...heaps);
+    if (latest.freeHeap < TELEMETRY_LIMITS.heapCritical) {
+      warnings.push({ metric: 'freeHeap', level: 'critical', message: `free heap ${latest.freeHeap} B` });
+    } else if (latest.freeHeap < TELEMETRY_LIMITS.heapWarning) {
+      warnings.push({ metric: 'freeHeap', level: 'warning', message: `free heap ${latest.freeHeap} B` });
+    } else if (heaps.length >= 5 && latest.freeHeap < bestHeap * (1 - TELEMETRY_LIMITS.heapDropWarning)) {
+      warnings.push({ metric: 'freeHeap', level: 'warning', message: `free heap down ${Math.round((1 - latest.freeHeap / bestHeap) * 100)}% from ${bestHeap} B` });
+    }
+  }
+  
+  const rssis = samples.map(s => s.wifiRssi).filter(v => v !== null);
+  if (latest.wifiRssi !== null && latest.wifiRssi !== undefined) {
+    const typicalRssi = median(rssis);
+    if (latest.wifiRssi < TELEMETRY_LIMITS.rssiCritical) {
+      warnings.push({ metric: 'wifiRssi', level: 'critical', message: `WiFi signal ${latest.wifiRssi} dBm` });
+    } else if (latest.wifiRssi < TELEMETRY_LIMITS.rssiWarning) {
+      warnings.push({ metric: 'wifiRssi', level: 'warning', message: `WiFi signal ${latest.wifiRssi} dBm` });
+    } else if (rssis.length >= 5 && latest.wifiRssi <= typicalRssi - TELEMETRY_LIMITS.rssiDropWarning) {
+      warnings.push({ metric: 'wifiRssi', level: 'warning', message: `WiFi signal ${latest.wifiRssi} dBm, usually ${Math.round(typicalRssi)} dBm` });
+    }
+  }
+  
+  if (telemetry.lastSeen && now - telemetry.lastSeen > TELEMETRY_LIMITS.staleAfter) {
+    warnings.push({ metric: 'heartbeat', level: 'warning', message: `no heartbeat for ${Math.floor((now - telemetry.lastSeen) / 1000)}s` });
+  }
+  
+  let status = 'ok';
+  if (warnings.some(w => w.level === 'critical')) status = 'critical';
+  else if (warnings.length > 0) status = 'warning';
+  
+  return { status, warnings };
+}
+
+function describeTelemetry(receiverId, telemetry, trendPoints = TELEMETRY_TREND_POINTS) {
+  const latest = telemetry.samples[telemetry.samples.length - 1] || null;
+  const recent = telemetry.samples.slice(-trendPoints);
+  
+  return {
+    id: receiverId,
+    name: receiverLabel(receiverId),
+    zone: receiverRegistry.has(receiverId) ? receiverRegistry.get(receiverId).zone : null,
+    online: receiverData.has(receiverId),
+    firmwareVersion: telemetry.firmwareVersion,
+    ip: telemetry.ip,
+    reboots: telemetry.reboots,
+    firstSeen: telemetry.firstSeen,
+    lastSeen: telemetry.lastSeen,
+    latest,
+    health: describeReceiverHealth(telemetry),
+    trend: {
+      time: recent.map(s => s.time),
+      freeHeap: recent.map(s => s.freeHeap),
+      wifiRssi: recent.map(s => s.wifiRssi),
+      espNowRate: recent.map(s => s.espNowRate),
+      espNowErrors: recent.map(s => s.espNowErrors)
+    }
+  };
+}
+
+// ============================================================================
+// RECEIVER BACKFILL
+// ============================================================================
+
+// A receiver that loses WiFi keeps buffering what it hears and uploads it on
+// reconnect. Sample timestamps are the receiver's millis(), the same clock as
+// the upload's own timestamp and its live reports, so they are aligned with
+// the same clock offset: server time = sample timestamp + offset.
+//
+// Samples newer than anything the server has for a device are applied as if
+// they had arrived live. Older ones are only used to fill a recorded gap,
+// which matters when the band rebooted during the silence: the steps it took
+// before rebooting would otherwise never be banked. Anything else was already
+// covered by another receiver and is skipped, so counts never go backwards.
+const BACKFILL_SCHEMA = {
+  upload: {
+    receiverId: { type: 'string', required: true, pattern: MAC_PATTERN },
+    timestamp: { type: 'number', required: true, integer: true, min: 0 },
+    samples: { type: 'array', required: true, maxItems: 5000 }
+  },
+  sample: {
+    deviceId: { type: 'string', required: true, pattern: MAC_PATTERN },
+    stepCount: { type: 'number', required: true, integer: true, min: 0 },
+    batteryLevel: { type: 'number', min: 0, max: 100 },
+    timestamp: { type: 'number', required: true, integer: true, min: 0 }
+  }
+};
+
+function getBackfillStats(stats) {
+  if (!stats.backfill) {
+    stats.backfill = {
+      uploads: 0,
+      samples: 0,
+      applied: 0,
+      gapSamples: 0,
+      covered: 0,
+      rejected: 0,
+      recoveredSteps: 0,
+      oldestSampleAt: null,
+      lastUploadAt: null
+    };
+  }
+  return stats.backfill;
+}
+
+function describeBackfill(stats) {
+  return stats.backfill ? { ...stats.backfill } : getBackfillStats({});
+}
+
+// Steps the band really took across a gap, replaying the counter the way
+// updateLifetimeSteps() would have seen it live
+function countGapSteps(gap) {
+  const sequence = [...gap.samples, { time: gap.to, stepCount: gap.toSteps }];
+  let last = gap.fromSteps;
+  let steps = 0;
+  let resets = 0;
+  let firstResetAt = null;
+  
+  for (const sample of sequence) {
+    if (sample.stepCount >= last) {
+      steps += sample.stepCount - last;
+    } else if (last - sample.stepCount > COUNTER_RESET_TOLERANCE) {
+      steps += sample.stepCount;
+      resets++;
+      if (firstResetAt === null) firstResetAt = sample.time;
+    } else {
+      continue;
+    }
+    last = sample.stepCount;
+  }
+  
+  return { steps, resets, firstResetAt };
+}
+
+// System history records after the recovered steps were taken under-report
+// the grand total by that much
+function backfillSystemTimeline(since, steps) {
+  // A journal replay leaves the system timeline as it is
+  if (replayClock !== null) return;
+  
+  for (const record of systemHistory) {
+    if (record.timestamp < since) break;  // newest first
+    record.totalSteps += steps;
+    record.backfilledSteps = (record.backfilledSteps || 0) + steps;
+  }
+  if (storage) storage.adjustSystemHistory(since, steps);
+}
+
+function mergeGapSamples(deviceId, history, gap, samples) {
+  const known = new Set(gap.samples.map(sample => sample.time));
+  for (const sample of samples) {
+    if (!known.has(sample.time)) gap.samples.push({ time: sample.time, stepCount: sample.stepCount });
+  }
+  gap.samples.sort((a, b) => a.time - b.time);
+  
+  // What the server credited when the live counter came back
+  const credited = gap.banked ? gap.toSteps : Math.max(0, gap.toSteps - gap.fromSteps);
+  const replay = countGapSteps(gap);
+  const knownResets = (gap.banked ? 1 : 0) + (gap.recoveredResets || 0);
+  if (replay.resets > knownResets) {
+    history.counterResets += replay.resets - knownResets;
+    gap.recoveredResets = replay.resets - (gap.banked ? 1 : 0);
+  }
+  
+  const missing = replay.steps - credited - gap.recoveredSteps;
+  if (missing <= 0) return 0;
+  
+  gap.recoveredSteps += missing;
+  history.stepOffset += missing;
+  history.lifetimeSteps += missing;
+  
+  if (deviceData.has(deviceId)) deviceData.get(deviceId).lifetimeSteps = history.lifetimeSteps;
+  backfillSystemTimeline(replay.firstResetAt || gap.to, missing);
+  creditSteps(deviceId, missing, replay.firstResetAt || gap.to);
+  
+  addLog('device-update', `Device ${deviceLabel(deviceId)} recovered ${missing} steps from receiver backfill`, { deviceId, recoveredSteps: missing });
+  return missing;
+}
+
+// Applies server-time samples grouped by device and counts the outcome in
+// result. Returns the samples that belong in the time series.
+function applyBackfillSamples(receiverId, byDevice, result) {
+  const timeseries = [];
+  
+  for (const [deviceId, samples] of byDevice.entries()) {
+    samples.sort((a, b) => a.time - b.time);
+    
+    if (!deviceHistory.has(deviceId)) {
+      // Only ever heard by this receiver while it was offline
+      updateDeviceHistory(deviceId, samples[0].stepCount, samples[0].batteryLevel ?? 0);
+    }
+    const history = deviceHistory.get(deviceId);
+    const gapSamples = new Map();
+    
+    for (const sample of samples) {
+      if (sample.stepCount > history.peakSteps) history.peakSteps = sample.stepCount;
+      if (sample.batteryLevel !== undefined) {
+        history.minBattery = Math.min(history.minBattery, sample.batteryLevel);
+        history.maxBattery = Math.max(history.maxBattery, sample.batteryLevel);
+      }
+      
+      if (history.lifetimeSteps === undefined || sample.time > history.lastRawAt) {
+        timeseries.push({
+          deviceId,
+          time: sample.time,
+          stepCount: sample.stepCount,
+          lifetimeSteps: updateLifetimeSteps(deviceId, sample.stepCount, sample.time),
+          batteryLevel: sample.batteryLevel,
+          receiverId
+        });
+        result.applied++;
+        continue;
+      }
+      
+      const gap = (history.gaps || []).find(g => sample.time > g.from && sample.time < g.to);
+      if (gap) {
+        if (!gapSamples.has(gap)) gapSamples.set(gap, []);
+        gapSamples.get(gap).push(sample);
+        result.gapSamples++;
+      } else {
+        result.covered++;
+      }
+    }
+    
+    for (const [gap, gapList] of gapSamples.entries()) {
+      result.recoveredSteps += mergeGapSamples(deviceId, history, gap, gapList);
+    }
+    
+    if (deviceData.has(deviceId)) deviceData.get(deviceId).lifetimeSteps = history.lifetimeSteps;
+  }
+  
+  return timeseries;
+}
+
+function ingestBackfill(upload) {
+  const receivedAt = Date.now();
+  const uploadErrors = validateFields(upload, BACKFILL_SCHEMA.upload);
+  if (uploadErrors.length > 0) {
+    return { statusCode: 400, body: { status: 'error', error: 'Invalid backfill upload', errors: uploadErrors } };
+  }
+  
+  const receiverId = upload.receiverId.toUpperCase();
+  const stats = getReceiverStats(receiverId);
+  const backfill = getBackfillStats(stats);
+  
+  // The upload's own timestamp joins the min-delay window, so samples do not
+  // take on this upload's network delay. One that looks delayed by more than
+  // a reorder window comes from a receiver that rebooted while offline.
+  if (stats.clock.offset !== null && receivedAt - upload.timestamp - stats.clock.offset > REORDER_WINDOW_MS) stats.clock.window = [];
+  updateReceiverClock(stats, upload.timestamp, receivedAt);
+  const offset = stats.clock.offset;
+  const result = { status: 'ok', receiverId, applied: 0, gapSamples: 0, covered: 0, recoveredSteps: 0, notAdmitted: 0, rejected: [] };
+  
+  // Validate, convert to server time and group by device
+  const byDevice = new Map();
+  upload.samples.forEach((entry, index) => {
+    const errors = validateFields(entry, BACKFILL_SCHEMA.sample);
+    if (errors.length === 0 && entry.timestamp > upload.timestamp) {
+      errors.push({ field: 'timestamp', message: 'is after the upload timestamp' });
+    }
+    if (errors.length > 0) {
+      result.rejected.push({ index, deviceId: entry && entry.deviceId, errors });
+      return;
+    }
+    
+    const deviceId = entry.deviceId.toUpperCase();
+    if (!isAdmitted(deviceId)) {
+      result.notAdmitted++;
+      return;
+    }
+    if (!byDevice.has(deviceId)) byDevice.set(deviceId, []);
+    byDevice.get(deviceId).push({
+      time: entry.timestamp + offset,
+      stepCount: entry.stepCount,
+      batteryLevel: entry.batteryLevel
+    });
+  });
+  
+  if (byDevice.size > 0) {
+    writeJournal({
+      type: 'backfill',
+      time: receivedAt,
+      receiverId,
+      samples: Array.from(byDevice.entries()).flatMap(([deviceId, samples]) => samples.map(sample => ({ deviceId, ...sample })))
+    });
+  }
+  
+  // Gap samples stay out of the time series: the lifetime total at those
+  // moments is only known once the whole gap has been replayed
+  const apply = () => {
+    const timeseries = applyBackfillSamples(receiverId, byDevice, result);
+    if (storage && timeseries.length > 0) storage.appendSamples(timeseries);
+    backfill.applied += result.applied;
+    backfill.gapSamples += result.gapSamples;
+    backfill.covered += result.covered;
+    backfill.recoveredSteps += result.recoveredSteps;
+    updateStatistics();
+  };
+  if (replayBacklog) {
+    replayBacklog.push(apply);
+    result.held = true;
+  } else {
+    apply();
+  }
+  
+  backfill.uploads++;
+  backfill.samples += upload.samples.length;
+  backfill.rejected += result.rejected.length;
+  backfill.lastUploadAt = receivedAt;
+  for (const samples of byDevice.values()) {
+    const oldest = samples[0].time;
+    if (backfill.oldestSampleAt === null || oldest < backfill.oldestSampleAt) backfill.oldestSampleAt = oldest;
+  }
+  
+  if (result.held) console.log(`📦 Backfill from receiver ${receiverId.substring(12)}: ${upload.samples.length} samples, held until the journal replay finishes`);
+  else console.log(`📦 Backfill from receiver ${receiverId.substring(12)}: ${upload.samples.length} samples, ${result.applied} applied, ${result.gapSamples} filled gaps, ${result.covered} already covered, ${result.recoveredSteps} steps recovered`);
+  if (result.rejected.length > 0 && result.rejected.length === upload.samples.length) result.status = 'error';
+  else if (result.rejected.length > 0) result.status = 'partial';
+  
+  return { statusCode: result.status === 'error' ? 400 : 200, body: result };
+}
+
+
+// ============================================================================
+// SNAPSHOTS
+// ============================================================================
+
+// A full copy of the in-memory state goes to data/backups/ every
+// BACKUP_INTERVAL ms (0 disables); the newest BACKUP_RETENTION scheduled
+// snapshots are kept. Receivers are not part of a snapshot, they register
+// again with their next report.
+const BACKUP_CONFIG = {
+  dir: `${DATA_DIR}/backups`,
+  interval: config.values.backupInterval,
+  retention: config.values.backupRetention
+};
+
+const backups = createBackupStore({ dir: BACKUP_CONFIG.dir, retention: BACKUP_CONFIG.retention });
+const backupStats = {
+  snapshots: 0,
+  restores: 0,
+  pruned: 0,
+  lastSnapshotAt: null,
+  lastRestoreAt: null,
+  lastError: null
+};
+let restoreInProgress = false;
+let storageRecovery = null;   // { quarantine, restoredSnapshot } when this start found a corrupt database
+
+function buildSnapshot() {
+  return {
+    statistics: {
+      totalSteps: serverStats.totalSteps,
+      activeSteps: serverStats.activeSteps,
+      activeDevices: serverStats.activeDevices,
+      activeReceivers: serverStats.activeReceivers,
+      totalRequests: serverStats.totalRequests
+    },
+    devices: Object.fromEntries(deviceData),
+    deviceHistory: Object.fromEntries(deviceHistory),
+    offlineDevices: Object.fromEntries(offlineDevices),
+    systemHistory: systemHistory,
+    receiverTelemetry: Object.fromEntries(receiverTelemetry),
+    participants: Object.fromEntries(participants),
+    receiverRegistry: Object.fromEntries(receiverRegistry),
+    admission: Object.fromEntries(admission),
+    assignments: Object.fromEntries(assignments),
+    sessions: Object.fromEntries(sessions),
+    schedules: Object.fromEntries(schedules)
+  };
+}
+
+// The old server's backup-*.json only kept each device's last reading and
+// its statistics block. Every reading becomes a device that starts its
+// lifetime total at that count.
+function legacyBackupToSnapshot(data) {
+  const exportTime = Date.parse(data.exportTime) || Date.now();
+  const devices = {};
+  const deviceHistory = {};
+
+  for (const [mac, device] of Object.entries(data.devices)) {
+    if (!MAC_PATTERN.test(mac) || !device) continue;
+
+    const deviceId = mac.toUpperCase();
+    const stepCount = Number(device.stepCount) || 0;
+    const batteryLevel = Number.isFinite(device.batteryLevel) ? device.batteryLevel : 0;
+    const lastSeen = Number(device.lastSeen) || exportTime;
+
+    devices[deviceId] = {
+      id: deviceId,
+      stepCount: stepCount,
+      lifetimeSteps: stepCount,
+      batteryLevel: batteryLevel,
+      bestReceiverId: device.bestReceiverId || null,
+      lastSeen: lastSeen,
+      signalStrength: Number.isFinite(device.signalStrength) ? device.signalStrength : null
+    };
+    deviceHistory[deviceId] = {
+      firstSeen: lastSeen,
+      totalUpdates: 0,
+      peakSteps: stepCount,
+      minBattery: batteryLevel,
+      maxBattery: batteryLevel,
+      lastOnlineTime: lastSeen,
+      totalOnlineTime: 0,
+      disconnectionCount: 0,
+      stepOffset: 0,
+      lastRawSteps: stepCount,
+      lastRawAt: lastSeen,
+      lifetimeSteps: stepCount,
+      counterResets: 0,
+      gaps: []
+    };
+  }
+
+  return {
+    statistics: { totalSteps: (data.statistics && Number(data.statistics.totalSteps)) || 0 },
+    devices: devices,
+    deviceHistory: deviceHistory,
+    offlineDevices: {}
+  };
+}
+
+// Replaces the device state with the snapshot's, and the registries,
+// assignments and sessions with it so credited steps and session baselines
+// match the restored counts. Parts a snapshot does not carry (system history
+// and telemetry in a legacy backup, everything but the devices in one from an
+// older build) are left alone; a running session is then moved onto the
+// restored counts instead.
+async function restoreSnapshot(snapshot) {
+  const session = snapshot.sessions ? null : activeSession();
+  const sessionSteps = session ? sessionDeviceSteps(session) : null;
+  
+  deviceData.clear();
+  deviceToReceiver.clear();
+  for (const receiver of receiverData.values()) {
+    receiver.devices.clear();
+  }
+  pendingSamples.clear();
+  lastQueuedSample.clear();
+
+  deviceHistory.clear();
+  for (const [deviceId, history] of Object.entries(snapshot.deviceHistory || {})) {
+    deviceHistory.set(deviceId, history);
+  }
+
+  offlineDevices.clear();
+  for (const [deviceId, device] of Object.entries(snapshot.offlineDevices || {})) {
+    offlineDevices.set(deviceId, device);
+  }
+
+  // Devices that were live in the snapshot come back offline and pick up
+  // their history again with their next report
+  for (const [deviceId, device] of Object.entries(snapshot.devices || {})) {
+    if (offlineDevices.has(deviceId)) continue;
+    const history = deviceHistory.get(deviceId);
+    offlineDevices.set(deviceId, {
+      ...device,
+      offlineTime: device.lastSeen || Date.now(),
+      history: history ? { ...history } : null
+    });
+  }
+
+  if (snapshot.systemHistory) {
+    systemHistory.length = 0;
+    systemHistory.push(...snapshot.systemHistory.slice(0, config.values.systemHistoryCap));
+  }
+
+  if (snapshot.receiverTelemetry) {
+    receiverTelemetry.clear();
+    for (const [receiverId, telemetry] of Object.entries(snapshot.receiverTelemetry)) {
+      receiverTelemetry.set(receiverId, telemetry);
+    }
+  }
+
+  for (const [map, key] of [[participants, 'participants'], [receiverRegistry, 'receiverRegistry'], [admission, 'admission']]) {
+    if (!snapshot[key]) continue;
+    map.clear();
+    for (const [deviceId, entry] of Object.entries(snapshot[key])) map.set(deviceId, entry);
+  }
+
+  // Keyed by id, which JSON turned into a string
+  if (snapshot.assignments) {
+    assignments.clear();
+    assignmentsByDevice.clear();
+    for (const assignment of Object.values(snapshot.assignments)) {
+      assignments.set(assignment.id, assignment);
+      indexAssignment(assignment);
+    }
+  }
+  for (const [map, key] of [[sessions, 'sessions'], [schedules, 'schedules']]) {
+    if (!snapshot[key]) continue;
+    map.clear();
+    for (const value of Object.values(snapshot[key])) map.set(value.id, value);
+  }
+
+  serverStats.totalSteps = (snapshot.statistics && snapshot.statistics.totalSteps) || 0;
+  updateStatistics();
+  if (session) rebaseSession(session, sessionSteps);
+
+  if (!storage) return;
+  await storage.restore({ deviceHistory, offlineDevices, systemHistory, receiverTelemetry });
+  if (snapshot.participants) await storage.saveParticipants(participants);
+  if (snapshot.receiverRegistry) await storage.saveReceiverRegistry(receiverRegistry);
+  if (snapshot.admission) await storage.saveAdmission(admission);
+  if (snapshot.assignments) await storage.saveAssignments(assignments);
+  if (snapshot.sessions) await storage.saveSessions(sessions);
+  if (snapshot.schedules) await storage.saveSchedules(schedules);
+}
+
+async function takeSnapshot(reason) {
+  const backup = await backups.write(buildSnapshot(), reason);
+  backupStats.snapshots++;
+  backupStats.lastSnapshotAt = backup.createdAt;
+
+  if (reason === 'scheduled') {
+    const removed = await backups.prune();
+    backupStats.pruned += removed.length;
+  }
+
+  console.log(`🗂️ Snapshot ${backup.name} written (${backup.size} bytes)`);
+  return backup;
+}
+
+function runScheduledSnapshot() {
+  if (restoreInProgress) return;
+
+  takeSnapshot('scheduled').catch((error) => {
+    backupStats.lastError = error.message;
+    console.error('❌ Scheduled snapshot failed:', error.message);
+  });
+}
+
+// After a corrupt database was quarantined the storage starts empty; the
+// newest snapshot that still reads is the closest copy of what it held.
+// Returns that snapshot's description, or null when there is none.
+async function restoreNewestSnapshot() {
+  for (const backup of await backups.list()) {
+    if (backup.format !== 'snapshot') continue;
+    let found;
+    try {
+      found = await backups.read(backup.name);
+    } catch (error) {
+      console.error(`❌ Snapshot ${backup.name} is unreadable (${error.message}), trying an older one`);
+      continue;
+    }
+    await restoreSnapshot(found.data);
+    backupStats.restores++;
+    backupStats.lastRestoreAt = Date.now();
+    return found.backup;
+  }
+  return null;
+}
+
+// The current state is snapshotted first, so a restore can itself be undone
+async function restoreBackup(found) {
+  const snapshot = found.backup.format === 'legacy' ? legacyBackupToSnapshot(found.data) : found.data;
+  const safety = await takeSnapshot('pre-restore');
+
+  await restoreSnapshot(snapshot);
+  backupStats.restores++;
+  backupStats.lastRestoreAt = Date.now();
+
+  const kind = found.backup.format === 'legacy' ? 'legacy backup' : 'snapshot';
+  addLog('system', `Restored ${kind} ${found.backup.name} (${deviceHistory.size} devices, ${serverStats.totalSteps} total steps) - previous state saved as ${safety.name}`);
+
+  return {
+    status: 'restored',
+    restored: found.backup,
+    preRestoreSnapshot: safety.name,
+    devices: deviceHistory.size,
+    offlineDevices: offlineDevices.size,
+    systemHistory: systemHistory.length,
+    totalSteps: serverStats.totalSteps
+  };
+}
+
+
+// ============================================================================
+// INGESTION JOURNAL
+// ============================================================================
+
+// Accepted reports and backfill uploads go to data/journal/ exactly as
+// processReceiverReport() and applyBackfillSamples() received them.
+// Replaying the journal from an empty state rebuilds the devices as they
+// were at any moment since it was started: POST /api/journal/replay, or
+// JOURNAL_REPLAY=<now|epoch ms|ISO date> at startup.
+const JOURNAL_CONFIG = {
+  dir: `${DATA_DIR}/journal`,
+  rotateBytes: config.values.journalRotateBytes,
+  retentionDays: config.values.journalRetentionDays,
+  replayOnStart: process.env.JOURNAL_REPLAY || null
+};
+const JOURNAL_PRUNE_INTERVAL_MS = 3600000;   // Log files are pruned on the same timer
+const REPLAY_CLEANUP_INTERVAL_MS = 30000;   // Same cadence as the live cleanupOldData()
+
+const journal = createJournal({
+  dir: JOURNAL_CONFIG.dir,
+  rotateBytes: JOURNAL_CONFIG.rotateBytes,
+  retentionDays: JOURNAL_CONFIG.retentionDays
+});
+const replayStats = {
+  replays: 0,
+  lastReplayAt: null,
+  lastReplay: null
+};
+// While a replay rebuilds the devices, live reports and backfills are
+// journaled as usual but applied only once it is done
+let replayBacklog = null;
+
+function writeJournal(entry) {
+  try {
+    journal.append(entry);
+  } catch (error) {
+    console.error('❌ Failed to write journal entry:', error.message);
+  }
+}
+
+function pruneRotatedFiles() {
+  for (const [name, store, retentionDays] of [['journal', journal, JOURNAL_CONFIG.retentionDays], ['log', logStore, LOG_CONFIG.retentionDays]]) {
+    try {
+      const removed = store.prune();
+      if (removed.length > 0) console.log(`🧹 Removed ${removed.length} ${name} files older than ${retentionDays} days`);
+    } catch (error) {
+      console.error(`❌ Failed to prune ${name} files:`, error.message);
+    }
+  }
+}
+
+// Rebuilds deviceData, deviceHistory and offlineDevices from nothing, as of
+// `until`. Yields while the journal is read; rebuildFromJournal() holds the
+// live reports back meanwhile.
+async function replayJournal(until) {
+  const started = Date.now();
+  const counts = { reports: 0, backfills: 0, unknown: 0 };
+  let nextCleanup = null;
+  let result;
+  
+  deviceData.clear();
+  deviceToReceiver.clear();
+  receiverData.clear();
+  deviceHistory.clear();
+  offlineDevices.clear();
+  pendingSamples.clear();
+  lastQueuedSample.clear();
+  serverStats.totalSteps = 0;
+  
+  try {
+    result = await journal.read(until, (entry) => {
+      replayClock = entry.time;
+      
+      // Devices and receivers go offline at the same points they did live
+      if (nextCleanup === null) nextCleanup = entry.time + REPLAY_CLEANUP_INTERVAL_MS;
+      if (entry.time >= nextCleanup) {
+        cleanupOldData();
+        nextCleanup = entry.time + REPLAY_CLEANUP_INTERVAL_MS;
+      }
+      
+      if (entry.type === 'report') {
+        const { receiverId, deviceCount, receiverPriority, timestamp } = entry;
+        processReceiverReport({ receiverId, deviceCount, receiverPriority, timestamp }, entry.devices, entry.reportTime);
+        counts.reports++;
+      } else if (entry.type === 'backfill') {
+        const byDevice = new Map();
+        for (const { deviceId, ...sample } of entry.samples) {
+          if (!byDevice.has(deviceId)) byDevice.set(deviceId, []);
+          byDevice.get(deviceId).push(sample);
+        }
+        applyBackfillSamples(entry.receiverId, byDevice, { applied: 0, gapSamples: 0, covered: 0, recoveredSteps: 0 });
+        counts.backfills++;
+      } else {
+        counts.unknown++;
+      }
+      
+      // Timers and requests run between chunks, on the wall clock
+      replayClock = null;
+    });
+    
+    replayClock = Math.min(until, Date.now());
+    cleanupOldData();
+  } finally {
+    replayClock = null;
+  }
+  
+  updateStatistics();
+  
+  return {
+    until,
+    files: result.files,
+    entries: result.entries,
+    reports: counts.reports,
+    backfills: counts.backfills,
+    unknown: counts.unknown,
+    skippedLines: result.skipped,
+    firstEntryAt: result.first,
+    lastEntryAt: result.last,
+    durationMs: Date.now() - started
+  };
+}
+
+// The current state is snapshotted first, so a replay can be undone
+async function rebuildFromJournal(until) {
+  const safety = await takeSnapshot('pre-replay');
+  const session = activeSession();
+  const sessionSteps = session ? sessionDeviceSteps(session) : null;
+  let replay;
+  replayBacklog = [];
+  try {
+    replay = await replayJournal(until);
+    if (session) rebaseSession(session, sessionSteps);
+  } finally {
+    const held = replayBacklog;
+    replayBacklog = null;
+    for (const apply of held) apply();
+  }
+  
+  if (storage) await storage.restore({ deviceHistory, offlineDevices, systemHistory, receiverTelemetry });
+  replayStats.replays++;
+  replayStats.lastReplayAt = Date.now();
+  replayStats.lastReplay = replay;
+  
+  addLog('system', `Rebuilt ${deviceHistory.size} devices from ${replay.entries} journal entries up to ${new Date(until).toLocaleString()} - previous state saved as ${safety.name}`);
+  console.log(`📼 Journal replay: ${replay.reports} reports and ${replay.backfills} backfills from ${replay.files} files in ${replay.durationMs}ms`);
+  
+  return {
+    status: 'replayed',
+    ...replay,
+    preReplaySnapshot: safety.name,
+    devices: deviceHistory.size,
+    activeDevices: deviceData.size,
+    offlineDevices: offlineDevices.size,
+    totalSteps: serverStats.totalSteps
+  };
+}
+
+// ============================================================================
+// BAND REGISTRY
+// ============================================================================
+
+const PARTICIPANT_IMPORT_MODES = ['merge', 'replace'];
+
+function describeParticipant(participant) {
+  const now = Date.now();
+  const device = deviceData.get(participant.deviceId);
+  let status = 'Never seen';
+  if (device) status = now - device.lastSeen < config.values.deviceOfflineMs ? 'Online' : 'Offline';
+  else if (offlineDevices.has(participant.deviceId)) status = 'Offline';
+
+  return { ...participant, label: deviceLabel(participant.deviceId), status };
+}
+
+function listParticipants() {
+  return Array.from(participants.values()).sort((a, b) => a.bandNumber - b.bandNumber);
+}
+
+// The device already holding a band number, other than `deviceId` itself
+function bandNumberHolder(bandNumber, deviceId, registry = participants) {
+  for (const participant of registry.values()) {
+    if (participant.bandNumber === bandNumber && participant.deviceId !== deviceId) return participant.deviceId;
+  }
+  return null;
+}
+
+// Validates and stores one entry. Returns { participant, created } or
+// { status, errors } without touching the registry.
+async function saveParticipant(input) {
+  const { participant, errors } = normalizeParticipant(input);
+  if (errors.length > 0) return { status: 400, errors };
+
+  const holder = bandNumberHolder(participant.bandNumber, participant.deviceId);
+  if (holder) {
+    return { status: 409, errors: [{ field: 'bandNumber', message: `band ${participant.bandNumber} is already registered to ${holder}` }] };
+  }
+
+  const now = Date.now();
+  const existing = participants.get(participant.deviceId);
+  const saved = { ...participant, createdAt: existing ? existing.createdAt : now, updatedAt: now };
+  participants.set(saved.deviceId, saved);
+  await storage.saveParticipants(participants);
+  return { participant: saved, created: !existing };
+}
+
+// Sheet rows -> registry. All or nothing: any invalid row, duplicate MAC or
+// band number rejects the whole file. merge keeps entries the file does not
+// mention, replace drops them.
+async function importParticipants(rows, mode) {
+  const errors = [];
+  const incoming = new Map();
+  const rowOf = new Map();
+
+  for (const { row, input } of rows) {
+    const result = normalizeParticipant(input);
+    for (const error of result.errors) errors.push({ row, ...error });
+    if (!result.participant) continue;
+
+    const { deviceId } = result.participant;
+    if (incoming.has(deviceId)) {
+      errors.push({ row, field: 'deviceId', message: `${deviceId} is also on row ${rowOf.get(deviceId)}` });
+      continue;
+    }
+    incoming.set(deviceId, result.participant);
+    rowOf.set(deviceId, row);
+  }
+
+  const next = mode === 'replace' ? new Map() : new Map(participants);
+  const now = Date.now();
+  let created = 0;
+  let updated = 0;
+  for (const participant of incoming.values()) {
+    const existing = participants.get(participant.deviceId);
+    if (existing) updated++;
+    else created++;
+    next.set(participant.deviceId, { ...participant, createdAt: existing ? existing.createdAt : now, updatedAt: now });
+  }
+
+  for (const participant of incoming.values()) {
+    const holder = bandNumberHolder(participant.bandNumber, participant.deviceId, next);
+    if (holder) {
+      const where = rowOf.has(holder) ? `row ${rowOf.get(holder)}` : `registered device ${holder}`;
+      errors.push({ row: rowOf.get(participant.deviceId), field: 'bandNumber', message: `band ${participant.bandNumber} is also used by ${where}` });
+    }
+  }
+
+  if (errors.length > 0) return { errors };
+
+  const removed = mode === 'replace' ? Array.from(participants.keys()).filter(deviceId => !incoming.has(deviceId)).length : 0;
+  participants.clear();
+  for (const [deviceId, participant] of next.entries()) participants.set(deviceId, participant);
+  await storage.saveParticipants(participants);
+
+  addLog('system', `Imported ${incoming.size} bands (${mode}): ${created} new, ${updated} updated, ${removed} removed`);
+  return { mode, rows: rows.length, created, updated, removed, total: participants.size };
+}
+
+// ?format= wins, otherwise the Content-Type decides
+function participantFileFormat(req) {
+  if (req.query.format !== undefined) return FILE_FORMATS[req.query.format] ? req.query.format : null;
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (contentType === FILE_FORMATS.xlsx) return 'xlsx';
+  if (contentType === FILE_FORMATS.csv || contentType === 'text/plain' || contentType === 'application/csv') return 'csv';
+  return null;
+}
+
+// ============================================================================
+// BAND ASSIGNMENTS
+// ============================================================================
+//
+// Bands are handed out at the desk and come back at the end of the night, so
+// one band is worn by many people. Each check-out is an assignment from
+// `start` to `end` (null while the band is out), and every step the band takes
+// in between is credited to it as it arrives. Backfilled samples are credited
+// by the time they were taken, not when they were uploaded.
+//
+// A check-out or return entered after the fact moves the steps taken since
+// then, using the step samples; the JSON engine keeps none and leaves the
+// credit as counted.
+//
+// A band whose battery dies mid-event is swapped: its assignment ends and the
+// same person gets a new one on a fresh band, which carries the running total
+// over (carriedSteps). Person totals only add up `steps`, so nothing is
+// counted twice.
+
+const BACKDATE_TOLERANCE_MS = 5000;     // Desk clocks a little ahead of the server
+const SAMPLE_LOOKBACK_MS = 3600000;     // How far back a backdated time looks for a sample
+let nextAssignmentId = 1;
+let assignmentsDirty = false;           // Credited steps changed since the last save
+
+function unindexAssignment(assignment) {
+  const list = assignmentsByDevice.get(assignment.deviceId) || [];
+  list.splice(list.indexOf(assignment), 1);
+  if (list.length === 0) assignmentsByDevice.delete(assignment.deviceId);
+}
+
+function indexAssignment(assignment) {
+  if (!assignmentsByDevice.has(assignment.deviceId)) assignmentsByDevice.set(assignment.deviceId, []);
+  const list = assignmentsByDevice.get(assignment.deviceId);
+  list.push(assignment);
+  list.sort((a, b) => a.start - b.start);
+  nextAssignmentId = Math.max(nextAssignmentId, assignment.id + 1);
+}
+
+// Assignments of one band never overlap, so an open one is always the last
+function openAssignment(deviceId) {
+  const list = assignmentsByDevice.get(deviceId);
+  const last = list ? list[list.length - 1] : null;
+  return last && last.end === null ? last : null;
+}
+
+function assignmentAt(deviceId, time) {
+  const list = assignmentsByDevice.get(deviceId) || [];
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (list[i].start <= time) return list[i].end === null || time < list[i].end ? list[i] : null;
+  }
+  return null;
+}
+
+// Called with every lifetime step increase. Steps while nobody held the
+// band are counted in the totals but credited to no one.
+function creditSteps(deviceId, steps, time) {
+  if (replayClock !== null || steps <= 0) return;
+  
+  const assignment = assignmentAt(deviceId, time);
+  if (!assignment) return;
+  assignment.steps += steps;
+  assignmentsDirty = true;
+}
+
+function currentLifetimeSteps(deviceId) {
+  if (deviceHistory.has(deviceId)) return deviceHistory.get(deviceId).lifetimeSteps ?? null;
+  const offline = offlineDevices.get(deviceId);
+  return offline ? offline.lifetimeSteps ?? (offline.history && offline.history.lifetimeSteps) ?? null : null;
+}
+
+// Lifetime count of a band at `time`, from the last step sample before it.
+// null when the engine keeps no samples or the band was silent for the hour
+// before; 0 when the band was first seen after `time`.
+function lifetimeStepsAt(deviceId, time) {
+  const history = deviceHistory.get(deviceId) || (offlineDevices.get(deviceId) || {}).history;
+  if (!history) return null;
+  if (history.firstSeen >= time) return 0;
+  
+  flushDeviceSamples();
+  const series = storage.querySamples(deviceId, time - SAMPLE_LOOKBACK_MS, time, 'auto');
+  if (!series || series.points.length === 0) return null;
+  return series.points[series.points.length - 1].lifetimeSteps;
+}
+
+// Steps a band took since `time`, or null when that cannot be told
+function stepsSince(deviceId, time) {
+  const then = lifetimeStepsAt(deviceId, time);
+  const now = currentLifetimeSteps(deviceId);
+  return then === null || now === null ? null : Math.max(0, now - then);
+}
+
+// Band number or full MAC -> { deviceId, bandNumber } or { status, error }
+function resolveBand(ref) {
+  const wanted = String(ref ?? '').trim().replace(/^#/, '').toUpperCase();
+  if (MAC_PATTERN.test(wanted)) {
+    const participant = participants.get(wanted);
+    return { deviceId: wanted, bandNumber: participant ? participant.bandNumber : null };
+  }
+  if (!/^\d+$/.test(wanted)) return { status: 400, error: 'band must be a band number or a MAC address' };
+  
+  const bandNumber = Number(wanted);
+  for (const participant of participants.values()) {
+    if (participant.bandNumber === bandNumber) return { deviceId: participant.deviceId, bandNumber };
+  }
+  return { status: 404, error: `Band #${bandNumber} is not in the band registry` };
+}
+
+// Desk times: epoch ms or ISO date, default now, never in the future
+function parseDeskTime(value, field) {
+  const now = Date.now();
+  const time = parseTimeParam(value === null ? undefined : value, now);
+  if (Number.isNaN(time)) return { error: { field, message: 'must be epoch ms or an ISO date' } };
+  if (time > now + BACKDATE_TOLERANCE_MS) return { error: { field, message: 'must not be in the future' } };
+  return { time: Math.min(time, now) };
+}
+
+function bandLabel(assignment) {
+  return assignment.bandNumber !== null ? `#${assignment.bandNumber}` : assignment.deviceId;
+}
+
+function latestAssignmentOf(key) {
+  let latest = null;
+  for (const assignment of assignments.values()) {
+    if (assignment.holderKey === key && (!latest || assignment.start > latest.start)) latest = assignment;
+  }
+  return latest;
+}
+
+// The band a swapped-out band was replaced with, unless it went out again since
+function swappedOutTo(deviceId) {
+  const list = assignmentsByDevice.get(deviceId);
+  const last = list ? list[list.length - 1] : null;
+  return last && last.swappedTo !== null ? assignments.get(last.swappedTo).deviceId : null;
+}
+
+// What leaderboards show for a band: its wearer's running total, swaps
+// included, or the band's own lifetime count when nobody has it out
+function continuousSteps(deviceId, lifetimeSteps) {
+  const assignment = openAssignment(deviceId);
+  return assignment ? assignment.carriedSteps + assignment.steps : lifetimeSteps;
+}
+
+function describeAssignment(assignment) {
+  return {
+    ...assignment,
+    label: bandLabel(assignment),
+    open: assignment.end === null,
+    totalSteps: assignment.carriedSteps + assignment.steps,
+    duration: (assignment.end ?? Date.now()) - assignment.start
+  };
+}
+
+async function createAssignment(band, holder, start, steps, by, swap = {}) {
+  const assignment = {
+    id: nextAssignmentId,
+    deviceId: band.deviceId,
+    bandNumber: band.bandNumber,
+    holderKey: holderKey(holder),
+    name: holder.name,
+    phone: holder.phone,
+    team: holder.team,
+    category: holder.category,
+    start,
+    end: null,
+    steps,
+    checkedOutBy: by,
+    returnedBy: null,
+    swappedFrom: swap.from ?? null,
+    swappedTo: null,
+    carriedSteps: swap.carriedSteps ?? 0,
+    swapLifetime: null
+  };
+  assignments.set(assignment.id, assignment);
+  indexAssignment(assignment);
+  assignmentsDirty = false;
+  await storage.saveAssignments(assignments);
+  return assignment;
+}
+
+// Body: { band, name, phone, team, category, start }. A returning participant
+// only needs band and phone; the rest comes from their last assignment.
+// Returns { assignment, backdatedSteps } or { status, errors }.
+async function checkOutBand(input, by) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { status: 400, errors: [{ field: '', message: 'must be an object' }] };
+  }
+  
+  const band = resolveBand(input.band);
+  if (band.error) return { status: band.status, errors: [{ field: 'band', message: band.error }] };
+  
+  let details = input;
+  if (!input.name && input.phone) {
+    const previous = latestAssignmentOf(holderKey({ phone: String(input.phone) }));
+    if (previous) details = { team: previous.team, category: previous.category, ...input, name: previous.name };
+  }
+  const { holder, errors } = normalizeHolder(details);
+  const start = parseDeskTime(input.start, 'start');
+  if (start.error) errors.push(start.error);
+  if (errors.length > 0) return { status: 400, errors };
+  
+  const key = holderKey(holder);
+  const current = openAssignment(band.deviceId);
+  if (current) {
+    return { status: 409, errors: [{ field: 'band', message: `band ${bandLabel(current)} is still checked out to ${current.name} since ${new Date(current.start).toLocaleString()}, return it first` }] };
+  }
+  for (const assignment of assignments.values()) {
+    if (assignment.end === null && assignment.holderKey === key) {
+      return { status: 409, errors: [{ field: 'name', message: `${assignment.name} already has band ${bandLabel(assignment)}` }] };
+    }
+  }
+  const previous = (assignmentsByDevice.get(band.deviceId) || []).slice(-1)[0];
+  if (previous && start.time < previous.end) {
+    return { status: 400, errors: [{ field: 'start', message: `must be after the band's last return at ${new Date(previous.end).toLocaleString()}` }] };
+  }
+  
+  const backdated = Date.now() - start.time > BACKDATE_TOLERANCE_MS;
+  const backdatedSteps = backdated ? stepsSince(band.deviceId, start.time) : null;
+  const assignment = await createAssignment(band, holder, start.time, backdatedSteps || 0, by);
+  
+  const note = backdated ? ` (from ${new Date(start.time).toLocaleString()}, ${backdatedSteps === null ? 'earlier steps unknown' : `${backdatedSteps} earlier steps credited`})` : '';
+  addLog('assignment', `Band ${bandLabel(assignment)} checked out to ${assignment.name}${note}`, { deviceId: assignment.deviceId, assignmentId: assignment.id, holderKey: key, by });
+  return { assignment, backdatedSteps };
+}
+
+// Body: { band, end }. Returns { assignment, backdatedSteps } or { status, errors },
+// where backdatedSteps were taken after `end` and are no longer credited.
+async function returnBand(input, by) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { status: 400, errors: [{ field: '', message: 'must be an object' }] };
+  }
+  
+  const band = resolveBand(input.band);
+  if (band.error) return { status: band.status, errors: [{ field: 'band', message: band.error }] };
+  const assignment = openAssignment(band.deviceId);
+  if (!assignment) {
+    return { status: 404, errors: [{ field: 'band', message: `band ${band.bandNumber !== null ? `#${band.bandNumber}` : band.deviceId} is not checked out` }] };
+  }
+  
+  const end = parseDeskTime(input.end, 'end');
+  if (end.error) return { status: 400, errors: [end.error] };
+  if (end.time < assignment.start) {
+    return { status: 400, errors: [{ field: 'end', message: `must be after the check-out at ${new Date(assignment.start).toLocaleString()}` }] };
+  }
+  
+  const backdated = Date.now() - end.time > BACKDATE_TOLERANCE_MS;
+  const backdatedSteps = backdated ? stepsSince(band.deviceId, end.time) : null;
+  if (backdatedSteps) assignment.steps = Math.max(0, assignment.steps - backdatedSteps);
+  assignment.end = end.time;
+  assignment.returnedBy = by;
+  assignmentsDirty = false;
+  await storage.saveAssignments(assignments);
+  
+  const note = backdated ? ` (at ${new Date(end.time).toLocaleString()}, ${backdatedSteps === null ? 'later steps unknown' : `${backdatedSteps} later steps taken back`})` : '';
+  addLog('assignment', `Band ${bandLabel(assignment)} returned by ${assignment.name} with ${assignment.carriedSteps + assignment.steps} steps${note}`, { deviceId: assignment.deviceId, assignmentId: assignment.id, holderKey: assignment.holderKey, steps: assignment.steps, by });
+  return { assignment, backdatedSteps };
+}
+
+// Body: { from, to }, both a band number or MAC. A registered band nobody
+// checked out counts as checked out to its registered participant since it
+// was first seen (or last returned), so registry-only events can swap too.
+// Returns { assignment, previous } or { status, errors }.
+async function swapBand(input, by) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { status: 400, errors: [{ field: '', message: 'must be an object' }] };
+  }
+  
+  const from = resolveBand(input.from);
+  if (from.error) return { status: from.status, errors: [{ field: 'from', message: from.error }] };
+  const to = resolveBand(input.to);
+  if (to.error) return { status: to.status, errors: [{ field: 'to', message: to.error }] };
+  if (from.deviceId === to.deviceId) return { status: 400, errors: [{ field: 'to', message: 'must be a different band' }] };
+  
+  const toLabel = to.bandNumber !== null ? `#${to.bandNumber}` : to.deviceId;
+  const taken = openAssignment(to.deviceId);
+  if (taken) return { status: 409, errors: [{ field: 'to', message: `band ${toLabel} is checked out to ${taken.name}, return it first` }] };
+  if (admissionStatus(to.deviceId) === 'blocked') return { status: 409, errors: [{ field: 'to', message: `band ${toLabel} is blocked` }] };
+  
+  const now = Date.now();
+  let previous = openAssignment(from.deviceId);
+  if (!previous) {
+    const participant = participants.get(from.deviceId);
+    if (!participant) {
+      return { status: 404, errors: [{ field: 'from', message: `band ${from.bandNumber !== null ? `#${from.bandNumber}` : from.deviceId} is neither checked out nor registered` }] };
+    }
+    const last = (assignmentsByDevice.get(from.deviceId) || []).slice(-1)[0];
+    const history = deviceHistory.get(from.deviceId) || (offlineDevices.get(from.deviceId) || {}).history;
+    const start = last ? last.end : history ? history.firstSeen : now;
+    const steps = last ? stepsSince(from.deviceId, last.end) : currentLifetimeSteps(from.deviceId);
+    previous = await createAssignment(from, participant, start, steps || 0, by);
+  }
+  
+  previous.end = now;
+  previous.returnedBy = by;
+  previous.swappedTo = nextAssignmentId;
+  previous.swapLifetime = currentLifetimeSteps(from.deviceId) ?? 0;
+  const carriedSteps = previous.carriedSteps + previous.steps;
+  const assignment = await createAssignment(to, previous, now, 0, by, { from: previous.id, carriedSteps });
+  
+  addLog('assignment', `Band ${bandLabel(previous)} swapped for ${bandLabel(assignment)} on ${assignment.name}, carrying ${carriedSteps} steps over`, { deviceId: assignment.deviceId, previousDeviceId: previous.deviceId, assignmentId: assignment.id, swappedFrom: previous.id, holderKey: assignment.holderKey, carriedSteps, by });
+  return { assignment, previous };
+}
+
+// Takes a swap back as if it never happened: the new band's assignment is
+// dropped and the old one runs on, credited with whatever the old band
+// counted since. Only while neither band has moved on since.
+// Returns { assignment, undone, laterSteps } or { status, error }.
+async function undoSwap(assignmentId, by) {
+  const assignment = assignments.get(assignmentId);
+  if (!assignment) return { status: 404, error: `No assignment ${assignmentId}` };
+  if (assignment.swappedFrom === null) return { status: 400, error: `Assignment ${assignmentId} is not a band swap` };
+  if (assignment.end !== null) {
+    return { status: 409, error: `Band ${bandLabel(assignment)} has been ${assignment.swappedTo !== null ? 'swapped again' : 'returned'} since, that has to be undone first` };
+  }
+  
+  const previous = assignments.get(assignment.swappedFrom);
+  if ((assignmentsByDevice.get(previous.deviceId) || []).slice(-1)[0] !== previous) {
+    return { status: 409, error: `Band ${bandLabel(previous)} has been checked out again since` };
+  }
+  
+  const laterSteps = Math.max(0, (currentLifetimeSteps(previous.deviceId) ?? previous.swapLifetime) - previous.swapLifetime);
+  assignments.delete(assignment.id);
+  unindexAssignment(assignment);
+  previous.end = null;
+  previous.returnedBy = null;
+  previous.swappedTo = null;
+  previous.swapLifetime = null;
+  previous.steps += laterSteps;
+  assignmentsDirty = false;
+  await storage.saveAssignments(assignments);
+  
+  addLog('assignment', `Swap of band ${bandLabel(previous)} for ${bandLabel(assignment)} on ${previous.name} undone, ${bandLabel(previous)} credited ${laterSteps} steps since`, { deviceId: previous.deviceId, undoneDeviceId: assignment.deviceId, assignmentId: previous.id, undoneAssignmentId: assignment.id, holderKey: previous.holderKey, laterSteps, by });
+  return { assignment: previous, undone: assignment, laterSteps };
+}
+
+// Credited steps per person across all their assignments, newest details
+// first. holdingBand is the band they have right now, if any.
+function holderTotals() {
+  const totals = new Map();
+  const byStart = Array.from(assignments.values()).sort((a, b) => b.start - a.start);
+  
+  for (const assignment of byStart) {
+    let total = totals.get(assignment.holderKey);
+    if (!total) {
+      total = {
+        holderKey: assignment.holderKey,
+        name: assignment.name,
+        phone: assignment.phone,
+        team: assignment.team,
+        category: assignment.category,
+        steps: 0,
+        assignments: 0,
+        bands: [],
+        holdingBand: null,
+        firstCheckOut: null,
+        lastActive: null
+      };
+      totals.set(assignment.holderKey, total);
+    }
+    total.steps += assignment.steps;
+    total.assignments++;
+    if (!total.bands.includes(bandLabel(assignment))) total.bands.push(bandLabel(assignment));
+    if (assignment.end === null) total.holdingBand = bandLabel(assignment);
+    total.firstCheckOut = assignment.start;
+    total.lastActive = Math.max(total.lastActive ?? 0, assignment.end ?? Date.now());
+  }
+  
+  return totals;
+}
+
+// ============================================================================
+// EVENT SESSIONS
+// ============================================================================
+//
+// Each night is its own competition. Starting a session snapshots every
+// band's lifetime count (and every assignment's credited steps) as its
+// baseline; a band's session steps are how far it has moved on since. A band
+// first seen during the session starts from 0. Stopping the session freezes
+// its standings into the archive. One session runs at a time.
+
+const SESSION_SCHEMA = {
+  name: { type: 'string', required: true, maxLength: 60 }
+};
+const MAX_COMPARED_SESSIONS = 10;
+
+function activeSession() {
+  for (const session of sessions.values()) {
+    if (session.endedAt === null) return session;
+  }
+  return null;
+}
+
+// deviceId -> steps since the session started, for every band with any.
+// Bands that left the live state since (history clear) count from 0 with
+// whatever their baseline kept for them.
+function sessionDeviceSteps(session) {
+  const deviceIds = new Set([...deviceHistory.keys(), ...offlineDevices.keys(), ...Object.keys(session.baselines)]);
+  const steps = new Map();
+  for (const deviceId of deviceIds) {
+    const delta = (currentLifetimeSteps(deviceId) ?? 0) - (session.baselines[deviceId] ?? 0);
+    if (delta > 0) steps.set(deviceId, delta);
+  }
+  return steps;
+}
+
+function sessionStandings(session) {
+  return Array.from(sessionDeviceSteps(session).entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(([deviceId, steps], index) => ({
+      rank: index + 1,
+      deviceId,
+      name: deviceLabel(deviceId),
+      bandNumber: participants.has(deviceId) ? participants.get(deviceId).bandNumber : null,
+      steps
+    }));
+}
+
+// Per person, for events that check bands out: steps credited to their
+// assignments since the session started, swaps included
+function sessionParticipantStandings(session) {
+  const totals = new Map();
+  for (const assignment of assignments.values()) {
+    if (assignment.end !== null && assignment.end <= session.startedAt) continue;
+    if (session.endedAt !== null && assignment.start >= session.endedAt) continue;
+    
+    const steps = assignment.steps - (session.assignmentBaselines[assignment.id] ?? 0);
+    let total = totals.get(assignment.holderKey);
+    if (!total) {
+      total = { holderKey: assignment.holderKey, name: assignment.name, team: assignment.team, category: assignment.category, bands: [], steps: 0 };
+      totals.set(assignment.holderKey, total);
+    }
+    total.steps += Math.max(0, steps);
+    if (!total.bands.includes(bandLabel(assignment))) total.bands.push(bandLabel(assignment));
+  }
+  
+  return Array.from(totals.values())
+    .filter(total => total.steps > 0)
+    .sort((a, b) => b.steps - a.steps)
+    .map((total, index) => ({ rank: index + 1, ...total }));
+}
+
+// Live figures for a running session, the archived ones for a finished one
+function describeSession(session, { results = false } = {}) {
+  const end = session.endedAt ?? Date.now();
+  const standings = session.endedAt === null ? sessionStandings(session) : session.standings;
+  const summary = {
+    id: session.id,
+    name: session.name,
+    active: session.endedAt === null,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    elapsed: end - session.startedAt,
+    startedBy: session.startedBy,
+    endedBy: session.endedBy,
+    totalSteps: session.endedAt === null ? standings.reduce((sum, entry) => sum + entry.steps, 0) : session.totalSteps,
+    devices: standings.length,
+    leader: standings.length > 0 ? standings[0] : null
+  };
+  if (!results) return summary;
+  
+  return {
+    ...summary,
+    standings,
+    participants: session.endedAt === null ? sessionParticipantStandings(session) : session.participants
+  };
+}
+
+async function startSession(input, by) {
+  const errors = validateFields(input, SESSION_SCHEMA);
+  if (errors.length > 0) return { status: 400, errors };
+  
+  const name = input.name.trim();
+  if (!name) return { status: 400, errors: [{ field: 'name', message: 'is required' }] };
+  const running = activeSession();
+  if (running) {
+    return { status: 409, errors: [{ field: '', message: `session "${running.name}" is still running, stop it first` }] };
+  }
+  for (const session of sessions.values()) {
+    if (session.name.toUpperCase() === name.toUpperCase()) {
+      return { status: 409, errors: [{ field: 'name', message: `there is already a session called "${session.name}"` }] };
+    }
+  }
+  
+  const baselines = {};
+  for (const deviceId of new Set([...deviceHistory.keys(), ...offlineDevices.keys()])) {
+    baselines[deviceId] = currentLifetimeSteps(deviceId) ?? 0;
+  }
+  const assignmentBaselines = {};
+  for (const assignment of assignments.values()) {
+    if (assignment.end === null) assignmentBaselines[assignment.id] = assignment.steps;
+  }
+  
+  const session = {
+    id: Math.max(0, ...sessions.keys()) + 1,
+    name,
+    startedAt: Date.now(),
+    endedAt: null,
+    startedBy: by,
+    endedBy: null,
+    baselines,
+    assignmentBaselines,
+    totalSteps: null,
+    standings: null,
+    participants: null
+  };
+  sessions.set(session.id, session);
+  await storage.saveSessions(sessions);
+  
+  addLog('session', `Session "${name}" started with ${Object.keys(baselines).length} bands on the baseline`, { sessionId: session.id, by });
+  return { session };
+}
+
+async function stopSession(session, by) {
+  const standings = sessionStandings(session);
+  session.participants = sessionParticipantStandings(session);
+  session.standings = standings;
+  session.totalSteps = standings.reduce((sum, entry) => sum + entry.steps, 0);
+  session.endedAt = Date.now();
+  session.endedBy = by;
+  await storage.saveSessions(sessions);
+  
+  const elapsed = session.endedAt - session.startedAt;
+  const duration = elapsed < 60000 ? Math.max(1000, Math.round(elapsed / 1000) * 1000) : Math.round(elapsed / 60000) * 60000;
+  const leader = standings.length > 0 ? `, won by ${standings[0].name} with ${standings[0].steps} steps` : '';
+  addLog('session', `Session "${session.name}" stopped after ${formatDuration(duration)}: ${session.totalSteps} steps from ${standings.length} bands${leader}`, { sessionId: session.id, totalSteps: session.totalSteps, by });
+  return session;
+}
+
+// A history clear, reset, restore or journal replay replaces lifetime
+// counts. Moving the baselines
+// keeps what each band already did this session; `before` is
+// sessionDeviceSteps() from just before the counts changed.
+function rebaseSession(session, before) {
+  for (const deviceId of Object.keys(session.baselines)) {
+    if (!before.has(deviceId)) session.baselines[deviceId] = currentLifetimeSteps(deviceId) ?? 0;
+  }
+  for (const [deviceId, steps] of before.entries()) {
+    session.baselines[deviceId] = (currentLifetimeSteps(deviceId) ?? 0) - steps;
+  }
+  storage.saveSessions(sessions).catch(error => console.error('❌ Failed to save sessions:', error.message));
+}
+
+// Sessions side by side, plus every band's steps in each
+function compareSessions(list) {
+  const bands = new Map();
+  const columns = list.map((session) => {
+    const results = describeSession(session, { results: true });
+    for (const entry of results.standings) {
+      if (!bands.has(entry.deviceId)) bands.set(entry.deviceId, { deviceId: entry.deviceId, name: deviceLabel(entry.deviceId), steps: {}, total: 0 });
+      const band = bands.get(entry.deviceId);
+      band.steps[session.id] = entry.steps;
+      band.total += entry.steps;
+    }
+    const { standings, participants: people, ...summary } = results;
+    return {
+      ...summary,
+      averageSteps: standings.length > 0 ? Math.round(summary.totalSteps / standings.length) : 0,
+      top: standings.slice(0, 3)
+    };
+  });
+  
+  return {
+    sessions: columns,
+    bands: Array.from(bands.values()).sort((a, b) => b.total - a.total)
+  };
+}
+
+// ============================================================================
+// SESSION SCHEDULE
+// ============================================================================
+//
+// Sessions planned ahead, one per night, opened and closed by the schedule
+// check. Each night's status is saved with it, so after a restart the check
+// picks up where it left off: a night still on opens late, a night that ran
+// past its end is closed, and one that passed entirely is marked missed.
+
+const SCHEDULE_CHECK_INTERVAL_MS = 15000;
+const LATE_START_NOTICE_MS = 60000;    // Later than this, the start is logged as late
+let scheduleCheckRunning = false;
+
+function onlineReceiverCount() {
+  const cutoff = Date.now() - config.values.receiverTimeoutMs;
+  return Array.from(receiverData.values()).filter(receiver => receiver.lastSeen > cutoff).length;
+}
+
+function describeNight(schedule, night) {
+  return {
+    scheduleId: schedule.id,
+    ...night,
+    timezone: schedule.timezone,
+    localStart: formatZoned(night.start, schedule.timezone),
+    localEnd: formatZoned(night.end, schedule.timezone)
+  };
+}
+
+function describeSchedule(schedule) {
+  return {
+    ...schedule,
+    occurrences: schedule.occurrences.map(night => describeNight(schedule, night))
+  };
+}
+
+// Nights still to start or running, soonest first
+function upcomingNights() {
+  const nights = [];
+  for (const schedule of schedules.values()) {
+    for (const night of schedule.occurrences) {
+      if (night.status === 'scheduled' || night.status === 'running') nights.push(describeNight(schedule, night));
+    }
+  }
+  return nights.sort((a, b) => a.start - b.start);
+}
+
+function nightWarning(schedule, night, warning) {
+  night.warning = warning;
+  addLog('session', `⚠️ ${warning}`, { scheduleId: schedule.id, night: night.night, warning: true });
+}
+
+async function createSchedule(input, by) {
+  const { schedule, errors } = normalizeSchedule(input, config.values.venueTimezone);
+  if (errors.length > 0) return { status: 400, errors };
+  
+  const now = Date.now();
+  if (schedule.occurrences[0].end <= now) {
+    return { status: 400, errors: [{ field: 'date', message: `the first night already ended at ${formatZoned(schedule.occurrences[0].end, schedule.timezone)}` }] };
+  }
+  
+  const taken = new Set(Array.from(sessions.values()).map(session => session.name.toUpperCase()));
+  for (const night of upcomingNights()) {
+    taken.add(night.name.toUpperCase());
+    const clash = schedule.occurrences.find(own => own.start < night.end && night.start < own.end);
+    if (clash) {
+      return { status: 409, errors: [{ field: 'startTime', message: `"${clash.name}" overlaps "${night.name}" (${night.localStart} to ${night.localEnd})` }] };
+    }
+  }
+  const reused = schedule.occurrences.find(night => taken.has(night.name.toUpperCase()));
+  if (reused) {
+    return { status: 409, errors: [{ field: 'name', message: `there is already a session called "${reused.name}"` }] };
+  }
+  
+  schedule.id = Math.max(0, ...schedules.keys()) + 1;
+  schedule.createdAt = now;
+  schedule.createdBy = by;
+  schedules.set(schedule.id, schedule);
+  await storage.saveSchedules(schedules);
+  
+  const span = schedule.nights > 1 ? `${schedule.nights} nights from ${schedule.date}` : schedule.date;
+  addLog('session', `Scheduled "${schedule.name}" for ${span}, ${schedule.startTime} to ${schedule.endTime} ${schedule.timezone}`, { scheduleId: schedule.id, by });
+  runSessionSchedule();
+  return { schedule };
+}
+
+async function deleteSchedule(schedule, by) {
+  schedules.delete(schedule.id);
+  await storage.saveSchedules(schedules);
+  
+  const running = schedule.occurrences.find(night => night.status === 'running');
+  const note = running ? `, "${running.name}" keeps running until stopped` : '';
+  addLog('session', `Schedule "${schedule.name}" removed${note}`, { scheduleId: schedule.id, by });
+}
+
+// Opens and closes the scheduled sessions that are due
+async function runSessionSchedule() {
+  if (scheduleCheckRunning || replayBacklog) return;
+  scheduleCheckRunning = true;
+  let changed = false;
+  
+  try {
+    const now = Date.now();
+    const nights = [];
+    for (const schedule of schedules.values()) {
+      for (const night of schedule.occurrences) nights.push({ schedule, night });
+    }
+    nights.sort((a, b) => a.night.start - b.night.start);
+    
+    // Close first, so a night can start right after the one before it
+    for (const { night } of nights) {
+      if (night.status !== 'running') continue;
+      const session = sessions.get(night.sessionId);
+      if (session && session.endedAt === null && now < night.end) continue;
+      
+      if (session && session.endedAt === null) await stopSession(session, 'schedule');
+      night.status = 'done';
+      changed = true;
+    }
+    
+    for (const { schedule, night } of nights) {
+      if (night.status !== 'scheduled' || now < night.start) continue;
+      
+      if (now >= night.end) {
+        night.status = 'missed';
+        nightWarning(schedule, night, `Scheduled session "${night.name}" was missed, it was due from ${formatZoned(night.start, schedule.timezone)} to ${formatZoned(night.end, schedule.timezone)}`);
+        changed = true;
+        continue;
+      }
+      
+      const running = activeSession();
+      if (running) {
+        if (!night.warning) {
+          nightWarning(schedule, night, `Scheduled session "${night.name}" is waiting for "${running.name}" to stop`);
+          changed = true;
+        }
+        continue;
+      }
+      
+      const result = await startSession({ name: night.name }, 'schedule');
+      if (result.errors) {
+        night.status = 'missed';
+        nightWarning(schedule, night, `Scheduled session "${night.name}" could not start: ${result.errors.map(error => error.message).join('; ')}`);
+      } else {
+        night.status = 'running';
+        night.sessionId = result.session.id;
+        if (now - night.start > LATE_START_NOTICE_MS) {
+          addLog('session', `Scheduled session "${night.name}" started ${formatDuration(Math.round((now - night.start) / 60000) * 60000)} late`, { scheduleId: schedule.id, night: night.night, sessionId: night.sessionId });
+        }
+        // Receivers that were up before a restart get a chance to report in
+        night.receiverCheckAt = Math.max(now, serverStats.startTime + config.values.receiverTimeoutMs);
+      }
+      changed = true;
+    }
+    
+    // Steps only reach the server through receivers, so a night that starts
+    // with none online is being missed even though its session is open
+    for (const { schedule, night } of nights) {
+      if (night.status !== 'running' || !night.receiverCheckAt || now < night.receiverCheckAt) continue;
+      night.receiverCheckAt = null;
+      if (onlineReceiverCount() === 0) {
+        nightWarning(schedule, night, `No receivers are online for scheduled session "${night.name}", its steps are not being counted`);
+      }
+      changed = true;
+    }
+    
+    if (changed) await storage.saveSchedules(schedules);
+  } catch (error) {
+    console.error('❌ Session schedule check failed:', error.message);
+  } finally {
+    scheduleCheckRunning = false;
+  }
+}
+
+// ============================================================================
+// RECEIVER REGISTRY
+// ============================================================================
+
+// Where each receiver box is mounted. x/y place it on the venue plan as a
+// percentage of the plan's width and height.
+const RECEIVER_REGISTRY_SCHEMA = {
+  receiverId: { type: 'string', required: true, pattern: MAC_PATTERN },
+  name: { type: 'string', required: true, maxLength: 40 },
+  zone: { type: 'string', maxLength: 40 },
+  x: { type: 'number', min: 0, max: 100 },
+  y: { type: 'number', min: 0, max: 100 }
+};
+
+// Names may not look like a MAC or the MAC suffix unregistered receivers go by
+const RECEIVER_ID_LIKE = /^([0-9A-F]{2}:)*[0-9A-F]{2}$/i;
+
+function describeReceiverLocation(receiverId) {
+  const receiver = receiverRegistry.get(receiverId);
+  return {
+    registered: Boolean(receiver),
+    zone: receiver ? receiver.zone : null,
+    position: receiver && receiver.x !== null ? { x: receiver.x, y: receiver.y } : null
+  };
+}
+
+// Full MAC or name, in any case. Names are the registered ones plus the MAC
+// suffix an unregistered receiver is shown with, which two receivers can
+// share. Returns { receiverId } or { status, error }.
+function resolveReceiver(ref, receiverIds) {
+  const wanted = String(ref).trim().toUpperCase();
+  if (MAC_PATTERN.test(wanted)) return { receiverId: wanted };
+
+  const candidates = new Set([...receiverIds, ...receiverRegistry.keys()]);
+  const matches = Array.from(candidates).filter(receiverId => receiverLabel(receiverId).toUpperCase() === wanted);
+  if (matches.length === 1) return { receiverId: matches[0] };
+  if (matches.length > 1) {
+    return { status: 409, error: `"${ref}" matches ${matches.length} receivers (${matches.join(', ')}), use the full MAC` };
+  }
+  return { status: 404, error: `No receiver named "${ref}"` };
+}
+
+// Validates and stores one entry. Returns { receiver, created } or
+// { status, errors } without touching the registry.
+async function saveRegisteredReceiver(input) {
+  const errors = validateFields(input, RECEIVER_REGISTRY_SCHEMA);
+  if (errors.length > 0) return { status: 400, errors };
+
+  const receiverId = input.receiverId.toUpperCase();
+  const name = input.name.trim();
+  const zone = input.zone ? input.zone.trim() || null : null;
+  const x = input.x ?? null;
+  const y = input.y ?? null;
+
+  if (!name) errors.push({ field: 'name', message: 'is required' });
+  else if (RECEIVER_ID_LIKE.test(name)) errors.push({ field: 'name', message: 'must not look like a MAC address' });
+  if ((x === null) !== (y === null)) errors.push({ field: x === null ? 'x' : 'y', message: 'x and y go together' });
+  if (errors.length > 0) return { status: 400, errors };
+
+  for (const other of receiverRegistry.values()) {
+    if (other.receiverId !== receiverId && other.name.toUpperCase() === name.toUpperCase()) {
+      return { status: 409, errors: [{ field: 'name', message: `"${other.name}" is already used by ${other.receiverId}` }] };
+    }
+  }
+
+  const now = Date.now();
+  const existing = receiverRegistry.get(receiverId);
+  const receiver = { receiverId, name, zone, x, y, createdAt: existing ? existing.createdAt : now, updatedAt: now };
+  receiverRegistry.set(receiverId, receiver);
+  await storage.saveReceiverRegistry(receiverRegistry);
+  return { receiver, created: !existing };
+}
+
+function describeRegisteredReceiver(receiver) {
+  const live = receiverData.get(receiver.receiverId);
+  return {
+    ...receiver,
+    status: live && Date.now() - live.lastSeen < config.values.receiverTimeoutMs ? 'Online' : 'Offline',
+    lastSeen: live ? live.lastSeen : receiverTelemetry.has(receiver.receiverId) ? receiverTelemetry.get(receiver.receiverId).lastSeen : null
+  };
+}
+
+// ============================================================================
+// ADMISSION CONTROL
+// ============================================================================
+
+// Transmitters broadcast to FF:FF:FF:FF:FF:FF, so any ESP board in range
+// reaches the receivers. Registered or checked-out bands and approved MACs
+// are known and blocked MACs are always dropped. Unknown MACs depend on
+// admissionMode:
+//   open        counted like known ones
+//   quarantine  held in the quarantine list until approved or rejected
+//   strict      dropped
+const ADMISSION_DECISIONS = { approve: 'allowed', reject: 'blocked' };
+const admissionStats = { admitted: 0, blocked: 0, quarantined: 0, dropped: 0 };
+let admissionDirty = false;     // Entries or report counters changed since the last save
+
+function admissionStatus(deviceId) {
+  const entry = admission.get(deviceId);
+  if (entry && entry.status === 'blocked') return 'blocked';
+  if (participants.has(deviceId) || openAssignment(deviceId) || (entry && entry.status === 'allowed')) return 'known';
+  return 'unknown';
+}
+
+function isAdmitted(deviceId) {
+  const status = admissionStatus(deviceId);
+  return status === 'known' || (status === 'unknown' && config.values.admissionMode === 'open');
+}
+
+function noteAdmissionReport(entry, receiverId, device, time) {
+  if (entry.firstSeen === null) entry.firstSeen = time;
+  entry.lastSeen = time;
+  entry.reports++;
+  entry.receiverId = receiverId;
+  entry.stepCount = device.stepCount;
+  entry.batteryLevel = device.batteryLevel;
+  admissionDirty = true;
+}
+
+// The devices of a report that count. Runs before the report is journaled,
+// so the journal only ever holds admitted devices.
+function admitDevices(receiverId, deviceList, time) {
+  const admitted = [];
+  
+  for (const device of deviceList) {
+    const { deviceId } = device;
+    const status = admissionStatus(deviceId);
+    
+    if (isAdmitted(deviceId)) {
+      admitted.push(device);
+      admissionStats.admitted++;
+    } else if (status === 'blocked') {
+      admissionStats.blocked++;
+      noteAdmissionReport(admission.get(deviceId), receiverId, device, time);
+    } else if (config.values.admissionMode === 'strict') {
+      admissionStats.dropped++;
+    } else {
+      admissionStats.quarantined++;
+      let entry = admission.get(deviceId);
+      if (!entry) {
+        entry = { deviceId, status: 'quarantined', firstSeen: time, lastSeen: time, reports: 0, receiverId, stepCount: null, batteryLevel: null, decidedAt: null };
+        pruneQuarantine(time, 1);
+        admission.set(deviceId, entry);
+        addLog('admission', `Unknown device ${deviceId} quarantined (heard by receiver ${receiverLabel(receiverId)})`, { deviceId, receiverId });
+      }
+      noteAdmissionReport(entry, receiverId, device, time);
+    }
+  }
+  
+  return admitted;
+}
+
+// Anything in range can broadcast from a fresh MAC, so undecided entries
+// leave the quarantine list after quarantineMaxAgeMs of silence, and past
+// quarantineCap the longest silent go first. `room` makes space for new ones.
+function pruneQuarantine(now, room = 0) {
+  const waiting = Array.from(admission.values())
+    .filter(entry => entry.status === 'quarantined')
+    .sort((a, b) => a.lastSeen - b.lastSeen);
+  const cutoff = now - config.values.quarantineMaxAgeMs;
+  let excess = waiting.length + room - config.values.quarantineCap;
+  let dropped = 0;
+  
+  for (const entry of waiting) {
+    if (excess <= 0 && entry.lastSeen >= cutoff) break;
+    admission.delete(entry.deviceId);
+    excess--;
+    dropped++;
+  }
+  
+  if (dropped > 0) admissionDirty = true;
+  return dropped;
+}
+
+// A blocked device leaves the live state, its history and the grand total
+// straight away; blocking is as explicit as a history clear
+function removeDevice(deviceId) {
+  deviceData.delete(deviceId);
+  deviceToReceiver.delete(deviceId);
+  offlineDevices.delete(deviceId);
+  deviceHistory.delete(deviceId);
+  pendingSamples.delete(deviceId);
+  lastQueuedSample.delete(deviceId);
+  for (const receiver of receiverData.values()) receiver.devices.delete(deviceId);
+  
+  serverStats.totalSteps = calculateGrandTotal();
+  updateStatistics();
+}
+
+// status: 'allowed' or 'blocked'. Works for any MAC, quarantined or not.
+async function decideAdmission(deviceId, status, by) {
+  const now = Date.now();
+  const previous = admission.get(deviceId);
+  const entry = previous
+    ? { ...previous, status, decidedAt: now }
+    : { deviceId, status, firstSeen: null, lastSeen: null, reports: 0, receiverId: null, stepCount: null, batteryLevel: null, decidedAt: now };
+  admission.set(deviceId, entry);
+  
+  const counted = deviceHistory.has(deviceId) || offlineDevices.has(deviceId);
+  if (status === 'blocked' && counted) removeDevice(deviceId);
+  
+  admissionDirty = false;
+  await storage.saveAdmission(admission);
+  
+  const verb = status === 'allowed' ? 'approved' : 'blocked';
+  addLog('admission', `Device ${deviceLabel(deviceId)} ${verb}${previous ? ` (was ${previous.status})` : ''}${status === 'blocked' && counted ? ', removed from the totals' : ''}`, { deviceId, status, previous: previous ? previous.status : null, by });
+  return entry;
+}
+
+function describeAdmission(entry) {
+  return { ...entry, name: deviceLabel(entry.deviceId), registered: participants.has(entry.deviceId) };
+}
+
+
+// ============================================================================
+// EXPRESS MIDDLEWARE
+// ============================================================================
+
+app.use(cors());
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true }));
+
+// Malformed bodies get the same structured error as a schema failure
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    if (req.path === '/api/receiver-data') {
+      encodingStats.json.requests++;
+      encodingStats.json.errors++;
+    }
+    return res.status(400).json({
+      status: 'error',
+      error: 'Invalid request format',
+      schemaVersion: RECEIVER_PAYLOAD_SCHEMA.version,
+      errors: [{ field: '', message: 'body is not valid JSON' }]
+    });
+  }
+  next(err);
+});
+
+// Request logging
+app.use((req, res, next) => {
+  serverStats.totalRequests++;
+
+  const start = Date.now();
+  res.on('finish', () => {
+    const duration = Date.now() - start;
+    console.log(`📡 ${req.method} ${req.url} - ${res.statusCode} (${duration}ms)`);
+  });
+
+  next();
+});
+
+// The HTTP server listens before the stored data is loaded; until then a
+// request would see, and could save over, an empty state
+let serverReady = false;
+app.use((req, res, next) => {
+  if (serverReady) return next();
+  res.status(503).json({ error: 'Server is starting, try again in a moment' });
+});
+
+// ============================================================================
+// API ENDPOINTS
+// ============================================================================
+
+// Main receiver data endpoint. JSON, line protocol or MessagePack by Content-Type.
+const receiverBodyParsers = [
+  express.text({ type: LINE_CONTENT_TYPES, limit: '1mb' }),
+  express.raw({ type: MSGPACK_CONTENT_TYPES, limit: '1mb' })
+];
+
+app.post('/api/receiver-data', receiverBodyParsers, (req, res) => {
+  try {
+    const decoded = decodeReceiverBody(req);
+    const counters = encodingStats[decoded.encoding];
+    counters.requests++;
+    counters.bytes += decoded.bytes;
+    
+    if (decoded.errors.length > 0) {
+      counters.errors++;
+      return res.status(400).json({
+        status: 'error',
+        error: 'Invalid request format',
+        encoding: decoded.encoding,
+        schemaVersion: RECEIVER_PAYLOAD_SCHEMA.version,
+        errors: decoded.errors
+      });
+    }
+    
+    const result = ingestReceiverPayload(decoded.payload);
+    if (result.statusCode !== 200) counters.errors++;
+    res.status(result.statusCode).json({ ...result.body, encoding: decoded.encoding });
+    
+  } catch (error) {
+    console.error('❌ Error processing receiver data:', error);
+    res.status(500).json({ status: 'error', error: 'Internal server error' });
+  }
+});
+
+// Declared receiver payload schema, so firmware builds can check what they send
+app.get('/api/receiver-schema', (req, res) => {
+  const describe = (fields) => Object.fromEntries(Object.entries(fields).map(([field, rule]) => [
+    field,
+    { ...rule, pattern: rule.pattern ? rule.pattern.source : undefined }
+  ]));
+  
+  res.json({
+    version: RECEIVER_PAYLOAD_SCHEMA.version,
+    supportedVersions: RECEIVER_PAYLOAD_SCHEMA.supportedVersions,
+    report: describe(RECEIVER_PAYLOAD_SCHEMA.report),
+    device: describe(RECEIVER_PAYLOAD_SCHEMA.device)
+  });
+});
+
+// Time sync for receivers. Send your millis() as t0 and you get back the
+// server receive (t1) and transmit (t2) times; on reply at t3,
+// offset = ((t1 - t0) + (t2 - t3)) / 2. Passing receiverId also feeds the
+// server's own clock estimate for that receiver.
+app.get('/api/time', (req, res) => {
+  const receivedAt = Date.now();
+  const t0 = req.query.t0 !== undefined ? Number(req.query.t0) : null;
+  const receiverId = typeof req.query.receiverId === 'string' ? req.query.receiverId.toUpperCase() : null;
+  
+  if (receiverId && MAC_PATTERN.test(receiverId) && Number.isInteger(t0) && t0 >= 0) {
+    updateReceiverClock(getReceiverStats(receiverId), t0, receivedAt);
+  }
+  
+  res.json({
+    serverTime: Date.now(),
+    iso: new Date().toISOString(),
+    t0: Number.isFinite(t0) ? t0 : null,
+    t1: receivedAt,
+    t2: Date.now()
+  });
+});
+
+// Receiver heartbeat: firmware, heap, WiFi, uptime and ESP-NOW counters
+app.post('/api/receiver-telemetry', (req, res) => {
+  const sample = req.body;
+  const errors = validateFields(sample, RECEIVER_TELEMETRY_SCHEMA);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({ status: 'error', error: 'Invalid telemetry', errors });
+  }
+  
+  const receiverId = sample.receiverId.toUpperCase();
+  const telemetry = recordTelemetry({ ...sample, receiverId });
+  const health = describeReceiverHealth(telemetry);
+  
+  res.json({ status: 'ok', receiverId, serverTime: Date.now(), health });
+});
+
+app.get('/api/receiver-telemetry', (req, res) => {
+  const receivers = [];
+  for (const [receiverId, telemetry] of receiverTelemetry.entries()) {
+    receivers.push(describeTelemetry(receiverId, telemetry));
+  }
+  
+  // Critical receivers first, then warnings
+  const rank = { critical: 0, warning: 1, ok: 2 };
+  receivers.sort((a, b) => rank[a.health.status] - rank[b.health.status] || a.name.localeCompare(b.name));
+  res.json({ limits: TELEMETRY_LIMITS, receivers });
+});
+
+// Full heartbeat history for one receiver (short or full ID)
+// :receiverId is the full MAC or the receiver's name
+app.get('/api/receiver-telemetry/:receiverId', (req, res) => {
+  const resolved = resolveReceiver(req.params.receiverId, receiverTelemetry.keys());
+  if (resolved.error) {
+    return res.status(resolved.status).json({ error: resolved.error });
+  }
+  
+  const telemetry = receiverTelemetry.get(resolved.receiverId);
+  if (!telemetry) {
+    return res.status(404).json({ error: 'No telemetry for this receiver' });
+  }
+  res.json({ ...describeTelemetry(resolved.receiverId, telemetry, TELEMETRY_HISTORY_SIZE), samples: telemetry.samples });
+});
+
+// Buffered samples from a receiver that was off WiFi
+app.post('/api/receiver-backfill', (req, res) => {
+  try {
+    const result = ingestBackfill(req.body);
+    res.status(result.statusCode).json(result.body);
+  } catch (error) {
+    console.error('❌ Error processing receiver backfill:', error);
+    res.status(500).json({ status: 'error', error: 'Internal server error' });
+  }
+});
+
+// Per-receiver ingestion counters, including receivers that have gone quiet
+app.get('/api/ingest-stats', (req, res) => {
+  const receivers = [];
+  
+  for (const [receiverId, stats] of receiverStats.entries()) {
+    receivers.push({
+      id: receiverId,
+      name: receiverLabel(receiverId),
+      online: receiverData.has(receiverId),
+      ...describeIngest(stats),
+      cadence: describeCadence(stats),
+      clock: describeClock(stats),
+      udp: describeUdp(stats)
+    });
+  }
+  
+  receivers.sort((a, b) => b.rejectedEntries - a.rejectedEntries);
+  res.json({ schemaVersion: RECEIVER_PAYLOAD_SCHEMA.version, encodings: encodingStats, udp: udpStats, mqtt: describeMqtt(), receivers });
+});
+
+app.get('/api/offline-summary', (req, res) => {
+  const now = Date.now();
+  const offlineDeviceSummary = [];
+  
+  for (const [deviceId, device] of offlineDevices.entries()) {
+    const offlineDuration = Math.floor((now - device.offlineTime) / 1000);
+    
+    offlineDeviceSummary.push({
+      id: deviceId,
+      name: deviceLabel(deviceId),
+      participant: participants.get(deviceId) || null,
+      lastSteps: device.stepCount,
+      lifetimeSteps: device.lifetimeSteps || device.stepCount,
+      lastBattery: device.batteryLevel,
+      lastReceiver: device.bestReceiverId ? receiverLabel(device.bestReceiverId) : 'Unknown',
+      offlineTime: offlineDuration,
+      offlineSince: new Date(device.offlineTime).toLocaleString(),
+      peakSteps: device.history ? device.history.peakSteps : device.stepCount,
+      totalUpdates: device.history ? device.history.totalUpdates : 0,
+      disconnectionCount: device.history ? device.history.disconnectionCount : 1
+    });
+  }
+  
+  // Sort by offline duration (longest offline first)
+  offlineDeviceSummary.sort((a, b) => b.offlineTime - a.offlineTime);
+  
+  res.json({
+    totalOffline: offlineDeviceSummary.length,
+    offlineDevices: offlineDeviceSummary
+  });
+});
+
+// Dashboard data
+app.get('/api/dashboard-data', (req, res) => {
+  updateStatistics();
+  const session = activeSession();
+  const next = upcomingNights().find(night => night.status === 'scheduled');
+  res.json({
+    totalSteps: serverStats.totalSteps,
+    activeSteps: serverStats.activeSteps,
+    offlineSteps: serverStats.totalSteps - serverStats.activeSteps,
+    totalDevices: serverStats.activeDevices,
+    activeReceivers: serverStats.activeReceivers,
+    systemStatus: 'Online',
+    uptime: Math.floor((Date.now() - serverStats.startTime) / 1000),
+    totalRequests: serverStats.totalRequests,
+    session: session ? describeSession(session) : null,
+    nextSession: next ? { name: next.name, start: next.start, startsIn: next.start - Date.now(), localStart: next.localStart, timezone: next.timezone } : null,
+    lastUpdate: new Date().toISOString()
+  });
+});
+// History data endpoint
+app.get('/api/history', (req, res) => {
+  recordSystemHistory(); // Record current state
+  
+  const allDevicesHistory = [];
+  const now = Date.now();
+  
+  // Add online devices history
+  for (const [deviceId, device] of deviceData.entries()) {
+    const history = deviceHistory.get(deviceId);
+    if (history) {
       allDevicesHistory.push({
         id: deviceId,
-        name: deviceId.substring(9),
+        name: deviceLabel(deviceId),
+        participant: participants.get(deviceId) || null,
         status: 'Online',
         currentSteps: device.stepCount,
+        lifetimeSteps: history.lifetimeSteps || device.stepCount,
+        counterResets: history.counterResets || 0,
         peakSteps: history.peakSteps,
         batteryLevel: device.batteryLevel,
         minBattery: history.minBattery,
@@ -594,7 +3794,7 @@ app.get('/api/history', (req, res) => {
         disconnectionCount: history.disconnectionCount,
         totalOnlineTime: Math.floor((now - history.firstSeen) / 1000),
         receiverId: device.bestReceiverId,
-        receiverName: device.bestReceiverId ? device.bestReceiverId.substring(12) : 'Unknown',
+        receiverName: device.bestReceiverId ? receiverLabel(device.bestReceiverId) : 'Unknown',
         onlineDuration: Math.floor((now - (history.lastUpdate || history.lastOnlineTime)) / 1000)
       });
     }
@@ -606,9 +3806,12 @@ app.get('/api/history', (req, res) => {
     if (history) {
       allDevicesHistory.push({
         id: deviceId,
-        name: deviceId.substring(9),
+        name: deviceLabel(deviceId),
+        participant: participants.get(deviceId) || null,
         status: 'Offline',
         currentSteps: device.stepCount,
+        lifetimeSteps: history.lifetimeSteps || device.stepCount,
+        counterResets: history.counterResets || 0,
         peakSteps: history.peakSteps,
         batteryLevel: device.batteryLevel,
         minBattery: history.minBattery,
@@ -619,7 +3822,7 @@ app.get('/api/history', (req, res) => {
         disconnectionCount: history.disconnectionCount,
         totalOnlineTime: Math.floor(history.totalOnlineTime / 1000),
         receiverId: device.bestReceiverId,
-        receiverName: device.bestReceiverId ? device.bestReceiverId.substring(12) : 'Unknown',
+        receiverName: device.bestReceiverId ? receiverLabel(device.bestReceiverId) : 'Unknown',
         offlineTime: Math.floor((now - device.offlineTime) / 1000),
         offlineSince: new Date(device.offlineTime).toLocaleString()
       });
@@ -635,9 +3838,13 @@ app.get('/api/history', (req, res) => {
 // Clear history endpoint
 app.post('/api/clear-history', async (req, res) => {
   try {
+    const session = activeSession();
+    const sessionSteps = session ? sessionDeviceSteps(session) : null;
+    
     // Clear memory
     systemHistory.length = 0;
     offlineDevices.clear();
+    receiverTelemetry.clear();
     
     // Clear device history but keep current connections
     for (const [deviceId, history] of deviceHistory.entries()) {
@@ -651,16 +3858,29 @@ app.post('/api/clear-history', async (req, res) => {
           maxBattery: deviceData.get(deviceId).batteryLevel,
           lastOnlineTime: Date.now(),
           totalOnlineTime: 0,
-          disconnectionCount: 0
+          disconnectionCount: 0,
+          stepOffset: 0,
+          lastRawSteps: deviceData.get(deviceId).stepCount,
+          lastRawAt: Date.now(),
+          lifetimeSteps: deviceData.get(deviceId).stepCount,
+          counterResets: 0,
+          gaps: []
         });
+        deviceData.get(deviceId).lifetimeSteps = deviceData.get(deviceId).stepCount;
       } else {
         // Remove history for offline devices
         deviceHistory.delete(deviceId);
       }
     }
     
-    // Clear files
+    // Clear files, then store the fresh histories of the devices still online
     await clearHistoryFiles();
+    await saveHistoryData();
+    
+    // Let the grand total restart from the devices that are still online
+    serverStats.totalSteps = 0;
+    updateStatistics();
+    if (session) rebaseSession(session, sessionSteps);
     
     addLog('system', 'History cleared - device histories reset and files cleared');
     console.log('📜 HISTORY CLEARED: All historical data cleared from memory and files');
@@ -674,57 +3894,614 @@ app.post('/api/clear-history', async (req, res) => {
 
 app.get('/api/data-info', async (req, res) => {
   try {
-    const info = {
-      dataDirectory: DATA_DIR,
-      files: {}
-    };
-    
-    // Check each file
-    for (const [name, filepath] of [
-      ['deviceHistory', DEVICE_HISTORY_FILE],
-      ['systemHistory', SYSTEM_HISTORY_FILE],
-      ['offlineDevices', OFFLINE_DEVICES_FILE]
-    ]) {
-      try {
-        const stats = await fs.stat(filepath);
-        info.files[name] = {
-          exists: true,
-          size: stats.size,
-          modified: stats.mtime.toLocaleString(),
-          path: filepath
-        };
-      } catch (error) {
-        info.files[name] = {
-          exists: false,
-          path: filepath
-        };
-      }
+    res.json({ ...await storage.info(), recovery: storageRecovery });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get data info' });
+  }
+});
+
+app.get('/api/config', (req, res) => {
+  res.json({ file: config.file, settings: config.describe() });
+});
+
+// Body: { setting: value, ... }; null puts a setting back to its default.
+// Only runtime settings that no environment variable sets can be changed.
+app.patch('/api/config', async (req, res) => {
+  try {
+    const result = await config.update(req.body);
+    if (result.errors) {
+      return res.status(400).json({ status: 'error', error: 'Invalid settings', errors: result.errors });
     }
     
-    res.json(info);
+    for (const change of result.changed) applyConfigChange(change, req.ip);
+    res.json({ status: 'ok', changed: result.changed, settings: config.describe() });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to get data info' });
+    console.error('❌ Failed to update settings:', error.message);
+    res.status(500).json({ error: 'Failed to save settings' });
+  }
+});
+
+app.get('/api/backups', async (req, res) => {
+  try {
+    res.json({
+      directory: BACKUP_CONFIG.dir,
+      interval: BACKUP_CONFIG.interval,
+      retention: BACKUP_CONFIG.retention,
+      stats: backupStats,
+      backups: await backups.list()
+    });
+  } catch (error) {
+    console.error('❌ Failed to list backups:', error.message);
+    res.status(500).json({ error: 'Failed to list backups' });
+  }
+});
+
+app.post('/api/backups', async (req, res) => {
+  try {
+    res.status(201).json(await takeSnapshot('manual'));
+  } catch (error) {
+    backupStats.lastError = error.message;
+    console.error('❌ Snapshot failed:', error.message);
+    res.status(500).json({ error: 'Failed to write snapshot' });
+  }
+});
+
+app.post('/api/backups/:name/restore', async (req, res) => {
+  if (restoreInProgress) {
+    return res.status(409).json({ error: 'A restore or replay is already in progress' });
+  }
+
+  let found;
+  try {
+    found = await backups.read(req.params.name);
+  } catch (error) {
+    return res.status(400).json({ error: `Backup ${req.params.name} is unreadable: ${error.message}` });
+  }
+  if (!found) {
+    return res.status(404).json({ error: `Backup ${req.params.name} not found` });
+  }
+
+  restoreInProgress = true;
+  try {
+    res.json(await restoreBackup(found));
+  } catch (error) {
+    backupStats.lastError = error.message;
+    console.error('❌ Restore failed:', error);
+    res.status(500).json({ error: 'Failed to restore backup' });
+  } finally {
+    restoreInProgress = false;
+  }
+});
+
+app.get('/api/journal', (req, res) => {
+  try {
+    res.json({
+      directory: JOURNAL_CONFIG.dir,
+      rotateBytes: JOURNAL_CONFIG.rotateBytes,
+      retentionDays: JOURNAL_CONFIG.retentionDays,
+      stats: journal.stats,
+      replay: replayStats,
+      files: journal.list()
+    });
+  } catch (error) {
+    console.error('❌ Failed to list journal:', error.message);
+    res.status(500).json({ error: 'Failed to list journal' });
+  }
+});
+
+// Body: { until } as epoch ms or ISO date, default now
+app.post('/api/journal/replay', async (req, res) => {
+  const until = parseTimeParam(req.body && req.body.until !== undefined ? String(req.body.until) : undefined, Date.now());
+  if (Number.isNaN(until)) {
+    return res.status(400).json({ error: 'until must be epoch milliseconds or an ISO date' });
+  }
+  if (restoreInProgress) {
+    return res.status(409).json({ error: 'A restore or replay is already in progress' });
+  }
+  
+  restoreInProgress = true;
+  try {
+    res.json(await rebuildFromJournal(until));
+  } catch (error) {
+    console.error('❌ Journal replay failed:', error);
+    res.status(500).json({ error: 'Failed to replay journal' });
+  } finally {
+    restoreInProgress = false;
+  }
+});
+
+app.get('/api/participants', (req, res) => {
+  const list = listParticipants().map(describeParticipant);
+  res.json({ count: list.length, participants: list });
+});
+
+// ?format=csv (default) or xlsx
+app.get('/api/participants/export', (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!FILE_FORMATS[format]) {
+    return res.status(400).json({ error: 'format must be csv or xlsx' });
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.set('Content-Type', FILE_FORMATS[format]);
+  res.set('Content-Disposition', `attachment; filename="participants-${stamp}.${format}"`);
+  res.send(writeParticipantSheet(listParticipants(), format));
+});
+
+// Body: the CSV or XLSX file itself. ?mode=merge (default) or replace,
+// ?format= when the Content-Type does not say which it is.
+app.post('/api/participants/import', express.raw({ type: () => true, limit: '10mb' }), async (req, res) => {
+  const format = participantFileFormat(req);
+  const mode = req.query.mode || 'merge';
+  if (!format) {
+    return res.status(400).json({ error: 'Send the file as text/csv or XLSX, or pass ?format=csv|xlsx' });
+  }
+  if (!PARTICIPANT_IMPORT_MODES.includes(mode)) {
+    return res.status(400).json({ error: 'mode must be merge or replace' });
+  }
+  // A form-encoded body was already parsed by express.urlencoded()
+  if (!Buffer.isBuffer(req.body)) {
+    return res.status(400).json({ error: 'Send the file itself as the body, not as a form' });
+  }
+  if (req.body.length === 0) {
+    return res.status(400).json({ error: 'The request body is empty' });
+  }
+
+  const sheet = parseParticipantSheet(req.body, format);
+  if (sheet.errors.length > 0) {
+    return res.status(400).json({ status: 'error', error: 'Import rejected', errors: sheet.errors });
+  }
+
+  try {
+    const result = await importParticipants(sheet.rows, mode);
+    if (result.errors) {
+      return res.status(400).json({ status: 'error', error: 'Import rejected, nothing was changed', errors: result.errors });
+    }
+    res.json({ status: 'ok', ...result });
+  } catch (error) {
+    console.error('❌ Participant import failed:', error.message);
+    res.status(500).json({ error: 'Failed to save participants' });
+  }
+});
+
+app.get('/api/participants/:deviceId', (req, res) => {
+  const participant = participants.get(req.params.deviceId.toUpperCase());
+  if (!participant) {
+    return res.status(404).json({ error: `No band registered for ${req.params.deviceId}` });
+  }
+  res.json(describeParticipant(participant));
+});
+
+app.post('/api/participants', async (req, res) => {
+  const deviceId = req.body && typeof req.body.deviceId === 'string' ? req.body.deviceId.toUpperCase() : null;
+  if (deviceId && participants.has(deviceId)) {
+    return res.status(409).json({ error: `${deviceId} is already registered, use PATCH /api/participants/${deviceId}` });
+  }
+
+  try {
+    const result = await saveParticipant(req.body);
+    if (result.errors) {
+      return res.status(result.status).json({ status: 'error', error: 'Invalid participant', errors: result.errors });
+    }
+    console.log(`🎫 Band #${result.participant.bandNumber} registered to ${result.participant.name} (${result.participant.deviceId})`);
+    res.status(201).json(describeParticipant(result.participant));
+  } catch (error) {
+    console.error('❌ Failed to save participant:', error.message);
+    res.status(500).json({ error: 'Failed to save participant' });
+  }
+});
+
+// Body: the fields to change; null clears an optional field
+app.patch('/api/participants/:deviceId', async (req, res) => {
+  const deviceId = req.params.deviceId.toUpperCase();
+  const existing = participants.get(deviceId);
+  if (!existing) {
+    return res.status(404).json({ error: `No band registered for ${req.params.deviceId}` });
+  }
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return res.status(400).json({ status: 'error', error: 'Invalid participant', errors: [{ field: '', message: 'must be an object' }] });
+  }
+
+  try {
+    const result = await saveParticipant({ ...existing, ...req.body, deviceId });
+    if (result.errors) {
+      return res.status(result.status).json({ status: 'error', error: 'Invalid participant', errors: result.errors });
+    }
+    console.log(`🎫 Band #${result.participant.bandNumber} (${deviceId}) updated`);
+    res.json(describeParticipant(result.participant));
+  } catch (error) {
+    console.error('❌ Failed to save participant:', error.message);
+    res.status(500).json({ error: 'Failed to save participant' });
+  }
+});
+
+app.delete('/api/participants/:deviceId', async (req, res) => {
+  const deviceId = req.params.deviceId.toUpperCase();
+  const existing = participants.get(deviceId);
+  if (!existing) {
+    return res.status(404).json({ error: `No band registered for ${req.params.deviceId}` });
+  }
+
+  try {
+    participants.delete(deviceId);
+    await storage.saveParticipants(participants);
+    console.log(`🎫 Band #${existing.bandNumber} (${deviceId}) removed from the registry`);
+    res.json({ status: 'ok', removed: existing });
+  } catch (error) {
+    console.error('❌ Failed to save participants:', error.message);
+    res.status(500).json({ error: 'Failed to save participants' });
+  }
+});
+
+app.get('/api/receiver-registry', (req, res) => {
+  const list = Array.from(receiverRegistry.values())
+    .sort((a, b) => (a.zone || '').localeCompare(b.zone || '') || a.name.localeCompare(b.name))
+    .map(describeRegisteredReceiver);
+  res.json({ count: list.length, receivers: list });
+});
+
+app.post('/api/receiver-registry', async (req, res) => {
+  const receiverId = req.body && typeof req.body.receiverId === 'string' ? req.body.receiverId.toUpperCase() : null;
+  if (receiverId && receiverRegistry.has(receiverId)) {
+    return res.status(409).json({ error: `${receiverId} is already registered, use PATCH /api/receiver-registry/${receiverId}` });
+  }
+
+  try {
+    const result = await saveRegisteredReceiver(req.body);
+    if (result.errors) {
+      return res.status(result.status).json({ status: 'error', error: 'Invalid receiver', errors: result.errors });
+    }
+    console.log(`📍 Receiver ${result.receiver.receiverId} registered as "${result.receiver.name}"`);
+    res.status(201).json(describeRegisteredReceiver(result.receiver));
+  } catch (error) {
+    console.error('❌ Failed to save receiver registry:', error.message);
+    res.status(500).json({ error: 'Failed to save receiver' });
+  }
+});
+
+// :receiverId is the full MAC or the registered name. Body: the fields to
+// change; null clears zone or position.
+app.patch('/api/receiver-registry/:receiverId', async (req, res) => {
+  const resolved = resolveReceiver(req.params.receiverId, []);
+  const existing = resolved.receiverId ? receiverRegistry.get(resolved.receiverId) : null;
+  if (!existing) {
+    return res.status(404).json({ error: `No receiver registered as ${req.params.receiverId}` });
+  }
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return res.status(400).json({ status: 'error', error: 'Invalid receiver', errors: [{ field: '', message: 'must be an object' }] });
+  }
+
+  try {
+    const result = await saveRegisteredReceiver({ ...existing, ...req.body, receiverId: existing.receiverId });
+    if (result.errors) {
+      return res.status(result.status).json({ status: 'error', error: 'Invalid receiver', errors: result.errors });
+    }
+    console.log(`📍 Receiver ${existing.receiverId} updated ("${result.receiver.name}")`);
+    res.json(describeRegisteredReceiver(result.receiver));
+  } catch (error) {
+    console.error('❌ Failed to save receiver registry:', error.message);
+    res.status(500).json({ error: 'Failed to save receiver' });
+  }
+});
+
+app.delete('/api/receiver-registry/:receiverId', async (req, res) => {
+  const resolved = resolveReceiver(req.params.receiverId, []);
+  const existing = resolved.receiverId ? receiverRegistry.get(resolved.receiverId) : null;
+  if (!existing) {
+    return res.status(404).json({ error: `No receiver registered as ${req.params.receiverId}` });
+  }
+
+  try {
+    receiverRegistry.delete(existing.receiverId);
+    await storage.saveReceiverRegistry(receiverRegistry);
+    console.log(`📍 Receiver ${existing.receiverId} ("${existing.name}") removed from the registry`);
+    res.json({ status: 'ok', removed: existing });
+  } catch (error) {
+    console.error('❌ Failed to save receiver registry:', error.message);
+    res.status(500).json({ error: 'Failed to save receiver registry' });
+  }
+});
+
+// The mode itself is the admissionMode setting, see PATCH /api/config
+app.get('/api/admission', (req, res) => {
+  const lists = { allowed: [], blocked: [], quarantined: [] };
+  for (const entry of admission.values()) lists[entry.status].push(describeAdmission(entry));
+  lists.quarantined.sort((a, b) => b.lastSeen - a.lastSeen);
+  
+  res.json({
+    mode: config.values.admissionMode,
+    stats: admissionStats,
+    allowlist: lists.allowed,
+    blocklist: lists.blocked,
+    quarantine: lists.quarantined
+  });
+});
+
+// :decision is approve (allowlist) or reject (blocklist)
+app.post('/api/admission/:deviceId/:decision', async (req, res) => {
+  const deviceId = req.params.deviceId.toUpperCase();
+  const status = ADMISSION_DECISIONS[req.params.decision];
+  if (!status) {
+    return res.status(404).json({ error: 'Use /approve or /reject' });
+  }
+  if (!MAC_PATTERN.test(deviceId)) {
+    return res.status(400).json({ error: `${req.params.deviceId} is not a MAC address` });
+  }
+  
+  try {
+    res.json(describeAdmission(await decideAdmission(deviceId, status, req.ip)));
+  } catch (error) {
+    console.error('❌ Failed to save admission lists:', error.message);
+    res.status(500).json({ error: 'Failed to save admission lists' });
+  }
+});
+
+// Takes a MAC off whichever list it is on. An unblocked or forgotten device
+// is unknown again and goes through admissionMode with its next report.
+app.delete('/api/admission/:deviceId', async (req, res) => {
+  const deviceId = req.params.deviceId.toUpperCase();
+  const existing = admission.get(deviceId);
+  if (!existing) {
+    return res.status(404).json({ error: `${req.params.deviceId} is on no admission list` });
+  }
+  
+  try {
+    admission.delete(deviceId);
+    admissionDirty = false;
+    await storage.saveAdmission(admission);
+    addLog('admission', `Device ${deviceLabel(deviceId)} taken off the ${existing.status} list`, { deviceId, previous: existing.status, by: req.ip });
+    res.json({ status: 'ok', removed: existing });
+  } catch (error) {
+    console.error('❌ Failed to save admission lists:', error.message);
+    res.status(500).json({ error: 'Failed to save admission lists' });
+  }
+});
+
+// Newest check-out first. Filters: band (number or MAC), holder (holderKey),
+// open=true|false; limit defaults to 100
+app.get('/api/assignments', (req, res) => {
+  let list = Array.from(assignments.values());
+  
+  if (req.query.band !== undefined && req.query.band !== '') {
+    const band = resolveBand(req.query.band);
+    if (band.error) return res.status(band.status).json({ error: band.error });
+    list = list.filter(assignment => assignment.deviceId === band.deviceId);
+  }
+  if (req.query.holder) list = list.filter(assignment => assignment.holderKey === req.query.holder);
+  if (req.query.open === 'true') list = list.filter(assignment => assignment.end === null);
+  if (req.query.open === 'false') list = list.filter(assignment => assignment.end !== null);
+  
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+  list.sort((a, b) => b.start - a.start);
+  res.json({ count: list.length, assignments: list.slice(0, limit).map(describeAssignment) });
+});
+
+app.get('/api/assignments/:id', (req, res) => {
+  const assignment = assignments.get(Number(req.params.id));
+  if (!assignment) {
+    return res.status(404).json({ error: `No assignment ${req.params.id}` });
+  }
+  res.json(describeAssignment(assignment));
+});
+
+// Body: { band, name, phone, team, category, start }; band is the number
+// printed on it or its MAC, start defaults to now
+app.post('/api/assignments/checkout', async (req, res) => {
+  try {
+    const result = await checkOutBand(req.body, req.ip);
+    if (result.errors) {
+      return res.status(result.status).json({ status: 'error', error: 'Check-out rejected', errors: result.errors });
+    }
+    res.status(201).json({ ...describeAssignment(result.assignment), backdatedSteps: result.backdatedSteps });
+  } catch (error) {
+    console.error('❌ Failed to save assignments:', error.message);
+    res.status(500).json({ error: 'Failed to save assignments' });
+  }
+});
+
+// Body: { band, end }; end defaults to now
+app.post('/api/assignments/return', async (req, res) => {
+  try {
+    const result = await returnBand(req.body, req.ip);
+    if (result.errors) {
+      return res.status(result.status).json({ status: 'error', error: 'Return rejected', errors: result.errors });
+    }
+    res.json({ ...describeAssignment(result.assignment), backdatedSteps: result.backdatedSteps });
+  } catch (error) {
+    console.error('❌ Failed to save assignments:', error.message);
+    res.status(500).json({ error: 'Failed to save assignments' });
+  }
+});
+
+// Body: { from, to }: the band being replaced and the fresh one, each a band
+// number or MAC. The person keeps their running total on the new band.
+app.post('/api/assignments/swap', async (req, res) => {
+  try {
+    const result = await swapBand(req.body, req.ip);
+    if (result.errors) {
+      return res.status(result.status).json({ status: 'error', error: 'Swap rejected', errors: result.errors });
+    }
+    res.status(201).json({ ...describeAssignment(result.assignment), previous: describeAssignment(result.previous) });
+  } catch (error) {
+    console.error('❌ Failed to save assignments:', error.message);
+    res.status(500).json({ error: 'Failed to save assignments' });
+  }
+});
+
+// :id is the assignment the swap created, on the new band
+app.post('/api/assignments/:id/undo-swap', async (req, res) => {
+  try {
+    const result = await undoSwap(Number(req.params.id), req.ip);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ ...describeAssignment(result.assignment), undone: result.undone, laterSteps: result.laterSteps });
+  } catch (error) {
+    console.error('❌ Failed to save assignments:', error.message);
+    res.status(500).json({ error: 'Failed to save assignments' });
+  }
+});
+
+// Steps credited to each person over all the bands they wore, most first
+app.get('/api/credited-steps', (req, res) => {
+  const list = Array.from(holderTotals().values()).sort((a, b) => b.steps - a.steps);
+  res.json({ count: list.length, participants: list });
+});
+
+// :holderKey as in the list above: phone digits, or name:<lowercase name>
+app.get('/api/credited-steps/:holderKey', (req, res) => {
+  const total = holderTotals().get(req.params.holderKey);
+  if (!total) {
+    return res.status(404).json({ error: `No assignments for ${req.params.holderKey}` });
+  }
+  
+  const list = Array.from(assignments.values())
+    .filter(assignment => assignment.holderKey === total.holderKey)
+    .sort((a, b) => b.start - a.start)
+    .map(describeAssignment);
+  res.json({ ...total, assignments: list });
+});
+
+// Newest first
+app.get('/api/sessions', (req, res) => {
+  const list = Array.from(sessions.values())
+    .sort((a, b) => b.startedAt - a.startedAt)
+    .map(session => describeSession(session));
+  res.json({ total: list.length, active: activeSession() ? activeSession().id : null, sessions: list });
+});
+
+// Body: { name }
+app.post('/api/sessions', async (req, res) => {
+  try {
+    const result = await startSession(req.body, req.ip);
+    if (result.errors) {
+      return res.status(result.status).json({ status: 'error', error: 'Session not started', errors: result.errors });
+    }
+    res.status(201).json(describeSession(result.session));
+  } catch (error) {
+    console.error('❌ Failed to save sessions:', error.message);
+    res.status(500).json({ error: 'Failed to save sessions' });
+  }
+});
+
+app.get('/api/sessions/active', (req, res) => {
+  const session = activeSession();
+  if (!session) {
+    return res.status(404).json({ error: 'No session is running' });
+  }
+  res.json(describeSession(session, { results: true }));
+});
+
+// ?ids=3,4,5
+app.get('/api/sessions/compare', (req, res) => {
+  const ids = String(req.query.ids || '').split(',').filter(id => id.trim() !== '').map(Number);
+  if (ids.length < 2 || ids.length > MAX_COMPARED_SESSIONS) {
+    return res.status(400).json({ error: `ids must list 2 to ${MAX_COMPARED_SESSIONS} sessions` });
+  }
+  const missing = ids.filter(id => !sessions.has(id));
+  if (missing.length > 0) {
+    return res.status(404).json({ error: `No session ${missing.join(', ')}` });
+  }
+  res.json(compareSessions(Array.from(new Set(ids)).map(id => sessions.get(id))));
+});
+
+app.get('/api/sessions/:id', (req, res) => {
+  const session = sessions.get(Number(req.params.id));
+  if (!session) {
+    return res.status(404).json({ error: `No session ${req.params.id}` });
+  }
+  res.json(describeSession(session, { results: true }));
+});
+
+app.post('/api/sessions/:id/stop', async (req, res) => {
+  const session = sessions.get(Number(req.params.id));
+  if (!session) {
+    return res.status(404).json({ error: `No session ${req.params.id}` });
+  }
+  if (session.endedAt !== null) {
+    return res.status(409).json({ error: `Session "${session.name}" already ended` });
+  }
+  
+  try {
+    await stopSession(session, req.ip);
+    res.json(describeSession(session, { results: true }));
+  } catch (error) {
+    console.error('❌ Failed to save sessions:', error.message);
+    res.status(500).json({ error: 'Failed to save sessions' });
+  }
+});
+
+// Upcoming nights soonest first, then every schedule with all its nights
+app.get('/api/schedule', (req, res) => {
+  res.json({
+    timezone: config.values.venueTimezone,
+    upcoming: upcomingNights(),
+    schedules: Array.from(schedules.values()).map(describeSchedule)
+  });
+});
+
+// Body: { name, date, startTime, endTime, nights, timezone }; times are
+// 24-hour on the venue's clock, an end before the start is the next morning
+app.post('/api/schedule', async (req, res) => {
+  try {
+    const result = await createSchedule(req.body, req.ip);
+    if (result.errors) {
+      return res.status(result.status).json({ status: 'error', error: 'Schedule rejected', errors: result.errors });
+    }
+    res.status(201).json(describeSchedule(result.schedule));
+  } catch (error) {
+    console.error('❌ Failed to save schedules:', error.message);
+    res.status(500).json({ error: 'Failed to save schedules' });
+  }
+});
+
+app.get('/api/schedule/:id', (req, res) => {
+  const schedule = schedules.get(Number(req.params.id));
+  if (!schedule) {
+    return res.status(404).json({ error: `No schedule ${req.params.id}` });
+  }
+  res.json(describeSchedule(schedule));
+});
+
+// A night that is running keeps its session; stop that separately
+app.delete('/api/schedule/:id', async (req, res) => {
+  const schedule = schedules.get(Number(req.params.id));
+  if (!schedule) {
+    return res.status(404).json({ error: `No schedule ${req.params.id}` });
+  }
+  
+  try {
+    await deleteSchedule(schedule, req.ip);
+    res.json({ status: 'success', removed: describeSchedule(schedule) });
+  } catch (error) {
+    console.error('❌ Failed to save schedules:', error.message);
+    res.status(500).json({ error: 'Failed to save schedules' });
   }
 });
 
 app.get('/api/devices', (req, res) => {
   const devices = [];
   const now = Date.now();
-  const fiveMinutesAgo = now - 300000;
+  const deviceCutoff = now - config.values.deviceOfflineMs;
 
   // Add online devices
   for (const [deviceId, device] of deviceData.entries()) {
     const history = deviceHistory.get(deviceId);
-    const isActive = device.lastSeen > fiveMinutesAgo;
+    const isActive = device.lastSeen > deviceCutoff;
 
     devices.push({
       id: deviceId,
-      name: deviceId.substring(9),
+      name: deviceLabel(deviceId),
+      participant: participants.get(deviceId) || null,
       stepCount: device.stepCount,
+      lifetimeSteps: device.lifetimeSteps || device.stepCount,
+      continuousSteps: continuousSteps(deviceId, device.lifetimeSteps || device.stepCount),
+      swappedTo: swappedOutTo(deviceId),
+      counterResets: history ? history.counterResets || 0 : 0,
       batteryLevel: device.batteryLevel,
       signalStrength: device.signalStrength,
       receiverId: device.bestReceiverId,
-      receiverName: device.bestReceiverId ? device.bestReceiverId.substring(12) : 'Unknown',
+      receiverName: device.bestReceiverId ? receiverLabel(device.bestReceiverId) : 'Unknown',
       lastSeen: Math.floor((now - device.lastSeen) / 1000),
       status: isActive ? 'Online' : 'Offline',
       firstSeen: history ? new Date(history.firstSeen).toLocaleString() : 'Unknown',
@@ -741,12 +4518,17 @@ app.get('/api/devices', (req, res) => {
 
     devices.push({
       id: deviceId,
-      name: deviceId.substring(9),
+      name: deviceLabel(deviceId),
+      participant: participants.get(deviceId) || null,
       stepCount: device.stepCount,
+      lifetimeSteps: device.lifetimeSteps || (history && history.lifetimeSteps) || device.stepCount,
+      continuousSteps: continuousSteps(deviceId, device.lifetimeSteps || (history && history.lifetimeSteps) || device.stepCount),
+      swappedTo: swappedOutTo(deviceId),
+      counterResets: history ? history.counterResets || 0 : 0,
       batteryLevel: device.batteryLevel,
       signalStrength: device.signalStrength,
       receiverId: device.bestReceiverId,
-      receiverName: device.bestReceiverId ? device.bestReceiverId.substring(12) : 'Unknown',
+      receiverName: device.bestReceiverId ? receiverLabel(device.bestReceiverId) : 'Unknown',
       lastSeen: Math.floor((now - device.offlineTime) / 1000),
       status: 'Offline',
       firstSeen: history ? new Date(history.firstSeen).toLocaleString() : 'Unknown',
@@ -758,23 +4540,56 @@ app.get('/api/devices', (req, res) => {
     });
   }
 
-  // Sort: Online first, then by step count
+  // Sort: Online first, then by the wearer's running total
   devices.sort((a, b) => {
     if (a.status === 'Online' && b.status === 'Offline') return -1;
     if (a.status === 'Offline' && b.status === 'Online') return 1;
-    return b.stepCount - a.stepCount;
+    return b.continuousSteps - a.continuousSteps;
   });
 
   res.json({ devices });
 });
 
+// Step, battery and signal curve for one band (short or full ID).
+// from/to take epoch ms or ISO dates and default to the last 12 hours;
+// resolution is raw, 1m, 1h or auto.
+app.get('/api/devices/:deviceId/timeseries', (req, res) => {
+  const shortId = req.params.deviceId.toUpperCase();
+  const known = new Set([...deviceHistory.keys(), ...deviceData.keys(), ...offlineDevices.keys()]);
+  const deviceId = known.has(shortId) ? shortId : Array.from(known).find(id => id.endsWith(shortId));
+  
+  if (!deviceId) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  
+  const to = parseTimeParam(req.query.to, Date.now());
+  const from = parseTimeParam(req.query.from, to - 12 * 3600000);
+  const resolution = req.query.resolution || 'auto';
+  
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    return res.status(400).json({ error: 'from and to must be epoch milliseconds or ISO dates, with from <= to' });
+  }
+  if (!['auto', ...Object.keys(TIMESERIES_TIERS)].includes(resolution)) {
+    return res.status(400).json({ error: `resolution must be one of auto, ${Object.keys(TIMESERIES_TIERS).join(', ')}` });
+  }
+  
+  // Roll up first so the bucket in progress is included
+  rollupTimeseries();
+  const series = storage.querySamples(deviceId, from, to, resolution);
+  if (!series) {
+    return res.status(501).json({ error: `Time series need the sqlite storage engine (running ${storage.engine})` });
+  }
+  
+  res.json({ deviceId, name: deviceLabel(deviceId), from, to, ...series });
+});
+
 // All receivers
 app.get('/api/receivers', (req, res) => {
   const receivers = [];
   const now = Date.now();
 
   for (const [receiverId, receiver] of receiverData.entries()) {
-    if (now - receiver.lastSeen > 120000) continue; // Skip very old receivers
+    if (now - receiver.lastSeen > config.values.receiverListWindowMs) continue; // Skip very old receivers
 
     let totalSteps = 0;
     const devices = [];
@@ -783,7 +4598,7 @@ app.get('/api/receivers', (req, res) => {
       totalSteps += deviceInfo.stepCount;
       devices.push({
         id: deviceId,
-        name: deviceId.substring(9),
+        name: deviceLabel(deviceId),
         stepCount: deviceInfo.stepCount,
         batteryLevel: deviceInfo.batteryLevel,
         signalStrength: deviceInfo.signalStrength,
@@ -793,13 +4608,18 @@ app.get('/api/receivers', (req, res) => {
 
     receivers.push({
       id: receiverId,
-      name: receiverId.substring(12),
+      name: receiverLabel(receiverId),
+      ...describeReceiverLocation(receiverId),
       deviceCount: receiver.deviceCount || devices.length,
       totalSteps: totalSteps,
       lastSeen: Math.floor((now - receiver.lastSeen) / 1000),
-      status: (now - receiver.lastSeen) < 60000 ? 'Online' : 'Offline',
+      status: (now - receiver.lastSeen) < config.values.receiverTimeoutMs ? 'Online' : 'Offline',
       devices: devices,
-      firstSeen: new Date(receiver.firstSeen).toLocaleString()
+      firstSeen: new Date(receiver.firstSeen).toLocaleString(),
+      ingest: describeIngest(getReceiverStats(receiverId)),
+      cadence: describeCadence(getReceiverStats(receiverId)),
+      clock: describeClock(getReceiverStats(receiverId)),
+      udp: describeUdp(getReceiverStats(receiverId))
     });
   }
 
@@ -808,28 +4628,71 @@ app.get('/api/receivers', (req, res) => {
 });
 
 // Connection logs
-app.get('/api/logs', (req, res) => {
-  res.json({ logs: connectionLogs });
+// Newest first. Filters: type (comma-separated), deviceId and receiverId
+// (full MAC or its last characters), from/to (epoch ms or ISO date) and q
+// (text in the message). Pass nextCursor back as cursor for the next page.
+app.get('/api/logs', async (req, res) => {
+  const from = parseTimeParam(req.query.from, -Infinity);
+  const to = parseTimeParam(req.query.to, Infinity);
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    return res.status(400).json({ error: 'from and to must be epoch milliseconds or ISO dates, with from <= to' });
+  }
+  
+  let cursor = null;
+  if (req.query.cursor) {
+    try {
+      cursor = JSON.parse(Buffer.from(req.query.cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      cursor = null;
+    }
+    if (!cursor || typeof cursor.file !== 'string' || !Number.isInteger(cursor.line)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+  }
+  
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || LOG_PAGE_SIZE, 1), MAX_LOG_PAGE_SIZE);
+  const types = req.query.type ? req.query.type.split(',').map(type => type.trim()).filter(Boolean) : null;
+  const deviceId = req.query.deviceId ? req.query.deviceId.toUpperCase() : null;
+  const receiverId = req.query.receiverId ? req.query.receiverId.toUpperCase() : null;
+  const text = req.query.q ? req.query.q.toLowerCase() : null;
+  
+  try {
+    const logs = [];
+    const next = await logStore.scanBackward(cursor, (log) => {
+      if (log.time > to) return;
+      if (log.time < from) return 'done';
+      if (types && !types.includes(log.type)) return;
+      if (deviceId && !(log.deviceId && log.deviceId.toUpperCase().endsWith(deviceId))) return;
+      if (receiverId && !(log.receiverId && log.receiverId.toUpperCase().endsWith(receiverId))) return;
+      if (text && !String(log.message).toLowerCase().includes(text)) return;
+      
+      if (logs.length === limit) return 'full';
+      logs.push(log);
+    });
+    
+    res.json({
+      logs,
+      count: logs.length,
+      nextCursor: next ? Buffer.from(JSON.stringify(next)).toString('base64url') : null
+    });
+  } catch (error) {
+    console.error('❌ Failed to query logs:', error.message);
+    res.status(500).json({ error: 'Failed to query logs' });
+  }
 });
 
 // Receiver details
+// :receiverId is the full MAC or the receiver's name
 app.get('/api/receiver/:receiverId', (req, res) => {
-  const shortId = req.params.receiverId;
-
-  // Find receiver by short ID
-  let foundReceiver = null;
-  let foundId = null;
-
-  for (const [receiverId, receiver] of receiverData.entries()) {
-    if (receiverId.includes(shortId)) {
-      foundReceiver = receiver;
-      foundId = receiverId;
-      break;
-    }
+  const resolved = resolveReceiver(req.params.receiverId, receiverData.keys());
+  if (resolved.error) {
+    return res.status(resolved.status).json({ error: resolved.error });
   }
 
+  const foundId = resolved.receiverId;
+  const foundReceiver = receiverData.get(foundId);
   if (!foundReceiver) {
-    return res.status(404).json({ error: 'Receiver not found' });
+    return res.status(404).json({ error: `Receiver ${receiverLabel(foundId)} is not connected` });
   }
 
   const now = Date.now();
@@ -842,12 +4705,12 @@ app.get('/api/receiver/:receiverId', (req, res) => {
 
     devices.push({
       id: deviceId,
-      name: deviceId.substring(9),
+      name: deviceLabel(deviceId),
       stepCount: deviceInfo.stepCount,
       batteryLevel: deviceInfo.batteryLevel,
       signalStrength: deviceInfo.signalStrength,
       lastSeen: Math.floor((now - deviceInfo.lastUpdate) / 1000),
-      status: (now - deviceInfo.lastUpdate) < 60000 ? 'Online' : 'Offline',
+      status: (now - deviceInfo.lastUpdate) < config.values.receiverTimeoutMs ? 'Online' : 'Offline',
       peakSteps: history ? history.peakSteps : deviceInfo.stepCount,
       totalUpdates: history ? history.totalUpdates : 0,
       firstSeen: history ? new Date(history.firstSeen).toLocaleString() : 'Unknown'
@@ -856,29 +4719,60 @@ app.get('/api/receiver/:receiverId', (req, res) => {
 
   res.json({
     id: foundId,
-    name: shortId,
+    name: receiverLabel(foundId),
+    ...describeReceiverLocation(foundId),
     deviceCount: foundReceiver.deviceCount,
     totalSteps: totalSteps,
     lastSeen: Math.floor((now - foundReceiver.lastSeen) / 1000),
     firstSeen: new Date(foundReceiver.firstSeen).toLocaleString(),
+    ingest: describeIngest(getReceiverStats(foundId)),
+    cadence: describeCadence(getReceiverStats(foundId)),
+    clock: describeClock(getReceiverStats(foundId)),
+    udp: describeUdp(getReceiverStats(foundId)),
+    backfill: describeBackfill(getReceiverStats(foundId)),
+    telemetry: receiverTelemetry.has(foundId) ? describeTelemetry(foundId, receiverTelemetry.get(foundId)) : null,
     devices: devices
   });
 });
 
 // System reset
-app.post('/api/reset', (req, res) => {
+app.post('/api/reset', async (req, res) => {
+  const session = activeSession();
+  const sessionSteps = session ? sessionDeviceSteps(session) : null;
+  
   // Clear all data structures completely
   deviceData.clear();
   receiverData.clear();
+  receiverStats.clear();
+  receiverTelemetry.clear();
   deviceToReceiver.clear();
   deviceHistory.clear();
-  connectionLogs.length = 0;
+  offlineDevices.clear();
+  connectionLogs.length = 0;   // The log files stay: they record the reset too
 
   // Reset all statistics to zero
   serverStats.totalSteps = 0;
+  serverStats.activeSteps = 0;
   serverStats.activeDevices = 0;
   serverStats.activeReceivers = 0;
   serverStats.totalRequests = 0;
+  for (const counters of Object.values(encodingStats)) {
+    counters.requests = 0;
+    counters.bytes = 0;
+    counters.errors = 0;
+  }
+  udpStats.datagrams = 0;
+  udpStats.malformed = 0;
+  udpStats.acksSent = 0;
+  pendingSamples.clear();
+  lastQueuedSample.clear();
+  
+  try {
+    if (storage) await storage.reset();
+  } catch (error) {
+    console.error('❌ Failed to reset storage:', error.message);
+  }
+  if (session) rebaseSession(session, sessionSteps);
 
   console.log('🔄 COMPLETE SYSTEM RESET - All data cleared');
   addLog('system', 'Complete system reset - all data and history cleared');
@@ -893,11 +4787,13 @@ app.get('/api/debug-raw', (req, res) => {
     receiverData: Array.from(receiverData.entries()).map(([id, data]) => ({
       id: id,
       shortId: id.substring(12),
+      name: receiverLabel(id),
       lastSeen: Math.floor((now - data.lastSeen) / 1000),
       deviceCount: data.deviceCount,
       devicesInReceiver: Array.from(data.devices.entries()).map(([deviceId, deviceData]) => ({
         deviceId: deviceId,
         shortId: deviceId.substring(9),
+        name: deviceLabel(deviceId),
         stepCount: deviceData.stepCount,
         batteryLevel: deviceData.batteryLevel,
         lastUpdate: Math.floor((now - deviceData.lastUpdate) / 1000)
@@ -907,10 +4803,13 @@ app.get('/api/debug-raw', (req, res) => {
     deviceData: Array.from(deviceData.entries()).map(([id, data]) => ({
       id: id,
       shortId: id.substring(9),
+      name: deviceLabel(id),
       stepCount: data.stepCount,
+      lifetimeSteps: data.lifetimeSteps,
       batteryLevel: data.batteryLevel,
       bestReceiverId: data.bestReceiverId,
       bestReceiverShort: data.bestReceiverId ? data.bestReceiverId.substring(12) : 'None',
+      bestReceiverName: data.bestReceiverId ? receiverLabel(data.bestReceiverId) : 'None',
       lastSeen: Math.floor((now - data.lastSeen) / 1000)
     })),
 
@@ -924,6 +4823,17 @@ app.get('/api/debug-raw', (req, res) => {
 // WEB INTERFACE
 // ============================================================================
 
+// Shared by the page scripts below. Names, teams and receiver labels are free
+// text from unauthenticated requests, so every value put into innerHTML goes
+// through escapeHtml first.
+const CLIENT_HELPERS = `
+function escapeHtml(value) {
+  return String(value == null ? '' : value).replace(/[&<>"']/g, function (c) {
+    return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+  });
+}
+`;
+
 // Main dashboard
 app.get('/', (req, res) => {
   res.send(`
@@ -1147,6 +5057,22 @@ body {
   animation: gentlePulse 0.8s ease-in-out;
 }
 
+.session-banner {
+  display: none;
+  justify-content: space-between;
+  align-items: center;
+  gap: 1rem;
+  padding: 1rem 1.5rem;
+  border-radius: 10px;
+  background: rgba(102, 126, 234, 0.1);
+  border: 1px solid rgba(102, 126, 234, 0.3);
+  color: #4f46e5;
+}
+.session-banner.active { display: flex; }
+.session-name { font-size: 1.4rem; font-weight: 700; }
+.session-meta { color: #666; font-size: 0.95rem; }
+.session-elapsed { font-size: 1.4rem; font-weight: 700; font-variant-numeric: tabular-nums; }
+
 @media (max-width: 768px) {
   .title { font-size: 2.5rem; }
   .step-count { font-size: 3.5rem; }
@@ -1157,12 +5083,24 @@ body {
 <div class='container'>
   <h1 class='title'>🎪 Garba Steps</h1>
   
+  <div class='session-banner' id='sessionBanner'>
+    <div style='text-align: left;'>
+      <div class='session-name' id='sessionName'></div>
+      <div class='session-meta' id='sessionSteps'></div>
+    </div>
+    <div class='session-elapsed' id='sessionElapsed'></div>
+  </div>
+  
   <div class='step-display'>
     <div class='step-count' id='totalSteps'>0</div>
     <div class='step-label'>Total Steps Counted</div>
   </div>
   
   <div class='stats-grid'>
+    <div class='stat-card'>
+      <div class='stat-value' id='activeSteps'>0</div>
+      <div class='stat-label'>Steps on the Floor</div>
+    </div>
     <div class='stat-card'>
       <div class='stat-value' id='totalDevices'>0</div>
       <div class='stat-label'>Active Devices</div>
@@ -1182,6 +5120,8 @@ body {
 let previousSteps = 0;
 let previousDevices = 0;
 let previousReceivers = 0;
+let sessionStartedAt = null;   // On this browser's clock
+let nextSessionAt = null;
 
 function formatNumber(num) { 
   // For main display - show abbreviated form after 1,00,000 (1 Lakh)
@@ -1312,6 +5252,46 @@ function showSmallStepPopup(increment) {
   }, 2500);
 }
 
+// 4523000 -> '1:15:23'
+function formatElapsed(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(seconds / 60) % 60;
+  return Math.floor(seconds / 3600) + ':' + String(minutes).padStart(2, '0') + ':' + String(seconds % 60).padStart(2, '0');
+}
+
+function tickSession() {
+  if (sessionStartedAt !== null) {
+    document.getElementById('sessionElapsed').textContent = '⏱️ ' + formatElapsed(Date.now() - sessionStartedAt);
+  } else if (nextSessionAt !== null) {
+    document.getElementById('sessionElapsed').textContent = '⏳ ' + formatElapsed(nextSessionAt - Date.now());
+  }
+}
+
+// The running session, else the next scheduled one with a countdown
+function updateSession(session, next) {
+  const banner = document.getElementById('sessionBanner');
+  sessionStartedAt = null;
+  nextSessionAt = null;
+  if (!session && !next) {
+    banner.classList.remove('active');
+    return;
+  }
+  if (!session) {
+    nextSessionAt = Date.now() + next.startsIn;
+    document.getElementById('sessionName').textContent = '📅 Next: ' + next.name;
+    document.getElementById('sessionSteps').textContent = 'Starts ' + next.localStart + ' (' + next.timezone + ')';
+    banner.classList.add('active');
+    tickSession();
+    return;
+  }
+  
+  sessionStartedAt = Date.now() - session.elapsed;
+  document.getElementById('sessionName').textContent = '🏁 ' + session.name;
+  document.getElementById('sessionSteps').textContent = formatNumber(session.totalSteps) + ' steps tonight from ' + session.devices + ' bands';
+  banner.classList.add('active');
+  tickSession();
+}
+
 function animateStatCard(elementId) {
   const element = document.getElementById(elementId);
   element.classList.add('animate');
@@ -1362,8 +5342,12 @@ function updateDashboard() {
         }
       }
       
+      // Active steps go down when bands leave, so no count-up animation
+      document.getElementById('activeSteps').textContent = formatNumber(data.activeSteps);
+      
       // Update uptime (no animation needed)
       document.getElementById('uptime').textContent = formatTime(data.uptime);
+      updateSession(data.session, data.nextSession);
       
       // Store previous values for next comparison
       previousSteps = newSteps;
@@ -1380,6 +5364,7 @@ updateDashboard();
 
 // Update every 2 seconds
 setInterval(updateDashboard, 2000);
+setInterval(tickSession, 1000);
 </script>
 </body></html>
   `);
@@ -1536,6 +5521,21 @@ body {
 .log-entry.receiver-connect { border-left-color: #f59e0b; }
 .log-entry.receiver-disconnect { border-left-color: #ef4444; }
 .log-entry.system { border-left-color: #8b5cf6; }
+.log-entry.device-reset { border-left-color: #f97316; }
+.log-entry.receiver-reboot { border-left-color: #f97316; }
+.log-entry.config-change { border-left-color: #06b6d4; }
+.log-entry.admission { border-left-color: #eab308; }
+.log-entry.assignment { border-left-color: #a855f7; }
+.log-entry.session { border-left-color: #f43f5e; }
+.health-good { color: #10b981; }
+.health-learning { color: #94a3b8; }
+.health-jittery { color: #f59e0b; }
+.health-unstable { color: #ef4444; }
+.health-ok { color: #10b981; }
+.health-warning { color: #f59e0b; }
+.health-critical { color: #ef4444; }
+.trend-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 1rem; margin-top: 0.8rem; }
+.trend-label { color: #94a3b8; font-size: 0.8rem; margin-bottom: 0.3rem; }
 .log-time { 
   color: #94a3b8; 
   font-size: 0.8rem; 
@@ -1552,6 +5552,14 @@ body {
   gap: 1rem;
   flex-wrap: wrap;
 }
+.log-filters { gap: 0.5rem; }
+.log-filters select, .log-filters input {
+  padding: 0.6rem;
+  border-radius: 6px;
+  background: #1e293b;
+  color: #f8fafc;
+  border: 1px solid #475569;
+}
 .empty-state {
   text-align: center;
   padding: 3rem;
@@ -1575,9 +5583,16 @@ body {
 <div class='nav-bar'>
   <button class='nav-btn active' onclick='showView("overview")'>📊 Overview</button>
   <button class='nav-btn' onclick='showView("receivers")'>📡 Receivers</button>
+  <button class='nav-btn' onclick='showView("health")'>🩺 Receiver Health</button>
   <button class='nav-btn' onclick='showView("devices")'>📱 All Devices</button>
   <button class='nav-btn' onclick='showView("history")'>📜 History</button>
   <button class='nav-btn' onclick='showView("logs")'>📋 Connection Logs</button>
+  <button class='nav-btn' onclick='showView("participants")'>🎫 Participants</button>
+  <button class='nav-btn' onclick='showView("locations")'>📍 Receiver Locations</button>
+  <button class='nav-btn' onclick='showView("admission")'>🚧 Admission</button>
+  <a href='/desk' class='nav-btn'>🎟️ Band Desk</a>
+  <button class='nav-btn' onclick='showView("sessions")'>🏁 Sessions</button>
+  <button class='nav-btn' onclick='showView("settings")'>⚙️ Settings</button>
   <a href='/' class='nav-btn home'>🏠 Main Dashboard</a>
   <button class='nav-btn warning' onclick='clearHistory()'>🗂️ Clear History</button>
   <button class='nav-btn danger' onclick='resetSystem()'>🗑️ Reset System</button>
@@ -1591,6 +5606,10 @@ body {
         <div class='stat-value' id='totalSteps'>0</div>
         <div class='stat-label'>Total Steps</div>
       </div>
+      <div class='stat-card'>
+        <div class='stat-value' id='activeSteps'>0</div>
+        <div class='stat-label'>Active Steps</div>
+      </div>
       <div class='stat-card'>
         <div class='stat-value' id='totalDevices'>0</div>
         <div class='stat-label'>Active Devices</div>
@@ -1618,6 +5637,11 @@ body {
       <h3>🏆 Top Devices</h3>
       <div id='topDevices'>Loading...</div>
     </div>
+    
+    <div class='section'>
+      <h3>📥 Receiver Report Encodings</h3>
+      <div id='encodingStats'>Loading...</div>
+    </div>
   </div>
 
   <!-- Receivers View -->
@@ -1629,22 +5653,34 @@ body {
           <thead>
             <tr>
               <th>Receiver ID</th>
+              <th>Zone</th>
               <th>Devices</th>
               <th>Total Steps</th>
               <th>Status</th>
+              <th>Rejected</th>
+              <th>Reboots</th>
+              <th>Post Cadence</th>
               <th>Last Seen</th>
               <th>First Connected</th>
               <th>Actions</th>
             </tr>
           </thead>
           <tbody id='receiversTable'>
-            <tr><td colspan='7' class='empty-state'>Loading receivers...</td></tr>
+            <tr><td colspan='11' class='empty-state'>Loading receivers...</td></tr>
           </tbody>
         </table>
       </div>
     </div>
   </div>
 
+  <!-- Receiver Health View -->
+  <div id='health-view' class='hidden'>
+    <div class='section'>
+      <h3>🩺 Receiver Health</h3>
+      <div id='receiverHealth'>Loading...</div>
+    </div>
+  </div>
+
   <!-- All Devices View -->
   <div id='devices-view' class='hidden'>
     <div class='section'>
@@ -1693,7 +5729,7 @@ body {
   <tr>
     <th>Device ID</th>
     <th>Status</th>
-    <th>Current Steps</th>
+    <th>Total Steps</th>
     <th>Peak Steps</th>
     <th>Battery Range</th>
     <th>Total Updates</th>
@@ -1717,9 +5753,173 @@ body {
     <div class='controls'>
       <button class='nav-btn' onclick='refreshLogs()'>🔄 Refresh Logs</button>
     </div>
+    <div class='controls log-filters'>
+      <select id='logType'>
+        <option value=''>All types</option>
+        <option value='device-connect'>device-connect</option>
+        <option value='device-disconnect'>device-disconnect</option>
+        <option value='device-update'>device-update</option>
+        <option value='device-reset'>device-reset</option>
+        <option value='receiver-connect'>receiver-connect</option>
+        <option value='receiver-disconnect'>receiver-disconnect</option>
+        <option value='receiver-reboot'>receiver-reboot</option>
+        <option value='system'>system</option>
+        <option value='config-change'>config-change</option>
+        <option value='admission'>admission</option>
+        <option value='assignment'>assignment</option>
+        <option value='session'>session</option>
+      </select>
+      <input id='logDevice' placeholder='Device (MAC or last digits)'>
+      <input id='logReceiver' placeholder='Receiver (MAC or last digits)'>
+      <input id='logFrom' type='datetime-local' title='From'>
+      <input id='logTo' type='datetime-local' title='To'>
+      <input id='logText' placeholder='Search messages'>
+      <button class='nav-btn' onclick='refreshLogs()'>Apply</button>
+      <button class='nav-btn' onclick='clearLogFilters()'>Clear</button>
+    </div>
     <div class='section'>
       <h3>📋 Connection Logs</h3>
       <div id='connectionLogs'>Loading...</div>
+      <div id='olderLogs' class='hidden' style='text-align:center; margin-top:1rem;'>
+        <button class='nav-btn' onclick='loadOlderLogs()'>⬇️ Load older</button>
+      </div>
+    </div>
+  </div>
+
+  <!-- Participants View -->
+  <div id='participants-view' class='hidden'>
+    <div class='controls'>
+      <button class='nav-btn' onclick='updateParticipants()'>🔄 Reload</button>
+      <a href='/api/participants/export?format=csv' class='nav-btn'>⬇️ Export CSV</a>
+      <a href='/api/participants/export?format=xlsx' class='nav-btn'>⬇️ Export XLSX</a>
+    </div>
+    <div class='controls log-filters'>
+      <input id='participantFile' type='file' accept='.csv,.xlsx'>
+      <select id='participantImportMode'>
+        <option value='merge'>Merge with registry</option>
+        <option value='replace'>Replace registry</option>
+      </select>
+      <button class='nav-btn' onclick='importParticipants()'>⬆️ Import</button>
+    </div>
+    <div class='controls log-filters'>
+      <input id='participantDeviceId' placeholder='MAC'>
+      <input id='participantBandNumber' type='number' min='1' placeholder='Band #' style='width:6rem;'>
+      <input id='participantName' placeholder='Name'>
+      <input id='participantPhone' placeholder='Phone'>
+      <input id='participantTeam' placeholder='Team'>
+      <input id='participantCategory' placeholder='Category'>
+      <input id='participantColour' placeholder='Colour'>
+      <button class='nav-btn' onclick='saveParticipant()'>💾 Save</button>
+      <button class='nav-btn' onclick='clearParticipantForm()'>Clear</button>
+    </div>
+    <div class='section'>
+      <h3>🎫 Band Registry</h3>
+      <div id='participantsStatus' style='margin-bottom:1rem; color:#94a3b8;'></div>
+      <div id='participantsTable'>Loading...</div>
+    </div>
+  </div>
+
+  <!-- Receiver Locations View -->
+  <div id='locations-view' class='hidden'>
+    <div class='controls'>
+      <button class='nav-btn' onclick='updateLocations()'>🔄 Reload</button>
+    </div>
+    <div class='controls log-filters'>
+      <input id='locationReceiverId' placeholder='Receiver MAC'>
+      <input id='locationName' placeholder='Name, e.g. Stage left'>
+      <input id='locationZone' placeholder='Zone'>
+      <input id='locationX' type='number' min='0' max='100' placeholder='x %' style='width:5rem;'>
+      <input id='locationY' type='number' min='0' max='100' placeholder='y %' style='width:5rem;'>
+      <button class='nav-btn' onclick='saveLocation()'>💾 Save</button>
+      <button class='nav-btn' onclick='clearLocationForm()'>Clear</button>
+    </div>
+    <div class='section'>
+      <h3>📍 Receiver Locations</h3>
+      <div id='locationsStatus' style='margin-bottom:1rem; color:#94a3b8;'></div>
+      <div id='locationsTable'>Loading...</div>
+    </div>
+  </div>
+
+  <!-- Admission View -->
+  <div id='admission-view' class='hidden'>
+    <div class='controls log-filters'>
+      <select id='admissionMode' onchange='setAdmissionMode(this.value)'>
+        <option value='open'>Open: every device counts</option>
+        <option value='quarantine'>Quarantine: hold unknown devices</option>
+        <option value='strict'>Strict: drop unknown devices</option>
+      </select>
+      <input id='admissionDeviceId' placeholder='Device MAC'>
+      <button class='nav-btn' onclick='decideAdmission(document.getElementById("admissionDeviceId").value.trim(), "approve")'>✅ Approve</button>
+      <button class='nav-btn danger' onclick='decideAdmission(document.getElementById("admissionDeviceId").value.trim(), "reject")'>⛔ Block</button>
+    </div>
+    <div class='section'>
+      <h3>🚧 Admission</h3>
+      <div id='admissionStatus' style='margin-bottom:1rem; color:#94a3b8;'></div>
+      <div id='admissionLists'>Loading...</div>
+    </div>
+  </div>
+
+  <!-- Sessions View -->
+  <div id='sessions-view' class='hidden'>
+    <div class='controls log-filters'>
+      <input id='sessionName' placeholder='Session name, e.g. Night 3'>
+      <button class='nav-btn' onclick='startSession()'>🏁 Start Session</button>
+      <button class='nav-btn danger' onclick='stopSession()'>⏹️ Stop Running Session</button>
+      <button class='nav-btn' onclick='compareSessions()'>📊 Compare Selected</button>
+      <button class='nav-btn' onclick='updateSessions()'>🔄 Refresh</button>
+    </div>
+    <div class='section'>
+      <h3>🏁 Sessions</h3>
+      <div id='sessionsStatus' style='margin-bottom:1rem; color:#94a3b8;'></div>
+      <div id='sessionsTable'>Loading...</div>
+    </div>
+    <div class='section'>
+      <h3 id='sessionResultsTitle'>🏆 Results</h3>
+      <div id='sessionResults'><div class='empty-state'>Pick a session to see its standings, or tick two or more to compare them</div></div>
+    </div>
+    <div class='section'>
+      <h3>📅 Schedule</h3>
+      <div class='controls log-filters'>
+        <input id='scheduleName' placeholder='Name, e.g. Navratri Night'>
+        <input id='scheduleDate' type='date' title='First night'>
+        <input id='scheduleStart' type='time' value='21:00' title='Start'>
+        <input id='scheduleEnd' type='time' value='23:30' title='End (before the start means the next morning)'>
+        <input id='scheduleNights' type='number' min='1' max='31' value='9' title='Nights in a row' style='width:5rem;'>
+        <input id='scheduleTimezone' placeholder='Time zone (venue default)'>
+        <button class='nav-btn' onclick='createSchedule()'>📅 Schedule</button>
+      </div>
+      <div id='scheduleStatus' style='margin-bottom:1rem; color:#94a3b8;'></div>
+      <div id='scheduleTable'>Loading...</div>
+    </div>
+  </div>
+
+  <!-- Settings View -->
+  <div id='settings-view' class='hidden'>
+    <div class='controls'>
+      <button class='nav-btn' onclick='updateSettings()'>🔄 Reload Settings</button>
+    </div>
+    <div class='section'>
+      <h3>⚙️ Settings</h3>
+      <div id='settingsStatus' style='margin-bottom:1rem; color:#94a3b8;'></div>
+      <div id='settingsTable'>Loading...</div>
+    </div>
+  </div>
+
+  <!-- Device Details View -->
+  <div id='device-details-view' class='hidden'>
+    <div class='controls'>
+      <button class='nav-btn' onclick='showView("devices")'>← Back to Devices</button>
+      <select id='timeseriesRange' onchange='loadDeviceTimeseries()' style='padding:0.6rem; border-radius:6px; background:#1e293b; color:#f8fafc; border:1px solid #475569;'>
+        <option value='1'>Last hour</option>
+        <option value='6'>Last 6 hours</option>
+        <option value='12' selected>Last 12 hours</option>
+        <option value='24'>Last 24 hours</option>
+        <option value='168'>Last 7 days</option>
+      </select>
+    </div>
+    <div class='section'>
+      <h3 id='deviceDetailsTitle'>Device Details</h3>
+      <div id='deviceDetailsContent'>Loading...</div>
     </div>
   </div>
 
@@ -1736,6 +5936,7 @@ body {
 </div>
 
 <script>
+${CLIENT_HELPERS}
 let currentView = 'overview';
 
 function showView(view) {
@@ -1753,7 +5954,7 @@ function showView(view) {
   loadViewData(view);
 }
 
-function loadViewData(view) {
+function loadViewData(view, auto) {
   switch(view) {
     case 'overview':
       updateOverview();
@@ -1761,6 +5962,9 @@ function loadViewData(view) {
     case 'receivers':
       updateReceiversTable();
       break;
+    case 'health':
+      updateReceiverHealth();
+      break;
     case 'devices':
       updateDevicesTable();
       break;
@@ -1768,7 +5972,23 @@ function loadViewData(view) {
       updateHistory();
       break;
     case 'logs':
-      updateLogs();
+      updateLogs(auto);
+      break;
+    case 'participants':
+      updateParticipants();
+      break;
+    case 'locations':
+      updateLocations();
+      break;
+    case 'admission':
+      updateAdmission();
+      break;
+    case 'sessions':
+      updateSessions();
+      updateSchedule();
+      break;
+    case 'settings':
+      updateSettings();
       break;
   }
 }
@@ -1784,12 +6004,111 @@ function formatTime(seconds) {
   return Math.floor(seconds/86400) + 'd';
 }
 
+// Raw counter and reset count, shown only once a band has rebooted
+function formatCounterInfo(rawSteps, counterResets) {
+  if (!counterResets) return '';
+  return '<br><span style="color:#94a3b8; font-size:0.75rem;">counter ' + formatNumber(rawSteps) + ' • ' + counterResets + ' reset' + (counterResets > 1 ? 's' : '') + '</span>';
+}
+
+// The wearer's running total when it differs from the band's own count, and
+// where a swapped-out band went
+function formatSwapInfo(device) {
+  let html = '';
+  if (device.continuousSteps !== device.lifetimeSteps) html += '<br><span style="color:#a855f7; font-size:0.75rem;">wearer total ' + formatNumber(device.continuousSteps) + '</span>';
+  if (device.swappedTo) html += '<br><span style="color:#94a3b8; font-size:0.75rem;">swapped for ' + device.swappedTo.substring(9) + '</span>';
+  return html;
+}
+
+// Rejected device entries, with the most recent reason as a tooltip
+function formatRejections(ingest) {
+  if (!ingest || ingest.rejectedEntries + ingest.rejectedRequests === 0) {
+    return '<span style="color:#10b981;">0</span>';
+  }
+  const tooltip = (ingest.lastRejectReason || '') + (ingest.firmwareVersion ? ' (fw ' + ingest.firmwareVersion + ')' : '');
+  return '<span style="color:#ef4444;" title="' + escapeHtml(tooltip) + '">' + ingest.rejectedEntries + ' entries / ' + ingest.rejectedRequests + ' requests</span>';
+}
+
+// Mean post interval ± jitter, coloured by health
+function formatCadence(cadence) {
+  if (cadence.meanInterval === null) return '<span class="health-learning">—</span>';
+  const skipped = cadence.duplicatePosts + cadence.outOfOrderPosts;
+  return '<span class="health-' + cadence.health + '">' + (cadence.meanInterval / 1000).toFixed(2) + 's ± ' + (cadence.jitter / 1000).toFixed(2) + 's</span>' +
+    '<br><span style="color:#94a3b8; font-size:0.75rem;">' + cadence.health + (skipped > 0 ? ' • ' + skipped + ' skipped' : '') + '</span>';
+}
+
+// Small inline SVG line chart; gaps (null) are skipped
+function sparkline(values, color) {
+  const points = values.map((v, i) => [i, v]).filter(p => p[1] !== null);
+  if (points.length < 2) return '<div style="color:#64748b; font-size:0.8rem; height:40px;">not enough data</div>';
+  const min = Math.min(...points.map(p => p[1]));
+  const max = Math.max(...points.map(p => p[1]));
+  const range = max - min || 1;
+  const step = 160 / Math.max(values.length - 1, 1);
+  const coords = points.map(p => (p[0] * step).toFixed(1) + ',' + (38 - ((p[1] - min) / range) * 36).toFixed(1)).join(' ');
+  return '<svg width="160" height="40" viewBox="0 0 160 40"><polyline fill="none" stroke="' + color + '" stroke-width="2" points="' + coords + '"/></svg>';
+}
+
+function formatTrend(label, values, unit, color) {
+  const present = values.filter(v => v !== null);
+  const latest = present.length > 0 ? formatNumber(present[present.length - 1]) + unit : '—';
+  return '<div><div class="trend-label">' + label + ': <strong style="color:#f8fafc;">' + latest + '</strong></div>' + sparkline(values, color) + '</div>';
+}
+
+function updateReceiverHealth() {
+  fetch('/api/receiver-telemetry')
+    .then(r => r.json())
+    .then(data => {
+      if (data.receivers.length === 0) {
+        document.getElementById('receiverHealth').innerHTML = '<div class="empty-state">No receiver has sent a heartbeat yet (POST /api/receiver-telemetry)</div>';
+        return;
+      }
+      let html = '';
+      data.receivers.forEach(receiver => {
+        const latest = receiver.latest || {};
+        const border = { ok: '#10b981', warning: '#f59e0b', critical: '#ef4444' }[receiver.health.status];
+        html += '<div style="margin:1rem 0; padding:1.2rem; background:rgba(15,23,42,0.7); border-radius:8px; border-left:4px solid ' + border + ';">';
+        html += '<div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:0.5rem;">';
+        html += '<h4 style="color:#f8fafc;">📡 Receiver ' + escapeHtml(receiver.name) + (receiver.zone ? ' <span style="color:#94a3b8; font-weight:400;">(' + escapeHtml(receiver.zone) + ')</span>' : '') + '</h4>';
+        html += '<span class="health-' + receiver.health.status + '">' + receiver.health.status.toUpperCase() + '</span>';
+        html += '</div>';
+        html += '<div style="color:#94a3b8; font-size:0.9rem;">';
+        html += 'fw ' + escapeHtml(receiver.firmwareVersion || '?') + ' • ' + escapeHtml(receiver.ip || 'no IP') +
+          ' • up ' + (latest.uptime !== null && latest.uptime !== undefined ? formatTime(latest.uptime) : '?') +
+          ' • ' + receiver.reboots + ' restarts • heartbeat ' + Math.floor((Date.now() - receiver.lastSeen) / 1000) + 's ago';
+        html += '</div>';
+        receiver.health.warnings.forEach(warning => {
+          html += '<div class="health-' + warning.level + '" style="font-size:0.9rem; margin-top:0.3rem;">⚠️ ' + escapeHtml(warning.message) + '</div>';
+        });
+        html += '<div class="trend-grid">';
+        html += formatTrend('Free heap', receiver.trend.freeHeap, ' B', '#10b981');
+        html += formatTrend('WiFi RSSI', receiver.trend.wifiRssi, ' dBm', '#3b82f6');
+        html += formatTrend('ESP-NOW packets/min', receiver.trend.espNowRate, '', '#f59e0b');
+        html += formatTrend('ESP-NOW errors', receiver.trend.espNowErrors, '', '#ef4444');
+        html += '</div>';
+        html += '</div>';
+      });
+      document.getElementById('receiverHealth').innerHTML = html;
+    })
+    .catch(() => {
+      document.getElementById('receiverHealth').innerHTML = '<div class="empty-state" style="color:#ef4444;">Failed to load receiver health</div>';
+    });
+}
+
+// Buffered uploads after a WiFi outage
+function formatBackfill(backfill) {
+  if (backfill.uploads === 0) return '<span style="color:#94a3b8;">None</span>';
+  return formatNumber(backfill.samples) + ' samples in ' + backfill.uploads + ' upload' + (backfill.uploads > 1 ? 's' : '') +
+    '<br><span style="color:#10b981; font-size:0.8rem;">+' + formatNumber(backfill.recoveredSteps) + ' steps recovered</span>' +
+    '<span style="color:#94a3b8; font-size:0.8rem;"> • ' + formatNumber(backfill.covered) + ' already covered' + (backfill.rejected > 0 ? ' • ' + backfill.rejected + ' rejected' : '') + '</span>';
+}
+
 function updateOverview() {
   // Update stats
   fetch('/api/dashboard-data')
     .then(r => r.json())
     .then(data => {
       document.getElementById('totalSteps').textContent = formatNumber(data.totalSteps);
+      document.getElementById('activeSteps').textContent = formatNumber(data.activeSteps);
       document.getElementById('totalDevices').textContent = data.totalDevices;
       document.getElementById('activeReceivers').textContent = data.activeReceivers;
       document.getElementById('totalRequests').textContent = formatNumber(data.totalRequests);
@@ -1812,7 +6131,7 @@ function updateOverview() {
         activeReceivers.slice(0, 5).forEach(receiver => {
           html += '<div style="margin:1rem 0; padding:1.2rem; background:rgba(15,23,42,0.7); border-radius:8px; border-left:4px solid #f59e0b;">';
           html += '<div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:0.5rem;">';
-          html += '<h4 style="color:#f8fafc;"><span class="receiver-link" onclick="showReceiverDetails(\\''+receiver.name+'\\')">📡 Receiver ' + receiver.name + '</span></h4>';
+          html += '<h4 style="color:#f8fafc;"><span class="receiver-link" data-key="' + receiver.id + '" onclick="showReceiverDetails(this.dataset.key)">📡 Receiver ' + escapeHtml(receiver.name) + '</span></h4>';
           html += '<span class="status-online">Online</span>';
           html += '</div>';
           html += '<div style="color:#94a3b8; font-size:0.9rem;">';
@@ -1833,8 +6152,9 @@ function updateOverview() {
     .then(data => {
       let html = '';
       
-      // Filter to only show online devices
-      const activeDevices = data.devices.filter(device => device.status === 'Online');
+      // Filter to only show online devices; a swapped-out band's wearer is
+      // already on the list under the new band
+      const activeDevices = data.devices.filter(device => device.status === 'Online' && !device.swappedTo);
       
       if (activeDevices.length === 0) {
         html = '<div class="empty-state">No devices currently active</div>';
@@ -1845,10 +6165,10 @@ function updateOverview() {
         activeDevices.slice(0, 10).forEach((device, index) => {
           html += '<tr>';
           html += '<td><strong style="color:#f59e0b;">#' + (index + 1) + '</strong></td>';
-          html += '<td>📱 ' + device.name + '</td>';
-          html += '<td><strong style="color:#10b981;">' + formatNumber(device.stepCount) + '</strong></td>';
+          html += '<td>📱 ' + escapeHtml(device.name) + '</td>';
+          html += '<td><strong style="color:#10b981;">' + formatNumber(device.continuousSteps) + '</strong>' + formatCounterInfo(device.stepCount, device.counterResets) + '</td>';
           html += '<td>' + device.batteryLevel + '%</td>';
-          html += '<td><span class="receiver-link" onclick="showReceiverDetails(\\''+device.receiverName+'\\')">📡 ' + device.receiverName + '</span></td>';
+          html += '<td><span class="receiver-link" data-key="' + (device.receiverId || '') + '" onclick="showReceiverDetails(this.dataset.key)">📡 ' + escapeHtml(device.receiverName) + '</span></td>';
           html += '<td><span class="status-online">Online</span></td>';
           html += '</tr>';
         });
@@ -1860,6 +6180,35 @@ if (activeDevices.length > 10) {
      }
      document.getElementById('topDevices').innerHTML = html;
    });
+   
+  // Update per-encoding request counts
+  fetch('/api/ingest-stats')
+    .then(r => r.json())
+    .then(data => {
+      const labels = { json: 'JSON', lines: 'Line protocol', msgpack: 'MessagePack' };
+      let html = '<div style="overflow-x:auto;"><table class="table">';
+      html += '<thead><tr><th>Encoding</th><th>Requests</th><th>Errors</th><th>Avg Size</th></tr></thead><tbody>';
+      Object.entries(data.encodings).forEach(([encoding, counters]) => {
+        html += '<tr>';
+        html += '<td>' + labels[encoding] + '</td>';
+        html += '<td><strong>' + formatNumber(counters.requests) + '</strong></td>';
+        html += '<td style="color:' + (counters.errors > 0 ? '#ef4444' : '#10b981') + ';">' + formatNumber(counters.errors) + '</td>';
+        html += '<td>' + (counters.requests > 0 ? formatNumber(Math.round(counters.bytes / counters.requests)) + ' B' : '—') + '</td>';
+        html += '</tr>';
+      });
+      html += '</tbody></table></div>';
+      html += '<div style="color:#94a3b8; font-size:0.9rem; margin-top:0.8rem;">UDP port ' + data.udp.port + ' ' + (data.udp.listening ? '<span class="status-online">listening</span>' : '<span class="status-offline">not listening</span>') +
+        ' • ' + formatNumber(data.udp.datagrams) + ' datagrams • ' + formatNumber(data.udp.malformed) + ' malformed • ' + formatNumber(data.udp.acksSent) + ' acks sent</div>';
+      if (data.mqtt.mode === 'off') {
+        html += '<div style="color:#94a3b8; font-size:0.9rem; margin-top:0.4rem;">MQTT bridge disabled</div>';
+      } else {
+        const bridge = data.mqtt.bridge;
+        html += '<div style="color:#94a3b8; font-size:0.9rem; margin-top:0.4rem;">MQTT (' + data.mqtt.mode + ') ' +
+          (bridge && bridge.connected ? '<span class="status-online">connected</span>' : '<span class="status-offline">disconnected</span>') +
+          ' • ' + formatNumber(bridge ? bridge.messages : 0) + ' reports • ' + formatNumber(data.mqtt.malformed + data.mqtt.topicMismatches) + ' rejected • ' + formatNumber(data.mqtt.lastWills) + ' last wills • ' + formatNumber(bridge ? bridge.published : 0) + ' published to ' + data.mqtt.publishPrefix + '/#</div>';
+      }
+      document.getElementById('encodingStats').innerHTML = html;
+    });
 }
 
 function updateReceiversTable() {
@@ -1868,24 +6217,28 @@ function updateReceiversTable() {
    .then(data => {
      let html = '';
      if (data.receivers.length === 0) {
-       html = '<tr><td colspan="7" class="empty-state">No receivers currently connected</td></tr>';
+       html = '<tr><td colspan="11" class="empty-state">No receivers currently connected</td></tr>';
      } else {
        data.receivers.forEach(receiver => {
          html += '<tr>';
-         html += '<td><span class="receiver-link" onclick="showReceiverDetails(\\''+receiver.name+'\\')">📡 ' + receiver.name + '</span></td>';
+         html += '<td><span class="receiver-link" data-key="' + receiver.id + '" onclick="showReceiverDetails(this.dataset.key)">📡 ' + escapeHtml(receiver.name) + '</span></td>';
+         html += '<td>' + escapeHtml(receiver.zone || '-') + '</td>';
          html += '<td><strong>' + receiver.deviceCount + '</strong></td>';
          html += '<td><strong style="color:#10b981;">' + formatNumber(receiver.totalSteps) + '</strong></td>';
          html += '<td><span class="status-' + receiver.status.toLowerCase() + '">' + receiver.status + '</span></td>';
+         html += '<td>' + formatRejections(receiver.ingest) + '</td>';
+         html += '<td>' + (receiver.cadence.rebootCount > 0 ? '<span style="color:#f97316;">' + receiver.cadence.rebootCount + '</span>' : '0') + '</td>';
+         html += '<td>' + formatCadence(receiver.cadence) + '</td>';
          html += '<td>' + receiver.lastSeen + 's ago</td>';
          html += '<td style="font-size:0.8rem;">' + receiver.firstSeen + '</td>';
-         html += '<td><button class="nav-btn" onclick="showReceiverDetails(\\''+receiver.name+'\\')">View Details</button></td>';
+         html += '<td><button class="nav-btn" data-key="' + receiver.id + '" onclick="showReceiverDetails(this.dataset.key)">View Details</button></td>';
          html += '</tr>';
        });
      }
      document.getElementById('receiversTable').innerHTML = html;
    })
    .catch(() => {
-     document.getElementById('receiversTable').innerHTML = '<tr><td colspan="7" class="empty-state" style="color:#ef4444;">Failed to load receivers</td></tr>';
+     document.getElementById('receiversTable').innerHTML = '<tr><td colspan="11" class="empty-state" style="color:#ef4444;">Failed to load receivers</td></tr>';
    });
 }
 
@@ -1908,7 +6261,7 @@ function updateReceiversTable() {
                 '<tr>' +
                   '<th>#</th>' +
                   '<th>Device ID</th>' +
-                  '<th>Current Steps</th>' +
+                  '<th>Total Steps</th>' +
                   '<th>Peak Steps</th>' +
                   '<th>Battery</th>' +
                   '<th>Receiver</th>' +
@@ -1932,7 +6285,7 @@ function updateReceiversTable() {
                 '<tr>' +
                   '<th>#</th>' +
                   '<th>Device ID</th>' +
-                  '<th>Last Steps</th>' +
+                  '<th>Total Steps</th>' +
                   '<th>Peak Steps</th>' +
                   '<th>Last Battery</th>' +
                   '<th>Last Receiver</th>' +
@@ -1957,11 +6310,11 @@ function updateReceiversTable() {
         onlineDevices.forEach((device, index) => {
           onlineHtml += '<tr>';
           onlineHtml += '<td><strong style="color:#f59e0b;">' + (index + 1) + '</strong></td>';
-          onlineHtml += '<td>📱 ' + device.name + '</td>';
-          onlineHtml += '<td><strong style="color:#10b981;">' + formatNumber(device.stepCount) + '</strong></td>';
+          onlineHtml += '<td><span class="receiver-link" onclick="showDeviceDetails(\\''+device.id+'\\')">📱 ' + escapeHtml(device.name) + '</span></td>';
+          onlineHtml += '<td><strong style="color:#10b981;">' + formatNumber(device.lifetimeSteps) + '</strong>' + formatCounterInfo(device.stepCount, device.counterResets) + formatSwapInfo(device) + '</td>';
           onlineHtml += '<td style="color:#f59e0b;">' + formatNumber(device.peakSteps) + '</td>';
           onlineHtml += '<td>' + device.batteryLevel + '%</td>';
-          onlineHtml += '<td><span class="receiver-link" onclick="showReceiverDetails(\\''+device.receiverName+'\\')">📡 ' + device.receiverName + '</span></td>';
+          onlineHtml += '<td><span class="receiver-link" data-key="' + (device.receiverId || '') + '" onclick="showReceiverDetails(this.dataset.key)">📡 ' + escapeHtml(device.receiverName) + '</span></td>';
           onlineHtml += '<td>' + (device.signalStrength || 'N/A') + (device.signalStrength ? ' dBm' : '') + '</td>';
           onlineHtml += '<td>' + (device.lastSeen > 120 ? Math.floor(device.lastSeen/60) + 'm ago' : device.lastSeen + 's ago') + '</td>';
           onlineHtml += '<td style="font-size:0.8rem;">' + new Date(Date.now() - (device.lastSeen * 1000)).toLocaleString() + '</td>';
@@ -1980,11 +6333,11 @@ function updateReceiversTable() {
         offlineDevices.forEach((device, index) => {
           offlineHtml += '<tr>';
           offlineHtml += '<td><strong style="color:#ef4444;">' + (index + 1) + '</strong></td>';
-          offlineHtml += '<td>📱 ' + device.name + '</td>';
-          offlineHtml += '<td><strong style="color:#94a3b8;">' + formatNumber(device.stepCount) + '</strong></td>';
+          offlineHtml += '<td><span class="receiver-link" onclick="showDeviceDetails(\\''+device.id+'\\')">📱 ' + escapeHtml(device.name) + '</span></td>';
+          offlineHtml += '<td><strong style="color:#94a3b8;">' + formatNumber(device.lifetimeSteps) + '</strong>' + formatCounterInfo(device.stepCount, device.counterResets) + formatSwapInfo(device) + '</td>';
           offlineHtml += '<td style="color:#f59e0b;">' + formatNumber(device.peakSteps) + '</td>';
           offlineHtml += '<td>' + device.batteryLevel + '%</td>';
-          offlineHtml += '<td><span class="receiver-link" onclick="showReceiverDetails(\\''+device.receiverName+'\\')">📡 ' + device.receiverName + '</span></td>';
+          offlineHtml += '<td><span class="receiver-link" data-key="' + (device.receiverId || '') + '" onclick="showReceiverDetails(this.dataset.key)">📡 ' + escapeHtml(device.receiverName) + '</span></td>';
           offlineHtml += '<td>' + (device.signalStrength || 'N/A') + (device.signalStrength ? ' dBm' : '') + '</td>';
           offlineHtml += '<td><span style="color:#ef4444;">' + formatTime(device.offlineTime) + '</span></td>';
           offlineHtml += '<td style="font-size:0.8rem; color:#94a3b8;">' + new Date(Date.now() - (device.offlineTime * 1000)).toLocaleString() + '</td>';
@@ -2045,9 +6398,9 @@ function updateHistory() {
       } else {
         data.devices.forEach(device => {
           deviceHtml += '<tr>';
-          deviceHtml += '<td>📱 ' + device.name + '</td>';
+          deviceHtml += '<td>📱 ' + escapeHtml(device.name) + '</td>';
           deviceHtml += '<td><span class="status-' + device.status.toLowerCase() + '">' + device.status + '</span></td>';
-          deviceHtml += '<td><strong style="color:#10b981;">' + formatNumber(device.currentSteps) + '</strong></td>';
+          deviceHtml += '<td><strong style="color:#10b981;">' + formatNumber(device.lifetimeSteps) + '</strong>' + formatCounterInfo(device.currentSteps, device.counterResets) + '</td>';
           deviceHtml += '<td style="color:#f59e0b;">' + formatNumber(device.peakSteps) + '</td>';
           deviceHtml += '<td>' + device.minBattery + '% - ' + device.maxBattery + '%</td>';
           deviceHtml += '<td>' + device.totalUpdates + '</td>';
@@ -2060,7 +6413,7 @@ function updateHistory() {
             deviceHtml += '<td style="font-size:0.8rem;"><span style="color:#ef4444;">Offline: ' + formatTime(device.offlineTime) + '</span><br>';
             deviceHtml += '<span style="color:#94a3b8;">Since: ' + device.offlineSince + '</span></td>';
           } else {
-            deviceHtml += '<td><span class="receiver-link" onclick="showReceiverDetails(\\''+device.receiverName+'\\')">📡 ' + device.receiverName + '</span></td>';
+            deviceHtml += '<td><span class="receiver-link" data-key="' + (device.receiverId || '') + '" onclick="showReceiverDetails(this.dataset.key)">📡 ' + escapeHtml(device.receiverName) + '</span></td>';
           }
           
           deviceHtml += '</tr>';
@@ -2074,89 +6427,754 @@ function updateHistory() {
     });
 }
 
-function generateSystemHistoryTable(historyData, limit) {
-  const displayData = limit === 'all' ? historyData : historyData.slice(0, limit);
-  
-  let html = '<div style="overflow-x:auto;"><table class="table">';
-  html += '<thead><tr><th>Date & Time</th><th>Total Steps</th><th>Active Devices</th><th>Active Receivers</th><th>Offline Devices</th><th>Offline Device Details</th><th>Total Requests</th><th>Uptime</th></tr></thead><tbody>';
-  
-  displayData.forEach(record => {
-    html += '<tr>';
-    html += '<td style="font-size:0.9rem;">' + record.dateTime + '</td>';
-    html += '<td><strong style="color:#10b981;">' + formatNumber(record.totalSteps) + '</strong></td>';
-    html += '<td><strong style="color:#60a5fa;">' + record.activeDevices + '</strong></td>';
-    html += '<td><strong style="color:#f59e0b;">' + record.activeReceivers + '</strong></td>';
-    html += '<td><strong style="color:#ef4444;">' + record.offlineDevices + '</strong></td>';
-    
-    // Offline device details
-    let offlineDetailsHtml = '';
-    if (record.offlineDeviceList && record.offlineDeviceList.length > 0) {
-      offlineDetailsHtml = '<div style="max-width:300px; max-height:100px; overflow-y:auto; font-size:0.8rem;">';
-      record.offlineDeviceList.forEach(offlineDevice => {
-        offlineDetailsHtml += '<div style="margin:2px 0; padding:3px; background:rgba(239,68,68,0.1); border-radius:3px;">';
-        offlineDetailsHtml += '<strong>📱 ' + offlineDevice.name + '</strong><br>';
-        offlineDetailsHtml += '<span style="color:#94a3b8;">Steps: ' + formatNumber(offlineDevice.lastSteps) + ' | Battery: ' + offlineDevice.lastBattery + '%</span><br>';
-        offlineDetailsHtml += '<span style="color:#ef4444; font-size:0.7rem;">Offline: ' + formatTime(offlineDevice.offlineDuration) + '</span>';
-        offlineDetailsHtml += '</div>';
-      });
-      offlineDetailsHtml += '</div>';
-    } else {
-      offlineDetailsHtml = '<span style="color:#94a3b8; font-style:italic;">No offline devices</span>';
-    }
-    
-    html += '<td>' + offlineDetailsHtml + '</td>';
-    html += '<td>' + formatNumber(record.totalRequests) + '</td>';
-    html += '<td>' + formatTime(record.uptime) + '</td>';
-    html += '</tr>';
-  });
-  
-  html += '</tbody></table></div>';
-  return html;
+function generateSystemHistoryTable(historyData, limit) {
+  const displayData = limit === 'all' ? historyData : historyData.slice(0, limit);
+  
+  let html = '<div style="overflow-x:auto;"><table class="table">';
+  html += '<thead><tr><th>Date & Time</th><th>Total Steps</th><th>Active Steps</th><th>Active Devices</th><th>Active Receivers</th><th>Offline Devices</th><th>Offline Device Details</th><th>Total Requests</th><th>Uptime</th></tr></thead><tbody>';
+  
+  displayData.forEach(record => {
+    html += '<tr>';
+    html += '<td style="font-size:0.9rem;">' + record.dateTime + '</td>';
+    html += '<td><strong style="color:#10b981;">' + formatNumber(record.totalSteps) + '</strong></td>';
+    html += '<td>' + (record.activeSteps !== undefined ? formatNumber(record.activeSteps) : '—') + '</td>';
+    html += '<td><strong style="color:#60a5fa;">' + record.activeDevices + '</strong></td>';
+    html += '<td><strong style="color:#f59e0b;">' + record.activeReceivers + '</strong></td>';
+    html += '<td><strong style="color:#ef4444;">' + record.offlineDevices + '</strong></td>';
+    
+    // Offline device details
+    let offlineDetailsHtml = '';
+    if (record.offlineDeviceList && record.offlineDeviceList.length > 0) {
+      offlineDetailsHtml = '<div style="max-width:300px; max-height:100px; overflow-y:auto; font-size:0.8rem;">';
+      record.offlineDeviceList.forEach(offlineDevice => {
+        offlineDetailsHtml += '<div style="margin:2px 0; padding:3px; background:rgba(239,68,68,0.1); border-radius:3px;">';
+        offlineDetailsHtml += '<strong>📱 ' + escapeHtml(offlineDevice.name) + '</strong><br>';
+        offlineDetailsHtml += '<span style="color:#94a3b8;">Steps: ' + formatNumber(offlineDevice.lastSteps) + ' | Battery: ' + offlineDevice.lastBattery + '%</span><br>';
+        offlineDetailsHtml += '<span style="color:#ef4444; font-size:0.7rem;">Offline: ' + formatTime(offlineDevice.offlineDuration) + '</span>';
+        offlineDetailsHtml += '</div>';
+      });
+      offlineDetailsHtml += '</div>';
+    } else {
+      offlineDetailsHtml = '<span style="color:#94a3b8; font-style:italic;">No offline devices</span>';
+    }
+    
+    html += '<td>' + offlineDetailsHtml + '</td>';
+    html += '<td>' + formatNumber(record.totalRequests) + '</td>';
+    html += '<td>' + formatTime(record.uptime) + '</td>';
+    html += '</tr>';
+  });
+  
+  html += '</tbody></table></div>';
+  return html;
+}
+
+function filterSystemHistory() {
+  const limit = document.getElementById('historyLimit').value;
+  const limitValue = limit === 'all' ? 'all' : parseInt(limit);
+  
+  if (window.fullSystemHistory) {
+    document.getElementById('systemHistoryTable').innerHTML = 
+      generateSystemHistoryTable(window.fullSystemHistory, limitValue);
+  }
+}
+
+let logsCursor = null;
+let olderLogsLoaded = false;
+
+function logQuery() {
+ const params = new URLSearchParams();
+ const fields = { type: 'logType', deviceId: 'logDevice', receiverId: 'logReceiver', q: 'logText' };
+ for (const [param, id] of Object.entries(fields)) {
+   const value = document.getElementById(id).value.trim();
+   if (value) params.set(param, value);
+ }
+ for (const [param, id] of [['from', 'logFrom'], ['to', 'logTo']]) {
+   const value = document.getElementById(id).value;
+   if (value) params.set(param, new Date(value).toISOString());
+ }
+ return params;
+}
+
+function formatLogEntries(logs) {
+ let html = '';
+ logs.forEach(log => {
+   html += '<div class="log-entry ' + log.type + '">';
+   html += '<div class="log-time">' + log.timestamp + '</div>';
+   html += '<div class="log-message">' + escapeHtml(log.message) + '</div>';
+   html += '</div>';
+ });
+ return html;
+}
+
+function showLogsCursor(cursor) {
+ logsCursor = cursor;
+ document.getElementById('olderLogs').classList.toggle('hidden', !cursor);
+}
+
+// Auto-refresh only reloads the first page, and leaves older pages alone
+function updateLogs(auto) {
+ if (auto && olderLogsLoaded) return;
+ olderLogsLoaded = false;
+ 
+ fetch('/api/logs?' + logQuery())
+   .then(r => r.json())
+   .then(data => {
+     if (data.error) throw new Error(data.error);
+     document.getElementById('connectionLogs').innerHTML = data.logs.length === 0
+       ? '<div class="empty-state">No connection logs match</div>'
+       : formatLogEntries(data.logs);
+     showLogsCursor(data.nextCursor);
+   })
+   .catch((error) => {
+     document.getElementById('connectionLogs').innerHTML = '<div class="empty-state" style="color:#ef4444;">Failed to load logs' + (error.message ? ': ' + error.message : '') + '</div>';
+     showLogsCursor(null);
+   });
+}
+
+function loadOlderLogs() {
+ if (!logsCursor) return;
+ const params = logQuery();
+ params.set('cursor', logsCursor);
+ 
+ fetch('/api/logs?' + params)
+   .then(r => r.json())
+   .then(data => {
+     if (data.error) throw new Error(data.error);
+     olderLogsLoaded = true;
+     document.getElementById('connectionLogs').insertAdjacentHTML('beforeend', formatLogEntries(data.logs));
+     showLogsCursor(data.nextCursor);
+   })
+   .catch(() => showLogsCursor(null));
+}
+
+function clearLogFilters() {
+ for (const id of ['logType', 'logDevice', 'logReceiver', 'logFrom', 'logTo', 'logText']) {
+   document.getElementById(id).value = '';
+ }
+ updateLogs();
+}
+
+// Runtime settings get an input; the rest show where their value comes from
+function updateSettings(notice) {
+ fetch('/api/config')
+   .then(r => r.json())
+   .then(data => {
+     let html = '<div style="overflow-x:auto;"><table class="table"><thead><tr><th>Setting</th><th>Value</th><th>Default</th><th>Source</th><th></th></tr></thead><tbody>';
+     let group = null;
+     data.settings.forEach(setting => {
+       if (setting.group !== group) {
+         group = setting.group;
+         html += '<tr><td colspan="5" style="color:#f59e0b; font-weight:600; text-transform:capitalize;">' + group + '</td></tr>';
+       }
+       const editable = setting.runtime && !setting.locked;
+       const unit = setting.unit ? ' ' + setting.unit : '';
+       html += '<tr>';
+       html += '<td><div style="color:#f8fafc;">' + setting.key + '</div><div style="color:#94a3b8; font-size:0.85rem;">' + setting.description + '</div></td>';
+       if (editable && setting.type === 'enum') {
+         html += '<td><select id="setting-' + setting.key + '" style="width:9rem; padding:0.4rem; border-radius:6px; background:#1e293b; color:#f8fafc; border:1px solid #475569;">' +
+           setting.values.map(value => '<option' + (value === setting.value ? ' selected' : '') + '>' + value + '</option>').join('') + '</select></td>';
+       } else if (editable) {
+         html += '<td><input id="setting-' + setting.key + '" type="number" value="' + setting.value + '" min="' + setting.min + '" max="' + setting.max + '"' +
+           ' style="width:9rem; padding:0.4rem; border-radius:6px; background:#1e293b; color:#f8fafc; border:1px solid #475569;">' + unit + '</td>';
+       } else {
+         html += '<td>' + (setting.value === null ? '<span style="color:#64748b;">not set</span>' : setting.value + unit) + '</td>';
+       }
+       html += '<td>' + (setting.default === null ? '-' : setting.default + unit) + '</td>';
+       html += '<td>' + (setting.source === 'env' ? 'env ' + setting.env : setting.source) + (setting.runtime ? '' : ' <span style="color:#64748b;">(restart)</span>') + '</td>';
+       html += '<td>';
+       if (editable) {
+         html += '<button class="nav-btn" data-key="' + setting.key + '" onclick="saveSetting(this.dataset.key, false)">Save</button> ';
+         if (setting.source === 'file') html += '<button class="nav-btn" data-key="' + setting.key + '" onclick="saveSetting(this.dataset.key, true)">Default</button>';
+       }
+       html += '</td></tr>';
+     });
+     html += '</tbody></table></div>';
+     document.getElementById('settingsTable').innerHTML = html;
+     document.getElementById('settingsStatus').innerHTML = notice || 'Runtime settings are saved to ' + data.file + ' and apply immediately. Settings marked restart are read at startup.';
+   })
+   .catch(() => {
+     document.getElementById('settingsTable').innerHTML = '<div class="empty-state" style="color:#ef4444;">Failed to load settings</div>';
+   });
+}
+
+function saveSetting(key, reset) {
+ const input = document.getElementById('setting-' + key);
+ const body = {};
+ body[key] = reset ? null : (input.tagName === 'SELECT' ? input.value : Number(input.value));
+ 
+ fetch('/api/config', { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+   .then(r => r.json())
+   .then(data => {
+     const status = document.getElementById('settingsStatus');
+     if (data.errors) {
+       status.innerHTML = '<span style="color:#ef4444;">' + data.errors.map(e => e.field + ' ' + e.message).join('; ') + '</span>';
+       return;
+     }
+     updateSettings('<span style="color:#10b981;">' + (data.changed.length === 0 ? key + ' unchanged' : data.changed.map(c => c.key + ': ' + c.previous + ' → ' + c.value).join(', ')) + '</span>');
+   })
+   .catch(() => alert('Failed to save ' + key));
+}
+
+const PARTICIPANT_FORM_FIELDS = ['deviceId', 'bandNumber', 'name', 'phone', 'team', 'category', 'colour'];
+let participantList = [];
+
+function formatApiErrors(data) {
+ return '<span style="color:#ef4444;">' + escapeHtml(data.error) + (data.errors ? ': ' + escapeHtml(data.errors.map(e => (e.row ? 'row ' + e.row + ' ' : '') + e.field + ' ' + e.message).join('; ')) : '') + '</span>';
+}
+
+function updateParticipants(notice) {
+ fetch('/api/participants')
+   .then(r => r.json())
+   .then(data => {
+     participantList = data.participants;
+     if (data.participants.length === 0) {
+       document.getElementById('participantsTable').innerHTML = '<div class="empty-state">No bands registered yet</div>';
+     } else {
+       let html = '<div style="overflow-x:auto;"><table class="table"><thead><tr><th>Band</th><th>Name</th><th>MAC</th><th>Phone</th><th>Team</th><th>Category</th><th>Colour</th><th>Status</th><th></th></tr></thead><tbody>';
+       data.participants.forEach(participant => {
+         const statusClass = participant.status === 'Online' ? 'status-online' : 'status-offline';
+         html += '<tr>';
+         html += '<td>#' + participant.bandNumber + '</td>';
+         html += '<td>' + escapeHtml(participant.name) + '</td>';
+         html += '<td>' + participant.deviceId + '</td>';
+         html += '<td>' + escapeHtml(participant.phone || '-') + '</td>';
+         html += '<td>' + escapeHtml(participant.team || '-') + '</td>';
+         html += '<td>' + escapeHtml(participant.category || '-') + '</td>';
+         html += '<td>' + (participant.colour ? '<span style="display:inline-block; width:0.8rem; height:0.8rem; border-radius:50%; background:' + escapeHtml(participant.colour) + '; margin-right:0.4rem;"></span>' + escapeHtml(participant.colour) : '-') + '</td>';
+         html += '<td><span class="' + statusClass + '">' + participant.status + '</span></td>';
+         html += '<td><button class="nav-btn" data-key="' + participant.deviceId + '" onclick="editParticipant(this.dataset.key)">Edit</button> ';
+         html += '<button class="nav-btn danger" data-key="' + participant.deviceId + '" onclick="deleteParticipant(this.dataset.key)">Delete</button></td>';
+         html += '</tr>';
+       });
+       html += '</tbody></table></div>';
+       document.getElementById('participantsTable').innerHTML = html;
+     }
+     document.getElementById('participantsStatus').innerHTML = notice || data.count + ' bands registered. Registered bands show their number and name everywhere instead of the MAC.';
+   })
+   .catch(() => {
+     document.getElementById('participantsTable').innerHTML = '<div class="empty-state" style="color:#ef4444;">Failed to load participants</div>';
+   });
+}
+
+function participantInput(field) {
+ return document.getElementById('participant' + field.charAt(0).toUpperCase() + field.slice(1));
+}
+
+function editParticipant(deviceId) {
+ const participant = participantList.find(p => p.deviceId === deviceId);
+ if (!participant) return;
+ PARTICIPANT_FORM_FIELDS.forEach(field => { participantInput(field).value = participant[field] === null ? '' : participant[field]; });
+ participantInput('deviceId').disabled = true;
+}
+
+function clearParticipantForm() {
+ PARTICIPANT_FORM_FIELDS.forEach(field => { participantInput(field).value = ''; });
+ participantInput('deviceId').disabled = false;
 }
 
-function filterSystemHistory() {
-  const limit = document.getElementById('historyLimit').value;
-  const limitValue = limit === 'all' ? 'all' : parseInt(limit);
-  
-  if (window.fullSystemHistory) {
-    document.getElementById('systemHistoryTable').innerHTML = 
-      generateSystemHistoryTable(window.fullSystemHistory, limitValue);
-  }
+// A disabled MAC field means the form holds an existing entry
+function saveParticipant() {
+ const editing = participantInput('deviceId').disabled;
+ const body = {};
+ PARTICIPANT_FORM_FIELDS.forEach(field => {
+   const value = participantInput(field).value.trim();
+   body[field] = value === '' ? null : value;
+ });
+ const url = editing ? '/api/participants/' + encodeURIComponent(body.deviceId) : '/api/participants';
+ 
+ fetch(url, { method: editing ? 'PATCH' : 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+   .then(r => r.json().then(data => ({ ok: r.ok, data })))
+   .then(({ ok, data }) => {
+     if (!ok) {
+       document.getElementById('participantsStatus').innerHTML = formatApiErrors(data);
+       return;
+     }
+     clearParticipantForm();
+     updateParticipants('<span style="color:#10b981;">Saved band #' + data.bandNumber + ' (' + escapeHtml(data.name) + ')</span>');
+   })
+   .catch(() => alert('Failed to save participant'));
+}
+
+function deleteParticipant(deviceId) {
+ if (!confirm('Remove ' + deviceId + ' from the registry?')) return;
+ fetch('/api/participants/' + encodeURIComponent(deviceId), { method: 'DELETE' })
+   .then(r => r.json())
+   .then(data => updateParticipants(data.error ? formatApiErrors(data) : '<span style="color:#10b981;">Removed band #' + data.removed.bandNumber + '</span>'))
+   .catch(() => alert('Failed to remove ' + deviceId));
 }
 
-function updateLogs() {
- fetch('/api/logs')
+function importParticipants() {
+ const file = document.getElementById('participantFile').files[0];
+ if (!file) {
+   alert('Choose a CSV or XLSX file first');
+   return;
+ }
+ const format = /\.xlsx$/i.test(file.name) ? 'xlsx' : 'csv';
+ const mode = document.getElementById('participantImportMode').value;
+ if (mode === 'replace' && !confirm('Replace the whole registry with ' + file.name + '?')) return;
+ 
+ fetch('/api/participants/import?format=' + format + '&mode=' + mode, { method: 'POST', body: file })
    .then(r => r.json())
    .then(data => {
-     let html = '';
-     if (data.logs.length === 0) {
-       html = '<div class="empty-state">No connection logs yet</div>';
+     if (data.errors || data.error) {
+       document.getElementById('participantsStatus').innerHTML = formatApiErrors(data);
+       return;
+     }
+     document.getElementById('participantFile').value = '';
+     updateParticipants('<span style="color:#10b981;">Imported ' + data.rows + ' rows: ' + data.created + ' new, ' + data.updated + ' updated, ' + data.removed + ' removed</span>');
+   })
+   .catch(() => alert('Failed to import ' + file.name));
+}
+
+const LOCATION_FORM_FIELDS = ['receiverId', 'name', 'zone', 'x', 'y'];
+let locationList = [];
+
+function locationInput(field) {
+ return document.getElementById('location' + field.charAt(0).toUpperCase() + field.slice(1));
+}
+
+// Registered receivers, then connected ones nobody has named yet
+function updateLocations(notice) {
+ Promise.all([fetch('/api/receiver-registry').then(r => r.json()), fetch('/api/receivers').then(r => r.json())])
+   .then(([registry, live]) => {
+     locationList = registry.receivers;
+     const registered = new Set(registry.receivers.map(receiver => receiver.receiverId));
+     const unregistered = live.receivers.filter(receiver => !registered.has(receiver.id));
+     
+     let html = '<div style="overflow-x:auto;"><table class="table"><thead><tr><th>Name</th><th>Zone</th><th>MAC</th><th>Position</th><th>Status</th><th></th></tr></thead><tbody>';
+     registry.receivers.forEach(receiver => {
+       html += '<tr>';
+       html += '<td>📡 ' + escapeHtml(receiver.name) + '</td>';
+       html += '<td>' + escapeHtml(receiver.zone || '-') + '</td>';
+       html += '<td>' + receiver.receiverId + '</td>';
+       html += '<td>' + (receiver.x === null ? '-' : receiver.x + '%, ' + receiver.y + '%') + '</td>';
+       html += '<td><span class="status-' + receiver.status.toLowerCase() + '">' + receiver.status + '</span></td>';
+       html += '<td><button class="nav-btn" data-key="' + receiver.receiverId + '" onclick="editLocation(this.dataset.key)">Edit</button> ';
+       html += '<button class="nav-btn danger" data-key="' + receiver.receiverId + '" onclick="deleteLocation(this.dataset.key)">Delete</button></td>';
+       html += '</tr>';
+     });
+     unregistered.forEach(receiver => {
+       html += '<tr>';
+       html += '<td style="color:#94a3b8;">📡 ' + escapeHtml(receiver.name) + ' (not named)</td>';
+       html += '<td>-</td>';
+       html += '<td>' + receiver.id + '</td>';
+       html += '<td>-</td>';
+       html += '<td><span class="status-' + receiver.status.toLowerCase() + '">' + receiver.status + '</span></td>';
+       html += '<td><button class="nav-btn" data-key="' + receiver.id + '" onclick="registerLocation(this.dataset.key)">Register</button></td>';
+       html += '</tr>';
+     });
+     if (registry.receivers.length + unregistered.length === 0) {
+       html += '<tr><td colspan="6" class="empty-state">No receivers registered or connected</td></tr>';
+     }
+     html += '</tbody></table></div>';
+     document.getElementById('locationsTable').innerHTML = html;
+     document.getElementById('locationsStatus').innerHTML = notice || registry.count + ' receivers named. Position is a percentage of the venue plan width (x) and height (y).';
+   })
+   .catch(() => {
+     document.getElementById('locationsTable').innerHTML = '<div class="empty-state" style="color:#ef4444;">Failed to load receiver locations</div>';
+   });
+}
+
+function editLocation(receiverId) {
+ const receiver = locationList.find(r => r.receiverId === receiverId);
+ if (!receiver) return;
+ LOCATION_FORM_FIELDS.forEach(field => { locationInput(field).value = receiver[field] === null ? '' : receiver[field]; });
+ locationInput('receiverId').disabled = true;
+}
+
+function registerLocation(receiverId) {
+ clearLocationForm();
+ locationInput('receiverId').value = receiverId;
+ locationInput('name').focus();
+}
+
+function clearLocationForm() {
+ LOCATION_FORM_FIELDS.forEach(field => { locationInput(field).value = ''; });
+ locationInput('receiverId').disabled = false;
+}
+
+// A disabled MAC field means the form holds an existing entry
+function saveLocation() {
+ const editing = locationInput('receiverId').disabled;
+ const body = {};
+ LOCATION_FORM_FIELDS.forEach(field => {
+   const value = locationInput(field).value.trim();
+   body[field] = value === '' ? null : (field === 'x' || field === 'y' ? Number(value) : value);
+ });
+ const url = editing ? '/api/receiver-registry/' + encodeURIComponent(body.receiverId) : '/api/receiver-registry';
+ 
+ fetch(url, { method: editing ? 'PATCH' : 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+   .then(r => r.json().then(data => ({ ok: r.ok, data })))
+   .then(({ ok, data }) => {
+     if (!ok) {
+       document.getElementById('locationsStatus').innerHTML = formatApiErrors(data);
+       return;
+     }
+     clearLocationForm();
+     updateLocations('<span style="color:#10b981;">Saved ' + escapeHtml(data.name) + ' (' + data.receiverId + ')</span>');
+   })
+   .catch(() => alert('Failed to save receiver'));
+}
+
+function deleteLocation(receiverId) {
+ if (!confirm('Remove the name and location of ' + receiverId + '?')) return;
+ fetch('/api/receiver-registry/' + encodeURIComponent(receiverId), { method: 'DELETE' })
+   .then(r => r.json())
+   .then(data => updateLocations(data.error ? formatApiErrors(data) : '<span style="color:#10b981;">Removed ' + escapeHtml(data.removed.name) + '</span>'))
+   .catch(() => alert('Failed to remove ' + receiverId));
+}
+
+function admissionTable(entries, actions, empty) {
+ if (entries.length === 0) return '<div class="empty-state">' + empty + '</div>';
+ let html = '<div style="overflow-x:auto;"><table class="table"><thead><tr><th>Device</th><th>MAC</th><th>Reports</th><th>Last Heard</th><th>Via</th><th>Steps</th><th>Battery</th><th></th></tr></thead><tbody>';
+ entries.forEach(entry => {
+   html += '<tr>';
+   html += '<td>📱 ' + escapeHtml(entry.name) + (entry.registered ? '' : ' <span style="color:#64748b;">(unregistered)</span>') + '</td>';
+   html += '<td>' + entry.deviceId + '</td>';
+   html += '<td>' + formatNumber(entry.reports) + '</td>';
+   html += '<td>' + (entry.lastSeen ? new Date(entry.lastSeen).toLocaleString() : '-') + '</td>';
+   html += '<td>' + (entry.receiverId ? entry.receiverId.substring(12) : '-') + '</td>';
+   html += '<td>' + (entry.stepCount === null ? '-' : formatNumber(entry.stepCount)) + '</td>';
+   html += '<td>' + (entry.batteryLevel === null ? '-' : entry.batteryLevel + '%') + '</td>';
+   html += '<td>';
+   actions.forEach(action => {
+     html += '<button class="nav-btn' + (action[0] === 'reject' ? ' danger' : '') + '" data-key="' + entry.deviceId + '" data-action="' + action[0] + '" onclick="decideAdmission(this.dataset.key, this.dataset.action)">' + action[1] + '</button> ';
+   });
+   html += '</td></tr>';
+ });
+ return html + '</tbody></table></div>';
+}
+
+function updateAdmission(notice) {
+ Promise.all([fetch('/api/admission').then(r => r.json()), fetch('/api/config').then(r => r.json())])
+   .then(([data, configData]) => {
+     const setting = configData.settings.find(s => s.key === 'admissionMode');
+     const select = document.getElementById('admissionMode');
+     select.value = data.mode;
+     select.disabled = setting.locked;
+     
+     let html = '<h4 style="margin-bottom:1rem; color:#f8fafc;">⏳ Quarantine (' + data.quarantine.length + ')</h4>';
+     html += admissionTable(data.quarantine, [['approve', 'Approve'], ['reject', 'Reject']], 'Nothing waiting for approval');
+     html += '<h4 style="margin:1.5rem 0 1rem; color:#f8fafc;">✅ Approved (' + data.allowlist.length + ')</h4>';
+     html += admissionTable(data.allowlist, [['reject', 'Block'], ['forget', 'Remove']], 'No approved MACs. Registered bands are known without approval.');
+     html += '<h4 style="margin:1.5rem 0 1rem; color:#f8fafc;">⛔ Blocked (' + data.blocklist.length + ')</h4>';
+     html += admissionTable(data.blocklist, [['approve', 'Approve'], ['forget', 'Unblock']], 'No blocked MACs');
+     document.getElementById('admissionLists').innerHTML = html;
+     
+     document.getElementById('admissionStatus').innerHTML = notice || 'Known devices are registered bands and approved MACs. ' +
+       formatNumber(data.stats.admitted) + ' admitted, ' + formatNumber(data.stats.quarantined) + ' held, ' + formatNumber(data.stats.blocked) + ' blocked and ' +
+       formatNumber(data.stats.dropped) + ' dropped device reports since start' + (setting.locked ? '. The mode is locked by ' + setting.env + '.' : '.');
+   })
+   .catch(() => {
+     document.getElementById('admissionLists').innerHTML = '<div class="empty-state" style="color:#ef4444;">Failed to load admission lists</div>';
+   });
+}
+
+// action: approve, reject or forget
+function decideAdmission(deviceId, action) {
+ if (!deviceId) {
+   alert('Enter a device MAC first');
+   return;
+ }
+ if (action === 'reject' && !confirm('Block ' + deviceId + '? Its steps are removed from the totals.')) return;
+ const request = action === 'forget'
+   ? fetch('/api/admission/' + encodeURIComponent(deviceId), { method: 'DELETE' })
+   : fetch('/api/admission/' + encodeURIComponent(deviceId) + '/' + action, { method: 'POST' });
+ 
+ request
+   .then(r => r.json())
+   .then(data => {
+     if (data.error) {
+       updateAdmission(formatApiErrors(data));
+       return;
+     }
+     document.getElementById('admissionDeviceId').value = '';
+     updateAdmission('<span style="color:#10b981;">' + deviceId + (action === 'forget' ? ' taken off the ' + data.removed.status + ' list' : ' is now ' + data.status) + '</span>');
+   })
+   .catch(() => alert('Failed to update ' + deviceId));
+}
+
+function setAdmissionMode(mode) {
+ fetch('/api/config', { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ admissionMode: mode }) })
+   .then(r => r.json())
+   .then(data => updateAdmission(data.errors ? formatApiErrors(data) : '<span style="color:#10b981;">Admission mode is now ' + mode + '</span>'))
+   .catch(() => alert('Failed to change the admission mode'));
+}
+
+let runningSessionId = null;
+
+function updateSessions(notice) {
+ fetch('/api/sessions')
+   .then(r => r.json())
+   .then(data => {
+     runningSessionId = data.active;
+     if (data.sessions.length === 0) {
+       document.getElementById('sessionsTable').innerHTML = '<div class="empty-state">No sessions yet. Start one when the night begins.</div>';
      } else {
-       data.logs.forEach(log => {
-         html += '<div class="log-entry ' + log.type + '">';
-         html += '<div class="log-time">' + log.timestamp + '</div>';
-         html += '<div class="log-message">' + log.message + '</div>';
-         html += '</div>';
+       let html = '<div style="overflow-x:auto;"><table class="table"><thead><tr><th></th><th>Session</th><th>Started</th><th>Ended</th><th>Duration</th><th>Bands</th><th>Steps</th><th>Leader</th><th></th></tr></thead><tbody>';
+       data.sessions.forEach(session => {
+         html += '<tr>';
+         html += '<td><input type="checkbox" class="session-pick" value="' + session.id + '"></td>';
+         html += '<td>' + (session.active ? '🟢 ' : '') + escapeHtml(session.name) + '</td>';
+         html += '<td>' + new Date(session.startedAt).toLocaleString() + '</td>';
+         html += '<td>' + (session.endedAt ? new Date(session.endedAt).toLocaleString() : 'running') + '</td>';
+         html += '<td>' + formatTime(Math.floor(session.elapsed / 1000)) + '</td>';
+         html += '<td>' + session.devices + '</td>';
+         html += '<td>' + formatNumber(session.totalSteps) + '</td>';
+         html += '<td>' + (session.leader ? escapeHtml(session.leader.name) + ' (' + formatNumber(session.leader.steps) + ')' : '-') + '</td>';
+         html += '<td><button class="nav-btn" data-id="' + session.id + '" onclick="showSessionResults(this.dataset.id)">Results</button></td>';
+         html += '</tr>';
        });
+       document.getElementById('sessionsTable').innerHTML = html + '</tbody></table></div>';
      }
-     document.getElementById('connectionLogs').innerHTML = html;
+     
+     const running = data.sessions.find(session => session.active);
+     document.getElementById('sessionsStatus').innerHTML = notice || (running
+       ? 'Running: ' + escapeHtml(running.name) + ' for ' + formatTime(Math.floor(running.elapsed / 1000)) + ', ' + formatNumber(running.totalSteps) + ' steps so far'
+       : 'No session running. Steps still count towards the totals.');
    })
    .catch(() => {
-     document.getElementById('connectionLogs').innerHTML = '<div class="empty-state" style="color:#ef4444;">Failed to load logs</div>';
+     document.getElementById('sessionsTable').innerHTML = '<div class="empty-state" style="color:#ef4444;">Failed to load sessions</div>';
    });
 }
 
-function showReceiverDetails(receiverId) {
- fetch('/api/receiver/' + receiverId)
+function updateSchedule(notice) {
+ fetch('/api/schedule')
+   .then(r => r.json())
+   .then(data => {
+     document.getElementById('scheduleTimezone').placeholder = 'Time zone (' + data.timezone + ')';
+     const nights = [];
+     data.schedules.forEach(schedule => schedule.occurrences.forEach(night => nights.push(night)));
+     nights.sort((a, b) => a.start - b.start);
+     if (nights.length === 0) {
+       document.getElementById('scheduleTable').innerHTML = '<div class="empty-state">Nothing scheduled</div>';
+     } else {
+       const icons = { scheduled: '⏳', running: '🟢', done: '✅', missed: '⚠️' };
+       let html = '<div style="overflow-x:auto;"><table class="table"><thead><tr><th>Night</th><th>Starts</th><th>Ends</th><th>Status</th><th>Notes</th><th></th></tr></thead><tbody>';
+       nights.forEach(night => {
+         html += '<tr>';
+         html += '<td>' + escapeHtml(night.name) + '</td>';
+         html += '<td>' + night.localStart + ' <span style="color:#64748b;">' + escapeHtml(night.timezone) + '</span></td>';
+         html += '<td>' + night.localEnd + '</td>';
+         html += '<td>' + icons[night.status] + ' ' + night.status + '</td>';
+         html += '<td style="color:#f59e0b;">' + escapeHtml(night.warning || '') + '</td>';
+         html += '<td>' + (night.night === 1 ? '<button class="nav-btn danger" data-id="' + night.scheduleId + '" onclick="deleteSchedule(this.dataset.id)">Remove schedule</button>' : '') + '</td>';
+         html += '</tr>';
+       });
+       document.getElementById('scheduleTable').innerHTML = html + '</tbody></table></div>';
+     }
+     
+     const next = data.upcoming.find(night => night.status === 'scheduled');
+     document.getElementById('scheduleStatus').innerHTML = notice || (next
+       ? 'Next: ' + escapeHtml(next.name) + ' at ' + next.localStart + ' ' + escapeHtml(next.timezone) + '. Sessions open and close on their own, even after a restart.'
+       : 'Scheduled nights open and close their sessions on their own, even after a restart.');
+   })
+   .catch(() => {
+     document.getElementById('scheduleTable').innerHTML = '<div class="empty-state" style="color:#ef4444;">Failed to load the schedule</div>';
+   });
+}
+
+function createSchedule() {
+ const body = {
+   name: document.getElementById('scheduleName').value.trim(),
+   date: document.getElementById('scheduleDate').value,
+   startTime: document.getElementById('scheduleStart').value,
+   endTime: document.getElementById('scheduleEnd').value,
+   nights: Number(document.getElementById('scheduleNights').value)
+ };
+ const timezone = document.getElementById('scheduleTimezone').value.trim();
+ if (timezone) body.timezone = timezone;
+ 
+ fetch('/api/schedule', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+   .then(r => r.json())
+   .then(data => {
+     if (data.error) {
+       updateSchedule(formatApiErrors(data));
+       return;
+     }
+     document.getElementById('scheduleName').value = '';
+     updateSchedule('<span style="color:#10b981;">' + escapeHtml(data.name) + ' scheduled for ' + data.nights + ' night' + (data.nights > 1 ? 's' : '') + '</span>');
+     updateSessions();
+   })
+   .catch(() => alert('Failed to save the schedule'));
+}
+
+function deleteSchedule(id) {
+ if (!confirm('Remove this schedule? A night that is running keeps its session until you stop it.')) return;
+ fetch('/api/schedule/' + id, { method: 'DELETE' })
+   .then(r => r.json())
+   .then(data => updateSchedule(data.error ? formatApiErrors(data) : '<span style="color:#10b981;">' + escapeHtml(data.removed.name) + ' removed</span>'))
+   .catch(() => alert('Failed to remove the schedule'));
+}
+
+function startSession() {
+ const name = document.getElementById('sessionName').value.trim();
+ if (!name) {
+   alert('Enter a session name first');
+   return;
+ }
+ fetch('/api/sessions', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: name }) })
+   .then(r => r.json())
+   .then(data => {
+     if (data.error) {
+       updateSessions(formatApiErrors(data));
+       return;
+     }
+     document.getElementById('sessionName').value = '';
+     updateSessions('<span style="color:#10b981;">' + escapeHtml(data.name) + ' started</span>');
+   })
+   .catch(() => alert('Failed to start the session'));
+}
+
+function stopSession() {
+ if (runningSessionId === null) {
+   alert('No session is running');
+   return;
+ }
+ if (!confirm('Stop the running session and archive its standings?')) return;
+ fetch('/api/sessions/' + runningSessionId + '/stop', { method: 'POST' })
    .then(r => r.json())
    .then(data => {
-     document.getElementById('receiverDetailsTitle').textContent = '📡 Receiver ' + receiverId + ' Details';
+     if (data.error) {
+       updateSessions(formatApiErrors(data));
+       return;
+     }
+     updateSessions('<span style="color:#10b981;">' + escapeHtml(data.name) + ' archived with ' + formatNumber(data.totalSteps) + ' steps</span>');
+     showSessionResults(data.id);
+   })
+   .catch(() => alert('Failed to stop the session'));
+}
+
+function showSessionResults(id) {
+ fetch('/api/sessions/' + id)
+   .then(r => r.json().then(data => ({ ok: r.ok, data })))
+   .then(({ ok, data }) => {
+     if (!ok) throw new Error(data.error);
+     document.getElementById('sessionResultsTitle').textContent = '🏆 ' + data.name + (data.active ? ' (live)' : '');
+     if (data.standings.length === 0) {
+       document.getElementById('sessionResults').innerHTML = '<div class="empty-state">No steps in this session</div>';
+       return;
+     }
+     let html = '<div style="overflow-x:auto;"><table class="table"><thead><tr><th>#</th><th>Band</th><th>MAC</th><th>Steps</th></tr></thead><tbody>';
+     data.standings.forEach(entry => {
+       html += '<tr><td>' + entry.rank + '</td><td>📱 ' + escapeHtml(entry.name) + '</td><td>' + entry.deviceId + '</td><td>' + formatNumber(entry.steps) + '</td></tr>';
+     });
+     html += '</tbody></table></div>';
+     if (data.participants.length > 0) {
+       html += '<h4 style="margin:1.5rem 0 1rem; color:#f8fafc;">🎟️ Participants (' + data.participants.length + ')</h4>';
+       html += '<div style="overflow-x:auto;"><table class="table"><thead><tr><th>#</th><th>Name</th><th>Team</th><th>Bands</th><th>Steps</th></tr></thead><tbody>';
+       data.participants.forEach(entry => {
+         html += '<tr><td>' + entry.rank + '</td><td>' + escapeHtml(entry.name) + '</td><td>' + escapeHtml(entry.team || '-') + '</td><td>' + escapeHtml(entry.bands.join(', ')) + '</td><td>' + formatNumber(entry.steps) + '</td></tr>';
+       });
+       html += '</tbody></table></div>';
+     }
+     document.getElementById('sessionResults').innerHTML = html;
+   })
+   .catch(err => {
+     document.getElementById('sessionResults').innerHTML = '<div class="empty-state" style="color:#ef4444;">Error loading results: ' + err.message + '</div>';
+   });
+}
+
+function compareSessions() {
+ const ids = Array.from(document.querySelectorAll('.session-pick:checked')).map(box => box.value);
+ if (ids.length < 2) {
+   alert('Tick at least two sessions to compare');
+   return;
+ }
+ fetch('/api/sessions/compare?ids=' + ids.join(','))
+   .then(r => r.json().then(data => ({ ok: r.ok, data })))
+   .then(({ ok, data }) => {
+     if (!ok) throw new Error(data.error);
+     document.getElementById('sessionResultsTitle').textContent = '📊 ' + data.sessions.map(session => session.name).join(' vs ');
+     let html = '<div style="overflow-x:auto;"><table class="table"><thead><tr><th>Band</th>';
+     data.sessions.forEach(session => { html += '<th>' + escapeHtml(session.name) + '</th>'; });
+     html += '<th>Total</th></tr></thead><tbody>';
+     html += '<tr style="font-weight:bold;"><td>All bands</td>';
+     data.sessions.forEach(session => { html += '<td>' + formatNumber(session.totalSteps) + ' <span style="color:#94a3b8;">(' + session.devices + ' bands, avg ' + formatNumber(session.averageSteps) + ')</span></td>'; });
+     html += '<td>' + formatNumber(data.sessions.reduce((sum, session) => sum + session.totalSteps, 0)) + '</td></tr>';
+     data.bands.forEach(band => {
+       html += '<tr><td>📱 ' + escapeHtml(band.name) + '</td>';
+       data.sessions.forEach(session => { html += '<td>' + (band.steps[session.id] ? formatNumber(band.steps[session.id]) : '-') + '</td>'; });
+       html += '<td>' + formatNumber(band.total) + '</td></tr>';
+     });
+     document.getElementById('sessionResults').innerHTML = html + '</tbody></table></div>';
+   })
+   .catch(err => {
+     document.getElementById('sessionResults').innerHTML = '<div class="empty-state" style="color:#ef4444;">Error comparing sessions: ' + err.message + '</div>';
+   });
+}
+
+let currentDeviceId = null;
+
+function showDeviceDetails(deviceId) {
+  currentDeviceId = deviceId;
+  document.getElementById('deviceDetailsTitle').textContent = '📱 Device ' + deviceId.substring(9) + ' over time';
+  showView('device-details');
+  loadDeviceTimeseries();
+}
+
+function loadDeviceTimeseries() {
+  const hours = Number(document.getElementById('timeseriesRange').value);
+  const to = Date.now();
+  fetch('/api/devices/' + currentDeviceId + '/timeseries?from=' + (to - hours * 3600000) + '&to=' + to)
+    .then(r => r.json().then(data => ({ ok: r.ok, data })))
+    .then(({ ok, data }) => {
+      if (!ok) throw new Error(data.error);
+      document.getElementById('deviceDetailsTitle').textContent = '📱 ' + data.name + ' over time';
+      let html = '<div style="color:#94a3b8; font-size:0.9rem; margin-bottom:1rem;">' + formatNumber(data.points.length) + ' points at ' + data.resolution + ' resolution' + (data.truncated ? ' (truncated)' : '') +
+        ' • <span style="color:#10b981;">■</span> total steps • <span style="color:#3b82f6;">■</span> battery %</div>';
+      html += timeseriesChart(data.points, data.from, data.to);
+      document.getElementById('deviceDetailsContent').innerHTML = html;
+    })
+    .catch(err => {
+      document.getElementById('deviceDetailsContent').innerHTML = '<div class="empty-state" style="color:#ef4444;">Error loading time series: ' + err.message + '</div>';
+    });
+}
+
+// Steps on the left axis, battery (0-100%) on the right
+function timeseriesChart(points, from, to) {
+  if (points.length === 0) return '<div class="empty-state">No samples in this range</div>';
+  const width = 900, height = 280, left = 60, right = 45, top = 10, bottom = 30;
+  const plotWidth = width - left - right, plotHeight = height - top - bottom;
+  const maxSteps = Math.max(...points.map(p => p.lifetimeSteps), 1);
+  const x = t => left + ((t - from) / Math.max(to - from, 1)) * plotWidth;
+  const ySteps = v => top + plotHeight - (v / maxSteps) * plotHeight;
+  const yBattery = v => top + plotHeight - (v / 100) * plotHeight;
+  
+  const stepsLine = points.map(p => x(p.time).toFixed(1) + ',' + ySteps(p.lifetimeSteps).toFixed(1)).join(' ');
+  const batteryLine = points.filter(p => p.batteryLevel !== null).map(p => x(p.time).toFixed(1) + ',' + yBattery(p.batteryLevel).toFixed(1)).join(' ');
+  
+  let svg = '<svg viewBox="0 0 ' + width + ' ' + height + '" style="width:100%; max-width:' + width + 'px; background:rgba(15,23,42,0.7); border-radius:8px;">';
+  [0, 0.5, 1].forEach(f => {
+    const y = top + plotHeight - f * plotHeight;
+    svg += '<line x1="' + left + '" x2="' + (width - right) + '" y1="' + y + '" y2="' + y + '" stroke="#334155" stroke-dasharray="4"/>';
+    svg += '<text x="' + (left - 6) + '" y="' + (y + 4) + '" fill="#10b981" font-size="11" text-anchor="end">' + formatNumber(Math.round(maxSteps * f)) + '</text>';
+    svg += '<text x="' + (width - right + 6) + '" y="' + (y + 4) + '" fill="#3b82f6" font-size="11">' + Math.round(100 * f) + '%</text>';
+  });
+  [from, (from + to) / 2, to].forEach((t, i) => {
+    svg += '<text x="' + x(t) + '" y="' + (height - 8) + '" fill="#94a3b8" font-size="11" text-anchor="' + ['start', 'middle', 'end'][i] + '">' + new Date(t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) + '</text>';
+  });
+  if (batteryLine) svg += '<polyline fill="none" stroke="#3b82f6" stroke-width="1.5" points="' + batteryLine + '"/>';
+  svg += '<polyline fill="none" stroke="#10b981" stroke-width="2" points="' + stepsLine + '"/>';
+  svg += '</svg>';
+  return svg;
+}
+
+function showReceiverDetails(receiverId) {
+ fetch('/api/receiver/' + encodeURIComponent(receiverId))
+   .then(r => r.json().then(data => ({ ok: r.ok, data })))
+   .then(({ ok, data }) => {
+     if (!ok) throw new Error(data.error);
+     document.getElementById('receiverDetailsTitle').textContent = '📡 Receiver ' + data.name + (data.zone ? ' (' + data.zone + ')' : '') + ' Details';
      
      let html = '<div class="stats-grid" style="margin-bottom:2rem;">';
      html += '<div class="stat-card"><div class="stat-value">' + data.deviceCount + '</div><div class="stat-label">Connected Devices</div></div>';
      html += '<div class="stat-card"><div class="stat-value">' + formatNumber(data.totalSteps) + '</div><div class="stat-label">Total Steps</div></div>';
      html += '<div class="stat-card"><div class="stat-value">' + data.lastSeen + 's</div><div class="stat-label">Last Seen</div></div>';
      html += '<div class="stat-card"><div class="stat-value" style="font-size:1rem;">' + data.firstSeen + '</div><div class="stat-label">First Connected</div></div>';
+     html += '<div class="stat-card"><div class="stat-value" style="font-size:1rem;">' + formatRejections(data.ingest) + '</div><div class="stat-label">Rejected (' + formatNumber(data.ingest.acceptedEntries) + ' accepted)</div></div>';
+     html += '<div class="stat-card"><div class="stat-value" style="font-size:1rem;">' + formatBackfill(data.backfill) + '</div><div class="stat-label">Backfill' + (data.backfill.lastUploadAt ? ' (last ' + new Date(data.backfill.lastUploadAt).toLocaleTimeString() + ')' : '') + '</div></div>';
+     html += '<div class="stat-card"><div class="stat-value" style="font-size:1rem;">' + (data.clock.synced ? data.clock.lastDelay + ' ms' : 'Not synced') + '</div><div class="stat-label">Network Delay' + (data.clock.synced ? ' (booted ' + data.clock.bootedAt + ')' : '') + '</div></div>';
      html += '</div>';
      
      html += '<h4 style="margin-bottom:1rem; color:#f8fafc;">Connected Devices:</h4>';
@@ -2170,7 +7188,7 @@ function showReceiverDetails(receiverId) {
        
        data.devices.forEach(device => {
          html += '<tr>';
-         html += '<td>📱 ' + device.name + '</td>';
+         html += '<td>📱 ' + escapeHtml(device.name) + '</td>';
          html += '<td><strong style="color:#10b981;">' + formatNumber(device.stepCount) + '</strong></td>';
          html += '<td style="color:#f59e0b;">' + formatNumber(device.peakSteps) + '</td>';
          html += '<td>' + device.batteryLevel + '%</td>';
@@ -2235,10 +7253,10 @@ function refreshLogs() {
  updateLogs();
 }
 
-// Auto-refresh every 3 seconds (except on receiver details page)
+// Auto-refresh every 3 seconds (except on the details and editing pages)
 setInterval(() => {
- if (currentView !== 'receiver-details') {
-   loadViewData(currentView);
+ if (currentView !== 'receiver-details' && currentView !== 'device-details' && currentView !== 'settings' && currentView !== 'participants' && currentView !== 'locations' && currentView !== 'sessions') {
+   loadViewData(currentView, true);
  }
 }, 3000);
 
@@ -2249,11 +7267,215 @@ updateOverview();
  `);
 });
 
+// Check-out desk: hand bands out and take them back by band number
+app.get('/desk', (req, res) => {
+  res.send(`
+<!DOCTYPE html>
+<html><head>
+<title>Band Desk - Garba Step Counter</title>
+<meta name='viewport' content='width=device-width, initial-scale=1'>
+<style>
+* { margin: 0; padding: 0; box-sizing: border-box; }
+body { 
+  font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
+  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+  min-height: 100vh; 
+  padding: 1.5rem;
+}
+.container { max-width: 1100px; margin: 0 auto; }
+.title { color: white; font-size: 2rem; font-weight: 800; margin-bottom: 1rem; }
+.title a { color: white; font-size: 1rem; font-weight: normal; margin-left: 1rem; }
+.panels { display: grid; grid-template-columns: 2fr 1fr; gap: 1rem; margin-bottom: 1rem; }
+.panel { background: rgba(255, 255, 255, 0.95); border-radius: 15px; padding: 1.5rem; box-shadow: 0 10px 30px rgba(0, 0, 0, 0.2); }
+.panel h2 { font-size: 1.2rem; color: #4c1d95; margin-bottom: 1rem; }
+.fields { display: grid; grid-template-columns: 1fr 1fr; gap: 0.75rem; }
+label { display: block; font-size: 0.85rem; color: #475569; }
+input { width: 100%; padding: 0.6rem; font-size: 1.1rem; border: 2px solid #cbd5e1; border-radius: 8px; margin-top: 0.2rem; }
+input:focus { outline: none; border-color: #667eea; }
+input.band { font-size: 2rem; font-weight: 800; text-align: center; }
+button { padding: 0.7rem 1.2rem; font-size: 1.1rem; font-weight: 700; border: none; border-radius: 8px; cursor: pointer; color: white; margin-top: 1rem; }
+.out { background: #059669; }
+.in { background: #d97706; }
+.swap { background: #7c3aed; }
+.undo { background: #64748b; }
+.small { padding: 0.3rem 0.8rem; font-size: 0.9rem; margin: 0; }
+.hint { font-size: 0.8rem; color: #64748b; margin-top: 0.5rem; }
+#message { min-height: 3rem; margin-bottom: 1rem; padding: 0.8rem 1rem; border-radius: 10px; font-size: 1.1rem; font-weight: 600; display: none; }
+#message.ok { display: block; background: #d1fae5; color: #065f46; }
+#message.error { display: block; background: #fee2e2; color: #991b1b; }
+table { width: 100%; border-collapse: collapse; }
+th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #e2e8f0; }
+th { font-size: 0.8rem; color: #64748b; text-transform: uppercase; }
+td.steps { font-weight: 700; color: #4c1d95; }
+.note { font-size: 0.75rem; color: #64748b; }
+.empty { color: #94a3b8; text-align: center; padding: 1rem; }
+@media (max-width: 800px) { .panels, .fields { grid-template-columns: 1fr; } }
+</style>
+</head><body>
+<div class='container'>
+  <div class='title'>🎟️ Band Desk <a href='/debug'>Debug Console</a><a href='/'>Dashboard</a></div>
+  <div id='message'></div>
+  
+  <div class='panels'>
+    <div class='panel'>
+      <h2>Check out</h2>
+      <div class='fields'>
+        <label>Band number<input id='outBand' class='band' inputmode='numeric' autofocus></label>
+        <label>Phone<input id='outPhone' type='tel'></label>
+        <label>Name<input id='outName'></label>
+        <label>Team<input id='outTeam'></label>
+        <label>Category<input id='outCategory'></label>
+      </div>
+      <button class='out' onclick='checkOut()'>✅ Check out</button>
+      <div class='hint'>Been here before? Band number and phone are enough.</div>
+    </div>
+    <div class='panel'>
+      <h2>Return</h2>
+      <label>Band number<input id='inBand' class='band' inputmode='numeric'></label>
+      <button class='in' onclick='returnBand(document.getElementById("inBand").value)'>↩️ Return</button>
+      <h2 style='margin-top: 1.5rem;'>Swap a dead band</h2>
+      <div class='fields'>
+        <label>Old band<input id='swapFrom' class='band' inputmode='numeric'></label>
+        <label>New band<input id='swapTo' class='band' inputmode='numeric'></label>
+      </div>
+      <button class='swap' onclick='swapBand()'>🔁 Swap</button>
+      <div class='hint'>The dancer keeps their steps on the new band.</div>
+    </div>
+  </div>
+  
+  <div class='panel' style='margin-bottom: 1rem;'>
+    <h2>Checked out now (<span id='openCount'>0</span>)</h2>
+    <table>
+      <thead><tr><th>Band</th><th>Name</th><th>Phone</th><th>Team</th><th>Since</th><th>Steps</th><th></th></tr></thead>
+      <tbody id='openList'><tr><td colspan='7' class='empty'>Loading...</td></tr></tbody>
+    </table>
+  </div>
+  
+  <div class='panel'>
+    <h2>Recently returned</h2>
+    <table>
+      <thead><tr><th>Band</th><th>Name</th><th>Out</th><th>Returned</th><th>Steps</th></tr></thead>
+      <tbody id='returnedList'><tr><td colspan='5' class='empty'>Loading...</td></tr></tbody>
+    </table>
+  </div>
+</div>
+
+<script>
+${CLIENT_HELPERS}
+
+function formatClock(time) {
+  return new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function showMessage(text, ok) {
+  const message = document.getElementById('message');
+  message.textContent = text;
+  message.className = ok ? 'ok' : 'error';
+}
+
+function errorText(data) {
+  if (data.errors) return data.errors.map(function (e) { return e.message; }).join('; ');
+  return data.error || 'Request failed';
+}
+
+function post(url, body) {
+  return fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+    .then(function (r) { return r.json().then(function (data) { return { ok: r.ok, data: data }; }); });
+}
+
+function checkOut() {
+  const body = { band: document.getElementById('outBand').value.trim() };
+  ['phone', 'name', 'team', 'category'].forEach(function (field) {
+    const value = document.getElementById('out' + field.charAt(0).toUpperCase() + field.slice(1)).value.trim();
+    if (value) body[field] = value;
+  });
+  
+  post('/api/assignments/checkout', body).then(function (result) {
+    if (!result.ok) return showMessage('❌ ' + errorText(result.data), false);
+    showMessage('✅ Band ' + result.data.label + ' checked out to ' + result.data.name, true);
+    ['outBand', 'outPhone', 'outName', 'outTeam', 'outCategory'].forEach(function (id) { document.getElementById(id).value = ''; });
+    document.getElementById('outBand').focus();
+    loadDesk();
+  }).catch(function () { showMessage('❌ Server not reachable', false); });
+}
+
+function returnBand(band) {
+  post('/api/assignments/return', { band: String(band).trim() }).then(function (result) {
+    if (!result.ok) return showMessage('❌ ' + errorText(result.data), false);
+    showMessage('↩️ Band ' + result.data.label + ' returned by ' + result.data.name + ' with ' + result.data.totalSteps.toLocaleString() + ' steps', true);
+    document.getElementById('inBand').value = '';
+    document.getElementById('inBand').focus();
+    loadDesk();
+  }).catch(function () { showMessage('❌ Server not reachable', false); });
+}
+
+function swapBand() {
+  const body = { from: document.getElementById('swapFrom').value.trim(), to: document.getElementById('swapTo').value.trim() };
+  post('/api/assignments/swap', body).then(function (result) {
+    if (!result.ok) return showMessage('❌ ' + errorText(result.data), false);
+    showMessage('🔁 ' + result.data.name + ' now wears band ' + result.data.label + ' (was ' + result.data.previous.label + '), ' + result.data.totalSteps.toLocaleString() + ' steps carried over', true);
+    document.getElementById('swapFrom').value = '';
+    document.getElementById('swapTo').value = '';
+    loadDesk();
+  }).catch(function () { showMessage('❌ Server not reachable', false); });
+}
+
+function undoSwap(id, label) {
+  if (!confirm('Undo the swap to band ' + label + '? The steps go back to the old band.')) return;
+  post('/api/assignments/' + id + '/undo-swap', {}).then(function (result) {
+    if (!result.ok) return showMessage('❌ ' + errorText(result.data), false);
+    showMessage('↩️ Swap undone, ' + result.data.name + ' is back on band ' + result.data.label, true);
+    loadDesk();
+  }).catch(function () { showMessage('❌ Server not reachable', false); });
+}
+
+function loadDesk() {
+  fetch('/api/assignments?open=true&limit=1000').then(function (r) { return r.json(); }).then(function (data) {
+    document.getElementById('openCount').textContent = data.count;
+    document.getElementById('openList').innerHTML = data.assignments.length === 0
+      ? '<tr><td colspan="7" class="empty">No bands out</td></tr>'
+      : data.assignments.map(function (a) {
+        return '<tr><td><strong>' + escapeHtml(a.label) + '</strong></td><td>' + escapeHtml(a.name) + '</td><td>' + escapeHtml(a.phone) +
+          '</td><td>' + escapeHtml(a.team) + '</td><td>' + formatClock(a.start) + (a.swappedFrom !== null ? '<br><span class="note">🔁 swapped in</span>' : '') +
+          '</td><td class="steps">' + a.totalSteps.toLocaleString() +
+          '</td><td><button class="in small" data-band="' + escapeHtml(a.bandNumber !== null ? a.bandNumber : a.deviceId) + '" onclick="returnBand(this.dataset.band)">Return</button>' +
+          (a.swappedFrom !== null ? ' <button class="undo small" data-id="' + a.id + '" data-label="' + escapeHtml(a.label) + '" onclick="undoSwap(this.dataset.id, this.dataset.label)">Undo swap</button>' : '') + '</td></tr>';
+      }).join('');
+  });
+  
+  fetch('/api/assignments?open=false&limit=15').then(function (r) { return r.json(); }).then(function (data) {
+    document.getElementById('returnedList').innerHTML = data.assignments.length === 0
+      ? '<tr><td colspan="5" class="empty">Nothing returned yet</td></tr>'
+      : data.assignments.map(function (a) {
+        return '<tr><td><strong>' + escapeHtml(a.label) + '</strong></td><td>' + escapeHtml(a.name) + '</td><td>' + formatClock(a.start) +
+          '</td><td>' + formatClock(a.end) + (a.swappedTo !== null ? '<br><span class="note">🔁 swapped out</span>' : '') + '</td><td class="steps">' + a.totalSteps.toLocaleString() + '</td></tr>';
+      }).join('');
+  });
+}
+
+// Enter submits, like a barcode scanner would
+document.getElementById('outBand').addEventListener('keydown', function (e) { if (e.key === 'Enter') document.getElementById('outPhone').focus(); });
+['outPhone', 'outName', 'outTeam', 'outCategory'].forEach(function (id) {
+  document.getElementById(id).addEventListener('keydown', function (e) { if (e.key === 'Enter') checkOut(); });
+});
+document.getElementById('inBand').addEventListener('keydown', function (e) { if (e.key === 'Enter') returnBand(this.value); });
+document.getElementById('swapFrom').addEventListener('keydown', function (e) { if (e.key === 'Enter') document.getElementById('swapTo').focus(); });
+document.getElementById('swapTo').addEventListener('keydown', function (e) { if (e.key === 'Enter') swapBand(); });
+
+loadDesk();
+setInterval(loadDesk, 5000);
+</script>
+</body></html>
+  `);
+});
+
 
 // Graceful shutdown handlers - ADD these before app.listen()
 process.on('SIGINT', async () => {
   console.log('\n🔄 Received SIGINT, saving data before shutdown...');
   await saveHistoryData();
+  journal.close();
+  logStore.close();
   console.log('✅ Data saved successfully');
   process.exit(0);
 });
@@ -2261,23 +7483,43 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
   console.log('\n🔄 Received SIGTERM, saving data before shutdown...');
   await saveHistoryData();
+  journal.close();
+  logStore.close();
   console.log('✅ Data saved successfully');
   process.exit(0);
 });
 
-// Save data every 5 minutes automatically
-setInterval(async () => {
-  await saveHistoryData();
-}, 300000); // 5 minutes
-
 // ============================================================================
 // SERVER STARTUP
 // ============================================================================
 
-// Cleanup and statistics intervals
-setInterval(cleanupOldData, 30000);     // Every 30 seconds
-setInterval(updateStatistics, 5000);    // Every 5 seconds
-setInterval(recordSystemHistory, 60000); // Every 1 minute
+// Cleanup, statistics, history and autosave follow the config and are
+// restarted when one of their intervals is changed at runtime
+const configTimers = {
+  cleanupIntervalMs: { run: cleanupOldData, timer: null },
+  statisticsIntervalMs: { run: updateStatistics, timer: null },
+  systemHistoryIntervalMs: { run: recordSystemHistory, timer: null },
+  autosaveIntervalMs: { run: () => saveHistoryData(), timer: null }
+};
+
+function scheduleConfigTimer(key) {
+  const entry = configTimers[key];
+  clearInterval(entry.timer);
+  entry.timer = setInterval(entry.run, config.values[key]);
+}
+
+for (const key of Object.keys(configTimers)) scheduleConfigTimer(key);
+
+// Everything else reads config.values when it needs it
+function applyConfigChange({ key, previous, value }, by) {
+  if (configTimers[key]) scheduleConfigTimer(key);
+  addLog('config-change', `Setting ${key} changed from ${previous} to ${value}`, { key, previous, value, by });
+}
+setInterval(flushDeviceSamples, SAMPLE_FLUSH_INTERVAL_MS);
+setInterval(rollupTimeseries, TIMESERIES_ROLLUP_INTERVAL_MS);
+if (BACKUP_CONFIG.interval > 0) setInterval(runScheduledSnapshot, BACKUP_CONFIG.interval);
+setInterval(pruneRotatedFiles, JOURNAL_PRUNE_INTERVAL_MS);
+setInterval(runSessionSchedule, SCHEDULE_CHECK_INTERVAL_MS);
 
 // Start server
 app.listen(PORT, '0.0.0.0', async () => {
@@ -2286,7 +7528,49 @@ app.listen(PORT, '0.0.0.0', async () => {
   
   // Load historical data first
   console.log('📚 Loading historical data...');
-  await loadHistoryData();
+  try {
+    await loadHistoryData();
+  } catch (error) {
+    console.error('❌ Failed to load stored data, not starting without it:', error);
+    process.exit(1);
+  }
+  pruneRotatedFiles();
+  
+  if (storage.quarantine) {
+    restoreInProgress = true;
+    try {
+      const restored = await restoreNewestSnapshot();
+      storageRecovery = { quarantine: storage.quarantine, restoredSnapshot: restored ? restored.name : null };
+      addLog('system', `Database was corrupt (${storage.quarantine.reason}) and moved to ${DATA_DIR}/quarantine/ - ${restored ? `restored snapshot ${restored.name} from ${new Date(restored.createdAt).toLocaleString()}` : 'no snapshot to restore, starting empty'}`, storageRecovery);
+      if (restored) console.log(`♻️ Restored snapshot ${restored.name} into the new database`);
+      else console.error('❌ No snapshot to restore, the new database starts empty');
+    } catch (error) {
+      console.error('❌ Snapshot restore after quarantine failed:', error);
+    } finally {
+      restoreInProgress = false;
+    }
+  }
+  
+  if (JOURNAL_CONFIG.replayOnStart) {
+    const until = JOURNAL_CONFIG.replayOnStart === 'now' ? Date.now() : parseTimeParam(JOURNAL_CONFIG.replayOnStart, NaN);
+    if (Number.isNaN(until)) {
+      console.error(`❌ JOURNAL_REPLAY=${JOURNAL_CONFIG.replayOnStart} is not a time, skipping the replay`);
+    } else {
+      restoreInProgress = true;
+      try {
+        await rebuildFromJournal(until);
+      } catch (error) {
+        console.error('❌ Journal replay failed:', error);
+      } finally {
+        restoreInProgress = false;
+      }
+    }
+  }
+  
+  serverReady = true;
+  startUdpListener();
+  await startMqtt();
+  await runSessionSchedule();
   
   console.log('\n' + '='.repeat(60));
   console.log('   🎪 FRESH GARBA STEP COUNTER SERVER 🎪   ');
@@ -2296,11 +7580,17 @@ app.listen(PORT, '0.0.0.0', async () => {
   console.log(`🎯 PC Domain: http://${pcName}.local:${PORT}`);
   console.log(`📊 Dashboard: http://${localIP}:${PORT}/`);
   console.log(`🔧 Debug Console: http://${localIP}:${PORT}/debug`);
+  console.log(`🎟️ Band Desk: http://${localIP}:${PORT}/desk`);
   console.log('='.repeat(60));
   console.log(`✅ Use in ESP8266: ${localIP}:${PORT}`);
   console.log(`✅ Alternative: ${pcName}.local:${PORT}`);
+  console.log(`✅ UDP reports: ${localIP}:${UDP_PORT}`);
+  if (mqttBroker) console.log(`✅ MQTT broker: mqtt://${localIP}:${mqttBroker.port} (topic garba/receiver/<mac>/devices)`);
+  if (mqttBridge && MQTT_CONFIG.publishInterval > 0) console.log(`✅ MQTT live state: ${MQTT_CONFIG.publishPrefix}/totals, ${MQTT_CONFIG.publishPrefix}/devices/<mac>, ${MQTT_CONFIG.publishPrefix}/events/<event>`);
+  if (BACKUP_CONFIG.interval > 0) console.log(`✅ Snapshots: every ${Math.round(BACKUP_CONFIG.interval / 1000)}s to ${BACKUP_CONFIG.dir}/ (keeping ${BACKUP_CONFIG.retention})`);
+  console.log(`✅ Journal: ${JOURNAL_CONFIG.dir}/ (rotating at ${Math.round(JOURNAL_CONFIG.rotateBytes / 1048576)} MB${JOURNAL_CONFIG.retentionDays ? `, keeping ${JOURNAL_CONFIG.retentionDays} days` : ''})`);
   console.log('✅ Ready for enhanced device tracking!');
-  console.log(`💾 Data persistence enabled - history saved to ./data/`);
+  console.log(`💾 Data persistence enabled - ${storage.engine} storage in ${DATA_DIR}/`);
   console.log('='.repeat(60));
   console.log('✅ Debug route registered at /debug');
   addLog('system', `Server started on ${localIP}:${PORT} with data persistence`);
@@ -0,0 +1,1164 @@
+const fsSync = require('fs');
+const fs = fsSync.promises;
+const path = require('path');
+
+// ============================================================================
+// STORAGE ENGINES
+// ============================================================================
+//
+// server.js keeps working on its in-memory Maps; an engine persists them.
+// Both engines have the same shape:
+//
+//   load()                          -> { deviceHistory, offlineDevices, systemHistory,
+//                                        receiverTelemetry, connectionLogs, participants,
+//                                        receiverRegistry, admission, assignments, sessions,
+//                                        schedules }
+//   save(state)                     snapshot of the Maps (devices, offline devices, receivers)
+//   appendSystemRecord(record)      one recordSystemHistory() entry
+//   adjustSystemHistory(since, n)   add n steps to records taken at or after `since`
+//   appendLog(log)                  one addLog() entry
+//   appendSamples(samples)          device step samples
+//   rollupSamples(now)              refresh the 1-minute and 1-hour tiers, apply retention
+//   querySamples(id, from, to, res) one device's curve, or null if the engine keeps none
+//   appendTelemetry(id, sample)     one receiver heartbeat
+//   saveParticipants(participants)  the whole band registry (Map keyed by device MAC)
+//   saveReceiverRegistry(registry)  receiver names and locations (Map keyed by receiver MAC)
+//   saveAdmission(admission)        allowed, blocked and quarantined devices (Map keyed by device MAC)
+//   saveAssignments(assignments)    every band check-out, open or returned (Map keyed by id)
+//   saveSessions(sessions)          named event sessions, running or archived (Map keyed by id)
+//   saveSchedules(schedules)        sessions planned ahead and their nights (Map keyed by id)
+//   restore(state)                  replace the saved state and system history with a snapshot's
+//   clearHistory()                  what POST /api/clear-history drops
+//   reset()                         everything but the registries, admission lists, assignments,
+//                                   sessions and schedules
+//   info()                          what /api/data-info shows
+//   quarantine                      { time, reason, files } when this start moved a corrupt
+//                                   database aside and began an empty one, else null
+//
+// The JSON engine only ever writes snapshots, so the append* calls are no-ops
+// there and history beyond the in-memory caps is lost, as it always was.
+
+// Defaults for what load() brings back into memory; server.js passes its
+// configured caps
+const SYSTEM_HISTORY_CACHE = 500;
+const LOG_CACHE = 200;
+const TELEMETRY_CACHE = 720;
+
+// Raw samples are rolled up into per-minute and per-hour buckets; each tier
+// is kept for its own retention
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+const TIMESERIES_TIERS = {
+  raw: { table: 'samples', bucket: 0, retention: DAY },
+  '1m': { table: 'samples_1m', bucket: 60000, retention: 7 * DAY },
+  '1h': { table: 'samples_1h', bucket: HOUR, retention: 365 * DAY }
+};
+const MAX_TIMESERIES_POINTS = 5000;
+
+// ----------------------------------------------------------------------------
+// JSON files (the original ./data layout)
+// ----------------------------------------------------------------------------
+
+// Every file is replaced atomically: written to <file>.tmp and fsynced, the
+// live file kept as <file>.prev, then the temp file renamed into place. A
+// crash at any point leaves either the new file or the previous one intact.
+async function writeFileAtomic(file, contents) {
+  const tmp = `${file}.tmp`;
+  const handle = await fs.open(tmp, 'w');
+  try {
+    await handle.writeFile(contents);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(file, `${file}.prev`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  await fs.rename(tmp, file);
+
+  // Make the renames themselves durable (not supported on Windows)
+  try {
+    const dir = await fs.open(path.dirname(file), 'r');
+    try {
+      await dir.sync();
+    } finally {
+      await dir.close();
+    }
+  } catch (error) {
+    // Directory fsync is best effort
+  }
+}
+
+// Moves an unreadable file aside so it is neither loaded nor overwritten
+async function quarantineFile(file, dataDir) {
+  const quarantineDir = path.join(dataDir, 'quarantine');
+  await fs.mkdir(quarantineDir, { recursive: true });
+  const target = path.join(quarantineDir, `${path.basename(file)}.${new Date().toISOString().replace(/[:.]/g, '-')}`);
+  await fs.rename(file, target);
+  return target;
+}
+
+function createJsonStorage(dataDir, { systemHistoryCache = SYSTEM_HISTORY_CACHE } = {}) {
+  const files = {
+    deviceHistory: path.join(dataDir, 'device_history.json'),
+    systemHistory: path.join(dataDir, 'system_history.json'),
+    offlineDevices: path.join(dataDir, 'offline_devices.json'),
+    receiverTelemetry: path.join(dataDir, 'receiver_telemetry.json'),
+    participants: path.join(dataDir, 'participants.json'),
+    receiverRegistry: path.join(dataDir, 'receiver_registry.json'),
+    admission: path.join(dataDir, 'admission.json'),
+    assignments: path.join(dataDir, 'assignments.json'),
+    sessions: path.join(dataDir, 'sessions.json'),
+    schedules: path.join(dataDir, 'schedules.json')
+  };
+
+  // name -> { generation: 'current' | 'previous' | 'none', file, quarantined: [] }
+  const loaded = {};
+
+  // Current generation first, then the previous one. Files that exist but do
+  // not parse are quarantined; a missing current file with a .prev next to it
+  // means the last save died between its two renames.
+  async function readGeneration(name, fallback) {
+    const status = { generation: 'none', file: null, quarantined: [] };
+    loaded[name] = status;
+
+    for (const [generation, file] of [['current', files[name]], ['previous', `${files[name]}.prev`]]) {
+      let contents;
+      try {
+        contents = await fs.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      try {
+        const data = JSON.parse(contents);
+        status.generation = generation;
+        status.file = file;
+        if (generation === 'previous') {
+          console.log(`♻️ Recovered ${path.basename(files[name])} from the previous generation`);
+        }
+        return data;
+      } catch (error) {
+        const target = await quarantineFile(file, dataDir);
+        status.quarantined.push(target);
+        console.error(`❌ ${path.basename(file)} is corrupt (${error.message}), moved to ${target}`);
+      }
+    }
+
+    if (status.quarantined.length > 0) {
+      console.error(`❌ No readable generation of ${path.basename(files[name])} left, starting it empty`);
+    }
+    return fallback;
+  }
+
+  // Saves run one at a time so two never share a temp file
+  let writing = Promise.resolve();
+
+  function writeAll(state) {
+    const write = async () => {
+      await fs.mkdir(dataDir, { recursive: true });
+      await writeFileAtomic(files.deviceHistory, JSON.stringify(Object.fromEntries(state.deviceHistory), null, 2));
+      await writeFileAtomic(files.systemHistory, JSON.stringify(state.systemHistory.slice(0, systemHistoryCache), null, 2));
+      await writeFileAtomic(files.offlineDevices, JSON.stringify(Object.fromEntries(state.offlineDevices), null, 2));
+      await writeFileAtomic(files.receiverTelemetry, JSON.stringify(Object.fromEntries(state.receiverTelemetry), null, 2));
+    };
+    writing = writing.then(write, write);
+    return writing;
+  }
+
+  // The registries are saved on their own, whenever an entry changes
+  function writeRegistry(name, registry) {
+    const write = async () => {
+      await fs.mkdir(dataDir, { recursive: true });
+      await writeFileAtomic(files[name], JSON.stringify(Object.fromEntries(registry), null, 2));
+    };
+    writing = writing.then(write, write);
+    return writing;
+  }
+
+  const empty = { deviceHistory: new Map(), offlineDevices: new Map(), systemHistory: [], receiverTelemetry: new Map() };
+
+  return {
+    engine: 'json',
+    files,
+
+    async load() {
+      return {
+        deviceHistory: new Map(Object.entries(await readGeneration('deviceHistory', {}))),
+        offlineDevices: new Map(Object.entries(await readGeneration('offlineDevices', {}))),
+        systemHistory: await readGeneration('systemHistory', []),
+        receiverTelemetry: new Map(Object.entries(await readGeneration('receiverTelemetry', {}))),
+        connectionLogs: [],
+        participants: new Map(Object.entries(await readGeneration('participants', {}))),
+        receiverRegistry: new Map(Object.entries(await readGeneration('receiverRegistry', {}))),
+        admission: new Map(Object.entries(await readGeneration('admission', {}))),
+        assignments: new Map(Object.entries(await readGeneration('assignments', {}))),
+        sessions: new Map(Object.entries(await readGeneration('sessions', {}))),
+        schedules: new Map(Object.entries(await readGeneration('schedules', {})))
+      };
+    },
+
+    save: writeAll,
+    appendSystemRecord() {},
+    adjustSystemHistory() {},
+    appendLog() {},
+    appendSamples() {},
+    rollupSamples() {},
+    querySamples: () => null,
+    appendTelemetry() {},
+    saveParticipants: participants => writeRegistry('participants', participants),
+    saveReceiverRegistry: registry => writeRegistry('receiverRegistry', registry),
+    saveAdmission: admission => writeRegistry('admission', admission),
+    saveAssignments: assignments => writeRegistry('assignments', assignments),
+    saveSessions: sessions => writeRegistry('sessions', sessions),
+    saveSchedules: schedules => writeRegistry('schedules', schedules),
+
+    restore: writeAll,
+    clearHistory: () => writeAll(empty),
+    quarantine: null,
+    reset: () => writeAll(empty),
+
+    async info() {
+      const info = { engine: 'json', dataDirectory: dataDir, files: {} };
+      for (const [name, filepath] of Object.entries(files)) {
+        const generation = loaded[name] || { generation: 'none', file: null, quarantined: [] };
+        try {
+          const stats = await fs.stat(filepath);
+          info.files[name] = { exists: true, size: stats.size, modified: stats.mtime.toLocaleString(), path: filepath };
+        } catch (error) {
+          info.files[name] = { exists: false, path: filepath };
+        }
+        try {
+          const stats = await fs.stat(`${filepath}.prev`);
+          info.files[name].previous = { size: stats.size, modified: stats.mtime.toLocaleString(), path: `${filepath}.prev` };
+        } catch (error) {
+          info.files[name].previous = null;
+        }
+        info.files[name].loadedGeneration = generation.generation;
+        info.files[name].loadedFrom = generation.file;
+        info.files[name].quarantined = generation.quarantined;
+      }
+      return info;
+    },
+
+    close() {}
+  };
+}
+
+// ----------------------------------------------------------------------------
+// SQLite
+// ----------------------------------------------------------------------------
+
+// Applied in order, each once; the applied versions live in schema_migrations.
+// Never edit a migration that has shipped - add a new one.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial schema',
+    sql: `
+      CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+
+      CREATE TABLE devices (
+        device_id TEXT PRIMARY KEY,
+        first_seen INTEGER,
+        last_update INTEGER,
+        total_updates INTEGER,
+        peak_steps INTEGER,
+        min_battery REAL,
+        max_battery REAL,
+        last_online_time INTEGER,
+        total_online_time INTEGER,
+        disconnection_count INTEGER,
+        step_offset INTEGER,
+        last_raw_steps INTEGER,
+        last_raw_at INTEGER,
+        lifetime_steps INTEGER,
+        counter_resets INTEGER,
+        gaps TEXT NOT NULL DEFAULT '[]',
+        extra TEXT NOT NULL DEFAULT '{}'
+      );
+
+      CREATE TABLE offline_devices (
+        device_id TEXT PRIMARY KEY,
+        offline_time INTEGER NOT NULL,
+        device TEXT NOT NULL,
+        history TEXT
+      );
+
+      CREATE TABLE receivers (
+        receiver_id TEXT PRIMARY KEY,
+        first_seen INTEGER,
+        last_seen INTEGER,
+        firmware_version TEXT,
+        ip TEXT,
+        reboots INTEGER NOT NULL DEFAULT 0
+      );
+
+      CREATE TABLE receiver_telemetry (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        receiver_id TEXT NOT NULL,
+        time INTEGER NOT NULL,
+        free_heap INTEGER,
+        wifi_rssi REAL,
+        uptime INTEGER,
+        esp_now_received INTEGER,
+        esp_now_errors INTEGER,
+        esp_now_rate INTEGER
+      );
+      CREATE INDEX idx_receiver_telemetry_receiver_time ON receiver_telemetry (receiver_id, time);
+
+      CREATE TABLE samples (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT NOT NULL,
+        time INTEGER NOT NULL,
+        step_count INTEGER NOT NULL,
+        lifetime_steps INTEGER NOT NULL,
+        battery_level REAL,
+        receiver_id TEXT
+      );
+      CREATE INDEX idx_samples_device_time ON samples (device_id, time);
+
+      CREATE TABLE system_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp INTEGER NOT NULL,
+        total_steps INTEGER NOT NULL,
+        active_steps INTEGER NOT NULL,
+        active_devices INTEGER NOT NULL,
+        active_receivers INTEGER NOT NULL,
+        total_requests INTEGER NOT NULL,
+        offline_devices INTEGER NOT NULL,
+        uptime INTEGER NOT NULL,
+        backfilled_steps INTEGER NOT NULL DEFAULT 0,
+        offline_device_list TEXT NOT NULL DEFAULT '[]'
+      );
+      CREATE INDEX idx_system_history_timestamp ON system_history (timestamp);
+
+      CREATE TABLE logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        time INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        message TEXT NOT NULL,
+        extra TEXT NOT NULL DEFAULT '{}'
+      );
+      CREATE INDEX idx_logs_time ON logs (time);
+
+      CREATE TABLE sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        started_at INTEGER NOT NULL,
+        ended_at INTEGER,
+        data TEXT NOT NULL DEFAULT '{}'
+      );
+    `
+  },
+  {
+    version: 2,
+    name: 'timeseries tiers',
+    sql: `
+      ALTER TABLE samples ADD COLUMN signal_strength REAL;
+
+      CREATE TABLE samples_1m (
+        device_id TEXT NOT NULL,
+        bucket INTEGER NOT NULL,
+        samples INTEGER NOT NULL,
+        last_time INTEGER NOT NULL,
+        step_count INTEGER NOT NULL,
+        lifetime_steps INTEGER NOT NULL,
+        battery_level REAL,
+        signal_strength REAL,
+        PRIMARY KEY (device_id, bucket)
+      ) WITHOUT ROWID;
+
+      CREATE TABLE samples_1h (
+        device_id TEXT NOT NULL,
+        bucket INTEGER NOT NULL,
+        samples INTEGER NOT NULL,
+        last_time INTEGER NOT NULL,
+        step_count INTEGER NOT NULL,
+        lifetime_steps INTEGER NOT NULL,
+        battery_level REAL,
+        signal_strength REAL,
+        PRIMARY KEY (device_id, bucket)
+      ) WITHOUT ROWID;
+    `
+  },
+  {
+    version: 3,
+    name: 'participants',
+    sql: `
+      CREATE TABLE participants (
+        device_id TEXT PRIMARY KEY,
+        band_number INTEGER UNIQUE,
+        name TEXT NOT NULL,
+        phone TEXT,
+        team TEXT,
+        category TEXT,
+        colour TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `
+  },
+  {
+    version: 4,
+    name: 'receiver registry',
+    sql: `
+      CREATE TABLE receiver_registry (
+        receiver_id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        zone TEXT,
+        x REAL,
+        y REAL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `
+  },
+  {
+    version: 5,
+    name: 'admission',
+    sql: `
+      CREATE TABLE admission (
+        device_id TEXT PRIMARY KEY,
+        status TEXT NOT NULL CHECK (status IN ('allowed', 'blocked', 'quarantined')),
+        first_seen INTEGER,
+        last_seen INTEGER,
+        reports INTEGER NOT NULL DEFAULT 0,
+        receiver_id TEXT,
+        step_count INTEGER,
+        battery_level REAL,
+        decided_at INTEGER
+      );
+    `
+  },
+  {
+    version: 6,
+    name: 'assignments',
+    sql: `
+      CREATE TABLE assignments (
+        id INTEGER PRIMARY KEY,
+        device_id TEXT NOT NULL,
+        band_number INTEGER,
+        holder_key TEXT NOT NULL,
+        name TEXT NOT NULL,
+        phone TEXT,
+        team TEXT,
+        category TEXT,
+        start_time INTEGER NOT NULL,
+        end_time INTEGER,
+        steps INTEGER NOT NULL DEFAULT 0,
+        checked_out_by TEXT,
+        returned_by TEXT
+      );
+      CREATE INDEX idx_assignments_device ON assignments (device_id, start_time);
+      CREATE INDEX idx_assignments_holder ON assignments (holder_key);
+    `
+  },
+  {
+    version: 7,
+    name: 'band swaps',
+    sql: `
+      ALTER TABLE assignments ADD COLUMN swapped_from INTEGER;
+      ALTER TABLE assignments ADD COLUMN swapped_to INTEGER;
+      ALTER TABLE assignments ADD COLUMN carried_steps INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE assignments ADD COLUMN swap_lifetime INTEGER;
+    `
+  },
+  {
+    version: 8,
+    name: 'session schedules',
+    sql: `
+      CREATE TABLE schedules (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        timezone TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+    `
+  }
+];
+
+// History fields with their own column; anything else goes to `extra`
+const DEVICE_COLUMNS = {
+  firstSeen: 'first_seen',
+  lastUpdate: 'last_update',
+  totalUpdates: 'total_updates',
+  peakSteps: 'peak_steps',
+  minBattery: 'min_battery',
+  maxBattery: 'max_battery',
+  lastOnlineTime: 'last_online_time',
+  totalOnlineTime: 'total_online_time',
+  disconnectionCount: 'disconnection_count',
+  stepOffset: 'step_offset',
+  lastRawSteps: 'last_raw_steps',
+  lastRawAt: 'last_raw_at',
+  lifetimeSteps: 'lifetime_steps',
+  counterResets: 'counter_resets'
+};
+
+function migrate(db) {
+  db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at INTEGER NOT NULL)');
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+  const ran = [];
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) continue;
+    db.transaction(() => {
+      db.exec(migration.sql);
+      db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)').run(migration.version, migration.name, Date.now());
+    })();
+    ran.push(migration.version);
+    console.log(`🗄️ Applied storage migration ${migration.version}: ${migration.name}`);
+  }
+
+  return ran;
+}
+
+function deviceToRow(deviceId, history) {
+  const row = { device_id: deviceId, gaps: JSON.stringify(history.gaps || []) };
+  const extra = {};
+
+  for (const [field, value] of Object.entries(history)) {
+    if (field === 'gaps') continue;
+    if (DEVICE_COLUMNS[field]) row[DEVICE_COLUMNS[field]] = value;
+    else extra[field] = value;
+  }
+  for (const column of Object.values(DEVICE_COLUMNS)) {
+    if (row[column] === undefined) row[column] = null;
+  }
+
+  row.extra = JSON.stringify(extra);
+  return row;
+}
+
+function rowToDevice(row) {
+  const history = { ...JSON.parse(row.extra), gaps: JSON.parse(row.gaps) };
+  for (const [field, column] of Object.entries(DEVICE_COLUMNS)) {
+    if (row[column] !== null) history[field] = row[column];
+  }
+  return history;
+}
+
+function rowToSystemRecord(row) {
+  return {
+    timestamp: row.timestamp,
+    dateTime: new Date(row.timestamp).toLocaleString(),
+    totalSteps: row.total_steps,
+    activeSteps: row.active_steps,
+    activeDevices: row.active_devices,
+    activeReceivers: row.active_receivers,
+    totalRequests: row.total_requests,
+    offlineDevices: row.offline_devices,
+    offlineDeviceList: JSON.parse(row.offline_device_list),
+    uptime: row.uptime,
+    ...(row.backfilled_steps ? { backfilledSteps: row.backfilled_steps } : {})
+  };
+}
+
+function rowToParticipant(row) {
+  return {
+    deviceId: row.device_id,
+    bandNumber: row.band_number,
+    name: row.name,
+    phone: row.phone,
+    team: row.team,
+    category: row.category,
+    colour: row.colour,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function rowToRegisteredReceiver(row) {
+  return {
+    receiverId: row.receiver_id,
+    name: row.name,
+    zone: row.zone,
+    x: row.x,
+    y: row.y,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function rowToAdmission(row) {
+  return {
+    deviceId: row.device_id,
+    status: row.status,
+    firstSeen: row.first_seen,
+    lastSeen: row.last_seen,
+    reports: row.reports,
+    receiverId: row.receiver_id,
+    stepCount: row.step_count,
+    batteryLevel: row.battery_level,
+    decidedAt: row.decided_at
+  };
+}
+
+function rowToAssignment(row) {
+  return {
+    id: row.id,
+    deviceId: row.device_id,
+    bandNumber: row.band_number,
+    holderKey: row.holder_key,
+    name: row.name,
+    phone: row.phone,
+    team: row.team,
+    category: row.category,
+    start: row.start_time,
+    end: row.end_time,
+    steps: row.steps,
+    checkedOutBy: row.checked_out_by,
+    returnedBy: row.returned_by,
+    swappedFrom: row.swapped_from,
+    swappedTo: row.swapped_to,
+    carriedSteps: row.carried_steps,
+    swapLifetime: row.swap_lifetime
+  };
+}
+
+// Baselines, standings and who started or stopped it live in `data`
+function rowToSession(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    ...JSON.parse(row.data)
+  };
+}
+
+// The nights and their start and end times live in `data`
+function rowToSchedule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    timezone: row.timezone,
+    ...JSON.parse(row.data)
+  };
+}
+
+function rowToTelemetrySample(row) {
+  return {
+    time: row.time,
+    freeHeap: row.free_heap,
+    wifiRssi: row.wifi_rssi,
+    uptime: row.uptime,
+    espNowReceived: row.esp_now_received,
+    espNowErrors: row.esp_now_errors,
+    espNowRate: row.esp_now_rate
+  };
+}
+
+function createSqliteStorage(dataDir, { systemHistoryCache = SYSTEM_HISTORY_CACHE, logCache = LOG_CACHE } = {}) {
+  // Required here so a missing native build only matters when SQLite is used
+  const Database = require('better-sqlite3');
+  const dbPath = path.join(dataDir, 'garba.db');
+
+  fsSync.mkdirSync(dataDir, { recursive: true });
+
+  // SQLite's journal already makes each write atomic, so the only thing left
+  // to catch is a database that was damaged some other way (disk, copy). The
+  // new one starts empty: the pre-SQLite JSON files next to it are whatever
+  // the first migration left, possibly weeks old.
+  const generation = { generation: 'current', quarantined: [] };
+  let quarantine = null;
+  let db;
+  try {
+    db = new Database(dbPath);
+    const check = db.pragma('quick_check', { simple: true });
+    if (check !== 'ok') throw new Error(`quick_check: ${check}`);
+  } catch (error) {
+    if (db) db.close();
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const quarantineDir = path.join(dataDir, 'quarantine');
+    fsSync.mkdirSync(quarantineDir, { recursive: true });
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (!fsSync.existsSync(dbPath + suffix)) continue;
+      const target = path.join(quarantineDir, `garba.db${suffix}.${stamp}`);
+      fsSync.renameSync(dbPath + suffix, target);
+      generation.quarantined.push(target);
+    }
+    console.error(`❌ ${dbPath} is corrupt (${error.message}), moved to ${quarantineDir}; starting a new, empty database`);
+    generation.generation = 'fresh';
+    quarantine = { time: Date.now(), reason: error.message, files: generation.quarantined };
+    db = new Database(dbPath);
+  }
+
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  migrate(db);
+
+  const columns = ['device_id', ...Object.values(DEVICE_COLUMNS), 'gaps', 'extra'];
+  const statements = {
+    upsertDevice: db.prepare(`
+      INSERT INTO devices (${columns.join(', ')}) VALUES (${columns.map(c => '@' + c).join(', ')})
+      ON CONFLICT (device_id) DO UPDATE SET ${columns.slice(1).map(c => `${c} = excluded.${c}`).join(', ')}
+    `),
+    deleteDevice: db.prepare('DELETE FROM devices WHERE device_id = ?'),
+    deviceIds: db.prepare('SELECT device_id FROM devices').pluck(),
+    insertOffline: db.prepare('INSERT INTO offline_devices (device_id, offline_time, device, history) VALUES (?, ?, ?, ?)'),
+    upsertReceiver: db.prepare(`
+      INSERT INTO receivers (receiver_id, first_seen, last_seen, firmware_version, ip, reboots)
+      VALUES (@receiver_id, @first_seen, @last_seen, @firmware_version, @ip, @reboots)
+      ON CONFLICT (receiver_id) DO UPDATE SET last_seen = excluded.last_seen, firmware_version = excluded.firmware_version,
+        ip = excluded.ip, reboots = excluded.reboots
+    `),
+    insertTelemetry: db.prepare(`
+      INSERT INTO receiver_telemetry (receiver_id, time, free_heap, wifi_rssi, uptime, esp_now_received, esp_now_errors, esp_now_rate)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    insertSample: db.prepare(`
+      INSERT INTO samples (device_id, time, step_count, lifetime_steps, battery_level, signal_strength, receiver_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `),
+    insertSystemRecord: db.prepare(`
+      INSERT INTO system_history (timestamp, total_steps, active_steps, active_devices, active_receivers, total_requests,
+        offline_devices, uptime, backfilled_steps, offline_device_list)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    adjustSystemHistory: db.prepare('UPDATE system_history SET total_steps = total_steps + ?, backfilled_steps = backfilled_steps + ? WHERE timestamp >= ?'),
+    insertLog: db.prepare('INSERT INTO logs (time, type, message, extra) VALUES (?, ?, ?, ?)'),
+    insertParticipant: db.prepare(`
+      INSERT INTO participants (device_id, band_number, name, phone, team, category, colour, created_at, updated_at)
+      VALUES (@deviceId, @bandNumber, @name, @phone, @team, @category, @colour, @createdAt, @updatedAt)
+    `),
+    insertRegisteredReceiver: db.prepare(`
+      INSERT INTO receiver_registry (receiver_id, name, zone, x, y, created_at, updated_at)
+      VALUES (@receiverId, @name, @zone, @x, @y, @createdAt, @updatedAt)
+    `),
+    insertAdmission: db.prepare(`
+      INSERT INTO admission (device_id, status, first_seen, last_seen, reports, receiver_id, step_count, battery_level, decided_at)
+      VALUES (@deviceId, @status, @firstSeen, @lastSeen, @reports, @receiverId, @stepCount, @batteryLevel, @decidedAt)
+    `),
+    insertAssignment: db.prepare(`
+      INSERT INTO assignments (id, device_id, band_number, holder_key, name, phone, team, category, start_time, end_time, steps,
+        checked_out_by, returned_by, swapped_from, swapped_to, carried_steps, swap_lifetime)
+      VALUES (@id, @deviceId, @bandNumber, @holderKey, @name, @phone, @team, @category, @start, @end, @steps,
+        @checkedOutBy, @returnedBy, @swappedFrom, @swappedTo, @carriedSteps, @swapLifetime)
+    `),
+    insertSession: db.prepare('INSERT INTO sessions (id, name, started_at, ended_at, data) VALUES (?, ?, ?, ?, ?)'),
+    insertSchedule: db.prepare('INSERT INTO schedules (id, name, timezone, data) VALUES (?, ?, ?, ?)'),
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?').pluck(),
+    setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+  };
+  if (quarantine) statements.setMeta.run('last_quarantine', JSON.stringify(quarantine));
+
+  // Buckets from `rollupFrom` onwards are recomputed on the next rollup. It
+  // normally sits at the start of the bucket in progress; backfilled samples
+  // pull it back so the buckets they land in are redone too.
+  const rollupFrom = {};
+  for (const tier of ['1m', '1h']) {
+    rollupFrom[tier] = Number(statements.getMeta.get(`rollup_${tier}_from`)) || 0;
+  }
+
+  // Last sample in each bucket gives the counts (SQLite takes bare columns
+  // from the MAX(time) row); battery and signal are averaged
+  const rollups = {};
+  for (const tier of ['1m', '1h']) {
+    const { table, bucket } = TIMESERIES_TIERS[tier];
+    rollups[tier] = db.prepare(`
+      INSERT OR REPLACE INTO ${table} (device_id, bucket, samples, last_time, step_count, lifetime_steps, battery_level, signal_strength)
+      SELECT device_id, (time / ${bucket}) * ${bucket} AS bucket, COUNT(*), MAX(time), step_count, lifetime_steps,
+        AVG(battery_level), AVG(signal_strength)
+      FROM samples WHERE time >= ? GROUP BY device_id, bucket
+    `);
+  }
+
+  const rollupSamples = db.transaction((now) => {
+    for (const tier of ['1m', '1h']) {
+      const { bucket } = TIMESERIES_TIERS[tier];
+      rollups[tier].run(rollupFrom[tier]);
+      rollupFrom[tier] = Math.floor(now / bucket) * bucket;
+      statements.setMeta.run(`rollup_${tier}_from`, String(rollupFrom[tier]));
+    }
+    for (const { table, bucket, retention } of Object.values(TIMESERIES_TIERS)) {
+      db.prepare(`DELETE FROM ${table} WHERE ${bucket ? 'bucket' : 'time'} < ?`).run(now - retention);
+    }
+  });
+
+  function resetRollups() {
+    for (const tier of ['1m', '1h']) {
+      rollupFrom[tier] = 0;
+      statements.setMeta.run(`rollup_${tier}_from`, '0');
+    }
+  }
+
+  // 'auto' takes the finest tier that covers the range and stays under the point cap
+  function querySamples(deviceId, from, to, resolution = 'auto') {
+    const now = Date.now();
+    if (resolution === 'auto') {
+      const span = to - from;
+      if (from >= now - TIMESERIES_TIERS.raw.retention && span <= 2 * HOUR) resolution = 'raw';
+      else if (from >= now - TIMESERIES_TIERS['1m'].retention && span <= 3 * DAY) resolution = '1m';
+      else resolution = '1h';
+    }
+
+    const { table, bucket } = TIMESERIES_TIERS[resolution];
+    const rows = bucket
+      ? db.prepare(`SELECT bucket AS time, samples, step_count, lifetime_steps, battery_level, signal_strength FROM ${table}
+          WHERE device_id = ? AND bucket >= ? AND bucket <= ? ORDER BY bucket LIMIT ?`).all(deviceId, Math.floor(from / bucket) * bucket, to, MAX_TIMESERIES_POINTS + 1)
+      : db.prepare(`SELECT time, 1 AS samples, step_count, lifetime_steps, battery_level, signal_strength FROM samples
+          WHERE device_id = ? AND time >= ? AND time <= ? ORDER BY time LIMIT ?`).all(deviceId, from, to, MAX_TIMESERIES_POINTS + 1);
+
+    const truncated = rows.length > MAX_TIMESERIES_POINTS;
+    return {
+      resolution,
+      retention: TIMESERIES_TIERS[resolution].retention,
+      truncated,
+      points: rows.slice(0, MAX_TIMESERIES_POINTS).map(row => ({
+        time: row.time,
+        samples: row.samples,
+        stepCount: row.step_count,
+        lifetimeSteps: row.lifetime_steps,
+        batteryLevel: row.battery_level === null ? null : Math.round(row.battery_level * 10) / 10,
+        signalStrength: row.signal_strength === null ? null : Math.round(row.signal_strength * 10) / 10
+      }))
+    };
+  }
+
+  function insertSystemRecord(record) {
+    statements.insertSystemRecord.run(
+      record.timestamp, record.totalSteps || 0, record.activeSteps || 0, record.activeDevices || 0, record.activeReceivers || 0,
+      record.totalRequests || 0, record.offlineDevices || 0, record.uptime || 0, record.backfilledSteps || 0,
+      JSON.stringify(record.offlineDeviceList || [])
+    );
+  }
+
+  function insertTelemetry(receiverId, sample) {
+    statements.insertTelemetry.run(receiverId, sample.time, sample.freeHeap, sample.wifiRssi, sample.uptime,
+      sample.espNowReceived, sample.espNowErrors, sample.espNowRate);
+  }
+
+  const save = db.transaction((state) => {
+    for (const [deviceId, history] of state.deviceHistory.entries()) {
+      statements.upsertDevice.run(deviceToRow(deviceId, history));
+    }
+    for (const deviceId of statements.deviceIds.all()) {
+      if (!state.deviceHistory.has(deviceId)) statements.deleteDevice.run(deviceId);
+    }
+
+    db.prepare('DELETE FROM offline_devices').run();
+    for (const [deviceId, device] of state.offlineDevices.entries()) {
+      const { history, ...snapshot } = device;
+      statements.insertOffline.run(deviceId, device.offlineTime, JSON.stringify(snapshot), history ? JSON.stringify(history) : null);
+    }
+
+    for (const [receiverId, telemetry] of state.receiverTelemetry.entries()) {
+      statements.upsertReceiver.run({
+        receiver_id: receiverId,
+        first_seen: telemetry.firstSeen,
+        last_seen: telemetry.lastSeen,
+        firmware_version: telemetry.firmwareVersion,
+        ip: telemetry.ip,
+        reboots: telemetry.reboots
+      });
+    }
+  });
+
+  const saveParticipants = db.transaction((participants) => {
+    db.prepare('DELETE FROM participants').run();
+    for (const participant of participants.values()) statements.insertParticipant.run(participant);
+  });
+
+  const saveReceiverRegistry = db.transaction((registry) => {
+    db.prepare('DELETE FROM receiver_registry').run();
+    for (const receiver of registry.values()) statements.insertRegisteredReceiver.run(receiver);
+  });
+
+  const saveAdmission = db.transaction((admission) => {
+    db.prepare('DELETE FROM admission').run();
+    for (const entry of admission.values()) statements.insertAdmission.run(entry);
+  });
+
+  const saveAssignments = db.transaction((assignments) => {
+    db.prepare('DELETE FROM assignments').run();
+    // Assignments saved before band swaps have no swap fields
+    for (const assignment of assignments.values()) {
+      statements.insertAssignment.run({ swappedFrom: null, swappedTo: null, carriedSteps: 0, swapLifetime: null, ...assignment });
+    }
+  });
+
+  const saveSessions = db.transaction((sessions) => {
+    db.prepare('DELETE FROM sessions').run();
+    for (const { id, name, startedAt, endedAt, ...data } of sessions.values()) {
+      statements.insertSession.run(id, name, startedAt, endedAt, JSON.stringify(data));
+    }
+  });
+
+  const saveSchedules = db.transaction((schedules) => {
+    db.prepare('DELETE FROM schedules').run();
+    for (const { id, name, timezone, ...data } of schedules.values()) {
+      statements.insertSchedule.run(id, name, timezone, JSON.stringify(data));
+    }
+  });
+
+  // One-off import of the JSON files the server used before SQLite. Never
+  // into a database that replaced a corrupt one.
+  async function importJsonFiles() {
+    if (statements.getMeta.get('json_imported_at') || statements.getMeta.get('last_quarantine')) return null;
+
+    const legacy = await createJsonStorage(dataDir, { systemHistoryCache }).load();
+    db.transaction(() => {
+      save(legacy);
+      // Oldest first so row ids follow time
+      for (const record of [...legacy.systemHistory].reverse()) insertSystemRecord(record);
+      for (const [receiverId, telemetry] of legacy.receiverTelemetry.entries()) {
+        for (const sample of telemetry.samples || []) insertTelemetry(receiverId, sample);
+      }
+      saveParticipants(legacy.participants);
+      saveReceiverRegistry(legacy.receiverRegistry);
+      saveAdmission(legacy.admission);
+      saveAssignments(legacy.assignments);
+      saveSessions(legacy.sessions);
+      saveSchedules(legacy.schedules);
+      statements.setMeta.run('json_imported_at', String(Date.now()));
+    })();
+
+    const imported = {
+      devices: legacy.deviceHistory.size,
+      offlineDevices: legacy.offlineDevices.size,
+      systemHistory: legacy.systemHistory.length,
+      receivers: legacy.receiverTelemetry.size,
+      participants: legacy.participants.size,
+      registeredReceivers: legacy.receiverRegistry.size,
+      admission: legacy.admission.size,
+      assignments: legacy.assignments.size,
+      sessions: legacy.sessions.size,
+      schedules: legacy.schedules.size
+    };
+    if (Object.values(imported).some(count => count > 0)) {
+      console.log(`📥 Imported JSON data into SQLite: ${imported.devices} devices, ${imported.offlineDevices} offline, ${imported.systemHistory} system records, ${imported.receivers} receivers, ${imported.participants} participants, ${imported.registeredReceivers} registered receivers, ${imported.admission} admission entries, ${imported.assignments} band assignments, ${imported.sessions} sessions, ${imported.schedules} schedules`);
+    }
+    return imported;
+  }
+
+  return {
+    engine: 'sqlite',
+    path: dbPath,
+    db,
+    quarantine,
+
+    async load() {
+      await importJsonFiles();
+
+      const deviceHistory = new Map();
+      for (const row of db.prepare('SELECT * FROM devices').all()) {
+        deviceHistory.set(row.device_id, rowToDevice(row));
+      }
+
+      const offlineDevices = new Map();
+      for (const row of db.prepare('SELECT * FROM offline_devices').all()) {
+        offlineDevices.set(row.device_id, { ...JSON.parse(row.device), history: row.history ? JSON.parse(row.history) : null });
+      }
+
+      const systemHistory = db.prepare('SELECT * FROM system_history ORDER BY timestamp DESC, id DESC LIMIT ?')
+        .all(systemHistoryCache).map(rowToSystemRecord);
+
+      const receiverTelemetry = new Map();
+      const recentTelemetry = db.prepare('SELECT * FROM (SELECT * FROM receiver_telemetry WHERE receiver_id = ? ORDER BY time DESC LIMIT ?) ORDER BY time');
+      for (const row of db.prepare('SELECT * FROM receivers').all()) {
+        receiverTelemetry.set(row.receiver_id, {
+          firstSeen: row.first_seen,
+          lastSeen: row.last_seen,
+          firmwareVersion: row.firmware_version,
+          ip: row.ip,
+          reboots: row.reboots,
+          samples: recentTelemetry.all(row.receiver_id, TELEMETRY_CACHE).map(rowToTelemetrySample)
+        });
+      }
+
+      const connectionLogs = db.prepare('SELECT * FROM logs ORDER BY id DESC LIMIT ?').all(logCache).map(row => ({
+        id: row.id,
+        timestamp: new Date(row.time).toLocaleString(),
+        time: row.time,
+        type: row.type,
+        message: row.message,
+        ...JSON.parse(row.extra)
+      }));
+
+      const participants = new Map();
+      for (const row of db.prepare('SELECT * FROM participants').all()) {
+        participants.set(row.device_id, rowToParticipant(row));
+      }
+
+      const receiverRegistry = new Map();
+      for (const row of db.prepare('SELECT * FROM receiver_registry').all()) {
+        receiverRegistry.set(row.receiver_id, rowToRegisteredReceiver(row));
+      }
+
+      const admission = new Map();
+      for (const row of db.prepare('SELECT * FROM admission').all()) {
+        admission.set(row.device_id, rowToAdmission(row));
+      }
+
+      const assignments = new Map();
+      for (const row of db.prepare('SELECT * FROM assignments ORDER BY id').all()) {
+        assignments.set(row.id, rowToAssignment(row));
+      }
+
+      const sessions = new Map();
+      for (const row of db.prepare('SELECT * FROM sessions ORDER BY id').all()) {
+        sessions.set(row.id, rowToSession(row));
+      }
+
+      const schedules = new Map();
+      for (const row of db.prepare('SELECT * FROM schedules ORDER BY id').all()) {
+        schedules.set(row.id, rowToSchedule(row));
+      }
+
+      return { deviceHistory, offlineDevices, systemHistory, receiverTelemetry, connectionLogs, participants, receiverRegistry, admission, assignments, sessions, schedules };
+    },
+
+    async save(state) {
+      save(state);
+    },
+
+    appendSystemRecord: insertSystemRecord,
+
+    adjustSystemHistory(since, steps) {
+      statements.adjustSystemHistory.run(steps, steps, since);
+    },
+
+    appendLog(log) {
+      const { id, timestamp, time, type, message, ...extra } = log;
+      statements.insertLog.run(time, type, message, JSON.stringify(extra));
+    },
+
+    appendSamples: db.transaction((samples) => {
+      for (const sample of samples) {
+        statements.insertSample.run(sample.deviceId, sample.time, sample.stepCount, sample.lifetimeSteps,
+          sample.batteryLevel ?? null, sample.signalStrength ?? null, sample.receiverId ?? null);
+        for (const tier of ['1m', '1h']) {
+          rollupFrom[tier] = Math.min(rollupFrom[tier], Math.floor(sample.time / TIMESERIES_TIERS[tier].bucket) * TIMESERIES_TIERS[tier].bucket);
+        }
+      }
+    }),
+
+    rollupSamples,
+    querySamples,
+
+    appendTelemetry: insertTelemetry,
+
+    async saveParticipants(participants) {
+      saveParticipants(participants);
+    },
+
+    async saveReceiverRegistry(registry) {
+      saveReceiverRegistry(registry);
+    },
+
+    async saveAdmission(admission) {
+      saveAdmission(admission);
+    },
+
+    async saveAssignments(assignments) {
+      saveAssignments(assignments);
+    },
+
+    async saveSessions(sessions) {
+      saveSessions(sessions);
+    },
+
+    async saveSchedules(schedules) {
+      saveSchedules(schedules);
+    },
+
+    // Step samples and logs record what actually happened and are kept
+    async restore(state) {
+      db.transaction(() => {
+        for (const table of ['devices', 'offline_devices', 'receivers', 'receiver_telemetry', 'system_history']) {
+          db.prepare(`DELETE FROM ${table}`).run();
+        }
+        save(state);
+        for (const record of [...state.systemHistory].reverse()) insertSystemRecord(record);
+        for (const [receiverId, telemetry] of state.receiverTelemetry.entries()) {
+          for (const sample of telemetry.samples || []) insertTelemetry(receiverId, sample);
+        }
+      })();
+    },
+
+    async clearHistory() {
+      db.transaction(() => {
+        for (const table of ['devices', 'offline_devices', 'receivers', 'receiver_telemetry', 'samples', 'samples_1m', 'samples_1h', 'system_history']) {
+          db.prepare(`DELETE FROM ${table}`).run();
+        }
+        resetRollups();
+      })();
+    },
+
+    async reset() {
+      db.transaction(() => {
+        for (const table of ['devices', 'offline_devices', 'receivers', 'receiver_telemetry', 'samples', 'samples_1m', 'samples_1h', 'system_history', 'logs']) {
+          db.prepare(`DELETE FROM ${table}`).run();
+        }
+        resetRollups();
+      })();
+    },
+
+    async info() {
+      const tables = {};
+      for (const table of ['devices', 'offline_devices', 'receivers', 'receiver_telemetry', 'samples', 'samples_1m', 'samples_1h', 'system_history', 'logs', 'sessions', 'participants', 'receiver_registry', 'admission', 'assignments', 'schedules']) {
+        tables[table] = db.prepare(`SELECT COUNT(*) FROM ${table}`).pluck().get();
+      }
+      const migrations = db.prepare('SELECT version, name, applied_at AS appliedAt FROM schema_migrations ORDER BY version').all();
+      const stats = await fs.stat(dbPath);
+
+      return {
+        engine: 'sqlite',
+        dataDirectory: dataDir,
+        path: dbPath,
+        size: stats.size,
+        modified: stats.mtime.toLocaleString(),
+        schemaVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+        migrations,
+        jsonImportedAt: Number(statements.getMeta.get('json_imported_at')) || null,
+        loadedGeneration: generation.generation,
+        quarantined: generation.quarantined,
+        lastQuarantine: JSON.parse(statements.getMeta.get('last_quarantine') || 'null'),
+        tables
+      };
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+// Whether better-sqlite3 is installed and built for this Node. Tried on an
+// in-memory database, so a missing build never gets data/garba.db quarantined.
+function sqliteAvailable() {
+  try {
+    const Database = require('better-sqlite3');
+    new Database(':memory:').close();
+    return true;
+  } catch (error) {
+    console.error(`❌ SQLite storage unavailable (${error.message}), using JSON files`);
+    return false;
+  }
+}
+
+// STORAGE_ENGINE=json keeps the old files; SQLite falls back to them if the
+// native module is not available on this machine. Any other failure opening
+// the database is thrown: the JSON files may be weeks old.
+function createStorage({ engine = 'sqlite', dataDir, ...caps }) {
+  if (engine === 'sqlite' && sqliteAvailable()) return createSqliteStorage(dataDir, caps);
+  return createJsonStorage(dataDir, caps);
+}
+
+module.exports = {
+  MIGRATIONS,
+  TIMESERIES_TIERS,
+  createStorage,
+  createJsonStorage,
+  writeFileAtomic,
+  createSqliteStorage
+};
@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { sleep, startServer, receiverReport } = require('./harness');
+
+const RECEIVER = 'AA:BB:CC:00:00:01';
+const BAND = 'AA:BB:CC:DD:EE:01';
+const FRESH_BAND = 'AA:BB:CC:DD:EE:02';
+const PRIYA = { name: 'Priya', phone: '98765 43210' };
+const BACKDATE_TOLERANCE_MS = 5000;
+
+// The time series query writes the step sample out, so the next report gets
+// a sample of its own for backdated times to find
+async function report(server, deviceId, stepCount) {
+  await server.post('/api/receiver-data', receiverReport(RECEIVER, [{ deviceId, stepCount }]));
+  await server.get(`/api/devices/${deviceId}/timeseries`);
+}
+
+async function continuousSteps(server, deviceId) {
+  const { data } = await server.get('/api/devices');
+  return data.devices.find(device => device.id === deviceId).continuousSteps;
+}
+
+// Priya dances 50 steps on BAND, then it dies and she gets FRESH_BAND
+async function checkOutAndSwap(server) {
+  await report(server, BAND, 100);
+  await report(server, FRESH_BAND, 7);
+  const checkout = await server.post('/api/assignments/checkout', { band: BAND, ...PRIYA });
+  assert.strictEqual(checkout.status, 201);
+  await report(server, BAND, 150);
+
+  const swap = await server.post('/api/assignments/swap', { from: BAND, to: FRESH_BAND });
+  assert.strictEqual(swap.status, 201);
+  return swap.data;
+}
+
+test('a backdated check-out and return move the steps taken on either side', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await report(server, BAND, 100);
+  const start = Date.now();
+  await sleep(20);
+  await report(server, BAND, 160);
+  const end = Date.now();
+  await sleep(20);
+  await report(server, BAND, 200);
+  await sleep(BACKDATE_TOLERANCE_MS + 200);
+
+  const checkout = await server.post('/api/assignments/checkout', { band: BAND, ...PRIYA, start });
+  assert.strictEqual(checkout.status, 201);
+  assert.strictEqual(checkout.data.backdatedSteps, 100);
+  assert.strictEqual(checkout.data.steps, 100);
+
+  await report(server, BAND, 230);
+  assert.strictEqual((await server.get(`/api/assignments/${checkout.data.id}`)).data.steps, 130);
+
+  const returned = await server.post('/api/assignments/return', { band: BAND, end });
+  assert.strictEqual(returned.status, 200);
+  assert.strictEqual(returned.data.backdatedSteps, 70);
+  assert.strictEqual(returned.data.steps, 60);
+  assert.strictEqual(returned.data.end, end);
+
+  // Nobody has the band now
+  await report(server, BAND, 260);
+  const { data } = await server.get(`/api/credited-steps/${checkout.data.holderKey}`);
+  assert.strictEqual(data.steps, 60);
+  assert.strictEqual(data.holdingBand, null);
+});
+
+test('a swap carries the running total over to the fresh band', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const swap = await checkOutAndSwap(server);
+  assert.strictEqual(swap.carriedSteps, 50);
+  assert.strictEqual(swap.previous.steps, 50);
+  assert.strictEqual(swap.previous.swappedTo, swap.id);
+
+  await report(server, FRESH_BAND, 37);
+  // The dead band comes back to life in the box, nobody wears it
+  await report(server, BAND, 170);
+  assert.strictEqual(await continuousSteps(server, FRESH_BAND), 80);
+  assert.strictEqual(await continuousSteps(server, BAND), 170);
+
+  const { data } = await server.get(`/api/credited-steps/${swap.holderKey}`);
+  assert.strictEqual(data.steps, 80);
+  assert.strictEqual(data.holdingBand, FRESH_BAND);
+});
+
+test('undoing a swap credits what the old band counted in the meantime', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const swap = await checkOutAndSwap(server);
+  // Swapped by mistake: Priya is still wearing the old band
+  await report(server, BAND, 190);
+  await report(server, FRESH_BAND, 20);
+
+  const undo = await server.post(`/api/assignments/${swap.id}/undo-swap`, {});
+  assert.strictEqual(undo.status, 200);
+  assert.strictEqual(undo.data.laterSteps, 40);
+  assert.strictEqual(undo.data.steps, 90);
+  assert.strictEqual(undo.data.open, true);
+
+  await report(server, BAND, 200);
+  assert.strictEqual(await continuousSteps(server, BAND), 100);
+  assert.strictEqual((await server.get(`/api/assignments/${swap.id}`)).status, 404);
+
+  const { data } = await server.get(`/api/credited-steps/${swap.holderKey}`);
+  assert.strictEqual(data.steps, 100);
+  assert.strictEqual(data.holdingBand, BAND);
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startServer, receiverReport } = require('./harness');
+
+const RECEIVER = 'AA:BB:CC:00:00:01';
+const BAND = 'AA:BB:CC:DD:EE:01';
+const UPLOAD_AT = 1000000;   // Receiver clock
+
+async function lifetimeSteps(server) {
+  const { data } = await server.get('/api/devices');
+  return data.devices.find(device => device.id === BAND).lifetimeSteps;
+}
+
+function upload(samples) {
+  return {
+    receiverId: RECEIVER,
+    timestamp: UPLOAD_AT,
+    samples: samples.map(([secondsBefore, stepCount]) => ({ deviceId: BAND, stepCount, timestamp: UPLOAD_AT - secondsBefore * 1000 }))
+  };
+}
+
+test('backfilled samples fill a gap with the steps the live counter missed, once', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  // Last heard a minute ago at 100, now back at 20: the band rebooted in
+  // between, and all the server can bank is the 100
+  await server.post('/api/receiver-data', receiverReport(RECEIVER, [{ deviceId: BAND, stepCount: 100, lastSeen: 60 }]));
+  await server.post('/api/receiver-data', receiverReport(RECEIVER, [{ deviceId: BAND, stepCount: 20 }]));
+  assert.strictEqual(await lifetimeSteps(server), 120);
+
+  // The receiver's buffer shows the band got to 150 before it rebooted
+  const gapSamples = [[45, 130], [30, 150], [15, 5]];
+  const first = await server.post('/api/receiver-backfill', upload(gapSamples));
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.data.gapSamples, 3);
+  assert.strictEqual(first.data.recoveredSteps, 50);
+  assert.strictEqual(await lifetimeSteps(server), 170);
+
+  // The same buffer sent again recovers nothing more
+  const again = await server.post('/api/receiver-backfill', upload(gapSamples));
+  assert.strictEqual(again.data.recoveredSteps, 0);
+  assert.strictEqual(await lifetimeSteps(server), 170);
+
+  await server.post('/api/receiver-data', receiverReport(RECEIVER, [{ deviceId: BAND, stepCount: 25 }]));
+  assert.strictEqual(await lifetimeSteps(server), 175);
+
+  const { data } = await server.get('/api/devices');
+  assert.strictEqual(data.devices.find(device => device.id === BAND).counterResets, 1);
+});
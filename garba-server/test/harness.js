@@ -0,0 +1,110 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// ============================================================================
+// TEST HARNESS
+// ============================================================================
+//
+// Runs server.js as its own process in a throwaway data directory, on free
+// ports, and talks to it over HTTP the way receivers and the dashboard do.
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const START_TIMEOUT_MS = 15000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// env: extra environment variables, e.g. { MQTT_MODE: 'embedded' }
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'garba-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    cwd: dir,
+    env: { ...process.env, PORT: String(port), UDP_PORT: String(await freePort()), MQTT_MODE: 'off', BACKUP_INTERVAL: '0', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', (chunk) => { output += chunk; });
+  child.stderr.on('data', (chunk) => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const url = `http://127.0.0.1:${port}`;
+  const started = Date.now();
+  for (;;) {
+    if (child.exitCode !== null) throw new Error(`server exited during startup:\n${output}`);
+    try {
+      // 503 until the stored data is loaded
+      if ((await fetch(`${url}/api/dashboard-data`)).ok) break;
+    } catch (error) {
+      // Not listening yet
+    }
+    if (Date.now() - started > START_TIMEOUT_MS) {
+      child.kill('SIGKILL');
+      throw new Error(`server did not start:\n${output}`);
+    }
+    await sleep(100);
+  }
+
+  async function request(method, route, body) {
+    const response = await fetch(`${url}${route}`, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      // Plain-text answers stay as they are
+    }
+    return { status: response.status, data };
+  }
+
+  return {
+    url,
+    dir,
+    output: () => output,
+    get: route => request('GET', route),
+    post: (route, body) => request('POST', route, body),
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill('SIGINT');
+        const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+        await exited;
+        clearTimeout(timer);
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Body of POST /api/receiver-data for one receiver. devices: [{ deviceId,
+// stepCount, lastSeen, signalStrength }], lastSeen in seconds ago.
+function receiverReport(receiverId, devices) {
+  return {
+    receiverId,
+    devices: devices.map(device => ({ batteryLevel: 80, lastSeen: 0, signalStrength: -60, ...device }))
+  };
+}
+
+module.exports = {
+  freePort,
+  sleep,
+  startServer,
+  receiverReport
+};
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startServer, receiverReport } = require('./harness');
+
+const BAND = 'AA:BB:CC:DD:EE:01';
+const NEAR = 'AA:BB:CC:00:00:01';
+const FAR = 'AA:BB:CC:00:00:02';
+
+async function lifetimeSteps(server) {
+  const { data } = await server.get('/api/devices');
+  return data.devices.find(device => device.id === BAND).lifetimeSteps;
+}
+
+test('a counter reset survives an older, higher sample from another receiver', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await server.post('/api/receiver-data', receiverReport(NEAR, [{ deviceId: BAND, stepCount: 500, signalStrength: -70 }]));
+  await server.post('/api/receiver-data', receiverReport(NEAR, [{ deviceId: BAND, stepCount: 18, signalStrength: -70 }]));
+  assert.strictEqual(await lifetimeSteps(server), 518);
+
+  // Better signal, but still holding a count from 5 seconds before the reset
+  await server.post('/api/receiver-data', receiverReport(FAR, [{ deviceId: BAND, stepCount: 478, lastSeen: 5, signalStrength: -30 }]));
+  assert.strictEqual(await lifetimeSteps(server), 518);
+
+  await server.post('/api/receiver-data', receiverReport(FAR, [{ deviceId: BAND, stepCount: 25, signalStrength: -30 }]));
+  assert.strictEqual(await lifetimeSteps(server), 525);
+  
+  const { data } = await server.get('/api/dashboard-data');
+  assert.strictEqual(data.totalSteps, 525);
+});
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mqtt = require('mqtt');
+const { startEmbeddedBroker, createMqttBridge } = require('../mqtt-bridge');
+const { freePort, sleep, startServer } = require('./harness');
+
+const RECEIVER = 'AA:BB:CC:00:00:01';
+const BAND = 'AA:BB:CC:DD:EE:01';
+
+function connect(url) {
+  return new Promise((resolve, reject) => {
+    const client = mqtt.connect(url, { reconnectPeriod: 0 });
+    client.once('connect', () => resolve(client));
+    client.once('error', reject);
+  });
+}
+
+// Polls `check` until it returns something truthy
+async function eventually(check, timeoutMs = 5000) {
+  const started = Date.now();
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() - started > timeoutMs) throw new Error('timed out');
+    await sleep(100);
+  }
+}
+
+test('the bridge hands device reports and status messages to its callbacks', async (t) => {
+  const broker = await startEmbeddedBroker({ port: 0, host: '127.0.0.1' });
+  const reports = [];
+  const statuses = [];
+  const subscribed = new Promise((resolve) => {
+    broker.broker.on('subscribe', (subscriptions, client) => {
+      if (client && client.id === 'garba-test-bridge') resolve();
+    });
+  });
+  const bridge = createMqttBridge({
+    url: `mqtt://127.0.0.1:${broker.port}`,
+    clientId: 'garba-test-bridge',
+    onReport: (receiverId, message) => reports.push({ receiverId, payload: JSON.parse(message.toString()) }),
+    onReceiverStatus: (receiverId, status) => statuses.push({ receiverId, status })
+  });
+  const receiver = await connect(`mqtt://127.0.0.1:${broker.port}`);
+  // The broker only closes once its clients are gone
+  t.after(async () => {
+    await receiver.endAsync();
+    await bridge.close();
+    await broker.close();
+  });
+  await subscribed;
+  
+  await receiver.publishAsync(`garba/receiver/${RECEIVER.toLowerCase()}/devices`, JSON.stringify({ devices: [] }), { qos: 1 });
+  // Topics the bridge does not subscribe to never reach it; sent first, so
+  // they would have arrived before the status message
+  await receiver.publishAsync(`garba/receiver/${RECEIVER}/firmware`, 'x', { qos: 1 });
+  await receiver.publishAsync('garba/other/devices', 'x', { qos: 1 });
+  await receiver.publishAsync(`garba/receiver/${RECEIVER}/status`, ' OFFLINE ', { qos: 1 });
+  await eventually(() => statuses.length > 0);
+  
+  assert.deepStrictEqual(reports, [{ receiverId: RECEIVER, payload: { devices: [] } }]);
+  assert.deepStrictEqual(statuses, [{ receiverId: RECEIVER, status: 'offline' }]);
+  assert.strictEqual(bridge.stats.messages, 1);
+  assert.strictEqual(bridge.stats.statusMessages, 1);
+});
+
+test('a report published to the embedded broker reaches the server and comes back on garba/live', async (t) => {
+  const mqttPort = await freePort();
+  const server = await startServer({
+    MQTT_MODE: 'embedded',
+    MQTT_PORT: String(mqttPort),
+    MQTT_URL: `mqtt://127.0.0.1:${mqttPort}`,
+    MQTT_PUBLISH_INTERVAL: '200'
+  });
+  let receiver = null;
+  t.after(async () => {
+    if (receiver) await receiver.endAsync();
+    await server.stop();
+  });
+  
+  // The broker starts after the HTTP server is already answering
+  receiver = await eventually(() => connect(`mqtt://127.0.0.1:${mqttPort}`).catch(() => null));
+  
+  const totals = [];
+  receiver.on('message', (topic, message) => {
+    if (topic === 'garba/live/totals') totals.push(JSON.parse(message.toString()));
+  });
+  await receiver.subscribeAsync('garba/live/totals');
+  
+  const report = { devices: [{ deviceId: BAND, stepCount: 321, batteryLevel: 80, lastSeen: 0, signalStrength: -60 }] };
+  const device = await eventually(async () => {
+    await receiver.publishAsync(`garba/receiver/${RECEIVER}/devices`, JSON.stringify(report), { qos: 1 });
+    const { data } = await server.get('/api/devices');
+    return data.devices.find(entry => entry.id === BAND);
+  });
+  assert.strictEqual(device.lifetimeSteps, 321);
+  assert.strictEqual(device.receiverId, RECEIVER);
+  
+  const latest = await eventually(() => totals.find(entry => entry.totalSteps === 321));
+  assert.strictEqual(latest.activeDevices, 1);
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const XLSX = require('xlsx');
+const { parseParticipantSheet, writeParticipantSheet } = require('../participants');
+
+const PARTICIPANTS = [
+  { deviceId: 'AA:BB:CC:DD:EE:01', bandNumber: 1, name: '=HYPERLINK("http://example.com","Priya")', phone: '+91 98765 43210', team: '@Garba', category: '-', colour: null }
+];
+
+test('CSV export escapes cells that would start a formula and imports them back unchanged', () => {
+  const csv = writeParticipantSheet(PARTICIPANTS, 'csv').toString();
+  assert.match(csv, /'=HYPERLINK/);
+  assert.match(csv, /'\+91 98765 43210/);
+  assert.match(csv, /'@Garba/);
+  
+  const { rows, errors } = parseParticipantSheet(Buffer.from(csv), 'csv');
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(rows[0].input.name, PARTICIPANTS[0].name);
+  assert.strictEqual(rows[0].input.phone, PARTICIPANTS[0].phone);
+  assert.strictEqual(rows[0].input.team, '@Garba');
+});
+
+test('XLSX export writes text as string cells, never formulas', () => {
+  const workbook = XLSX.read(writeParticipantSheet(PARTICIPANTS, 'xlsx'), { type: 'buffer' });
+  const cell = workbook.Sheets[workbook.SheetNames[0]].C2;
+  assert.strictEqual(cell.t, 's');
+  assert.strictEqual(cell.f, undefined);
+  assert.strictEqual(cell.v, PARTICIPANTS[0].name);
+});
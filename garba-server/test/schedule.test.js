@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeSchedule, formatZoned } = require('../schedule');
+
+function firstNight(input) {
+  const { schedule, errors } = normalizeSchedule({ name: 'Night', endTime: '23:00', ...input });
+  assert.deepStrictEqual(errors, []);
+  return schedule.occurrences[0];
+}
+
+test('a start time skipped when the clocks go forward lands after the gap', () => {
+  const night = firstNight({ date: '2026-03-08', startTime: '02:30', timezone: 'America/New_York' });
+  assert.strictEqual(new Date(night.start).toISOString(), '2026-03-08T07:30:00.000Z');
+  assert.strictEqual(formatZoned(night.start, 'America/New_York'), '2026-03-08 03:30');
+});
+
+test('a start time passed twice when the clocks go back is the first of the two', () => {
+  const night = firstNight({ date: '2026-11-01', startTime: '01:30', timezone: 'America/New_York' });
+  assert.strictEqual(new Date(night.start).toISOString(), '2026-11-01T05:30:00.000Z');
+  assert.strictEqual(formatZoned(night.start, 'America/New_York'), '2026-11-01 01:30');
+});
+
+test('nights either side of a change keep their wall-clock times', () => {
+  const { schedule } = normalizeSchedule({ name: 'Navratri', date: '2026-10-24', startTime: '21:00', endTime: '01:00', nights: 2, timezone: 'Europe/London' });
+  assert.deepStrictEqual(schedule.occurrences.map(night => new Date(night.start).toISOString()), ['2026-10-24T20:00:00.000Z', '2026-10-25T21:00:00.000Z']);
+  assert.deepStrictEqual(schedule.occurrences.map(night => formatZoned(night.end, 'Europe/London')), ['2026-10-25 01:00', '2026-10-26 01:00']);
+});
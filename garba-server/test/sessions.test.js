@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startServer, receiverReport } = require('./harness');
+
+const RECEIVER = 'AA:BB:CC:00:00:01';
+const BAND = 'AA:BB:CC:DD:EE:01';
+const OTHER_BAND = 'AA:BB:CC:DD:EE:02';
+
+async function sessionSteps(server) {
+  const { data } = await server.get('/api/sessions/active');
+  return Object.fromEntries(data.standings.map(entry => [entry.deviceId, entry.steps]));
+}
+
+test('session steps survive a history clear and a journal replay', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await server.post('/api/receiver-data', receiverReport(RECEIVER, [{ deviceId: BAND, stepCount: 500 }, { deviceId: OTHER_BAND, stepCount: 300 }]));
+  assert.strictEqual((await server.post('/api/sessions', { name: 'Night 1' })).status, 201);
+
+  await server.post('/api/receiver-data', receiverReport(RECEIVER, [{ deviceId: BAND, stepCount: 540 }, { deviceId: OTHER_BAND, stepCount: 320 }]));
+  // BAND's transmitter reboots, its lifetime count runs on at 550
+  await server.post('/api/receiver-data', receiverReport(RECEIVER, [{ deviceId: BAND, stepCount: 10 }, { deviceId: OTHER_BAND, stepCount: 320 }]));
+  assert.deepStrictEqual(await sessionSteps(server), { [BAND]: 50, [OTHER_BAND]: 20 });
+
+  // Lifetime counts start again from the raw counters
+  assert.strictEqual((await server.post('/api/clear-history')).status, 200);
+  assert.deepStrictEqual(await sessionSteps(server), { [BAND]: 50, [OTHER_BAND]: 20 });
+
+  await server.post('/api/receiver-data', receiverReport(RECEIVER, [{ deviceId: BAND, stepCount: 30 }, { deviceId: OTHER_BAND, stepCount: 325 }]));
+  assert.deepStrictEqual(await sessionSteps(server), { [BAND]: 70, [OTHER_BAND]: 25 });
+
+  // The journal brings the lifetime counts from before the clear back
+  const replay = await server.post('/api/journal/replay', {});
+  assert.strictEqual(replay.status, 200);
+  assert.strictEqual(replay.data.entries, 4);
+  assert.deepStrictEqual(await sessionSteps(server), { [BAND]: 70, [OTHER_BAND]: 25 });
+
+  const stopped = await server.post(`/api/sessions/${(await server.get('/api/sessions')).data.active}/stop`);
+  assert.strictEqual(stopped.status, 200);
+  assert.strictEqual(stopped.data.totalSteps, 95);
+  assert.strictEqual(stopped.data.leader.deviceId, BAND);
+});
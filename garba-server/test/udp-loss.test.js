@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const dgram = require('dgram');
+const { freePort, sleep, startServer, receiverReport } = require('./harness');
+
+const RECEIVER = 'AA:BB:CC:00:00:01';
+const BAND = 'AA:BB:CC:DD:EE:01';
+
+test('a receiver reboot restarts UDP loss counting from its new sequence numbers', async (t) => {
+  const udpPort = await freePort();
+  const server = await startServer({ UDP_PORT: String(udpPort) });
+  const socket = dgram.createSocket('udp4');
+  t.after(async () => {
+    socket.close();
+    await server.stop();
+  });
+
+  // The UDP listener starts after the HTTP server answers
+  while (!(await server.get('/api/ingest-stats')).data.udp.listening) await sleep(50);
+
+  // Waits for the ACK, so the datagram has been counted before the next one
+  async function send(seq, timestamp, stepCount) {
+    const report = { ...receiverReport(RECEIVER, [{ deviceId: BAND, stepCount }]), seq, timestamp, ack: 1 };
+    const acked = new Promise(resolve => socket.once('message', resolve));
+    await new Promise((resolve, reject) => socket.send(JSON.stringify(report), udpPort, '127.0.0.1', error => (error ? reject(error) : resolve())));
+    assert.match(String(await acked), new RegExp(`^ACK ${seq} `));
+  }
+  async function udp() {
+    const { data } = await server.get('/api/ingest-stats');
+    return data.receivers.find(receiver => receiver.id === RECEIVER).udp;
+  }
+
+  for (let seq = 0; seq < 5; seq++) await send(seq, 600000 + seq * 1000, 100 + seq);
+  assert.strictEqual((await udp()).lost, 0);
+
+  // millis() and the datagram counter both start again; seq 1 never arrives
+  await send(0, 1000, 110);
+  await send(2, 3000, 112);
+  await send(3, 4000, 113);
+  const stats = await udp();
+  assert.strictEqual(stats.datagrams, 8);
+  assert.strictEqual(stats.lost, 1);
+  assert.strictEqual(stats.reordered, 0);
+});